@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * bin/maskql.js
+ * ローカルの SQLite ファイルに対して exportObjects() / importObjects() を実行する CLI
+ * node:sqlite を使用するため Node.js 22.13 以降が必要
+ *
+ * 使い方:
+ *   maskql export <database> [--table <name>] [--prefix <prefix>] [--output <file>]
+ *   maskql import <database> [--table <name>] [--mode replace|merge|skip] [--batch-size <n>] [--input <file>]
+ *   maskql migrate <database> [--table <name>]
+ *
+ * --output / --input を省略した場合は標準出力 / 標準入力を使用する。
+ * export はデータベースを読み取り専用で開き、ファイルが存在しない場合は作成せずにエラーにする
+ */
+
+import { createReadStream, createWriteStream, existsSync } from 'node:fs';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import { MaskQL, SchemaVersionError } from '../src/index.js';
+import { createSqliteAdapter } from '../src/sqlite.js';
+
+const USAGE = `Usage:
+  maskql export <database> [--table <name>] [--prefix <prefix>] [--output <file>]
+  maskql import <database> [--table <name>] [--mode replace|merge|skip] [--batch-size <n>] [--input <file>]
+  maskql migrate <database> [--table <name>]`;
+
+/**
+ * CLI を実行する
+ * @param {string[]} argv - コマンドライン引数（node とスクリプトのパスを除く）
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      table: { type: 'string', default: 'maskql_store' },
+      prefix: { type: 'string' },
+      mode: { type: 'string', default: 'replace' },
+      'batch-size': { type: 'string' },
+      input: { type: 'string' },
+      output: { type: 'string' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const [command, database] = positionals;
+
+  if (values.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (!['export', 'import', 'migrate'].includes(command) || !database || positionals.length > 2) {
+    throw new Error(USAGE);
+  }
+
+  // export は読み込みのみのため、存在しないファイルを空のデータベースとして作成しない
+  if (command === 'export' && !existsSync(database)) {
+    throw new Error(`Database file not found: ${database}`);
+  }
+
+  const batchSize = values['batch-size'] === undefined ? undefined : Number(values['batch-size']);
+
+  const { DatabaseSync } = await import('node:sqlite');
+  const db = new DatabaseSync(database, { readOnly: command === 'export' });
+
+  try {
+    const adapter = createSqliteAdapter(db);
+    const mask = new MaskQL(adapter, values.table);
+
+    if (command === 'migrate') {
+      const { from, to } = await MaskQL.migrate(adapter, values.table);
+      console.error(from === to
+        ? `Table "${values.table}" is already at version ${to}`
+        : `Migrated table "${values.table}" from version ${from} to ${to}`);
+      return;
+    }
+
+    if (command === 'export') {
+      const stream = mask.exportObjects({ prefix: values.prefix, batchSize });
+      const output = values.output ? createWriteStream(values.output) : process.stdout;
+      await pipeline(Readable.fromWeb(stream), output);
+      return;
+    }
+
+    await MaskQL.ensureSchema(adapter, values.table);
+    const input = values.input ? createReadStream(values.input) : process.stdin;
+    const summary = await mask.importObjects(input, { mode: values.mode, batchSize });
+    console.error(`Imported: ${summary.created} created, ${summary.updated} updated, ${summary.skipped} skipped`);
+  } catch (error) {
+    // MaskQL.migrate() の代わりに CLI の migrate コマンドを案内する
+    if (error instanceof SchemaVersionError && error.version < error.requiredVersion) {
+      const table = values.table === 'maskql_store' ? '' : ` --table ${values.table}`;
+      throw new Error(
+        `Schema of table "${values.table}" is at version ${error.version}, but version ${error.requiredVersion} is required. ` +
+        `Run "maskql migrate ${database}${table}" to upgrade it`
+      );
+    }
+    throw error;
+  } finally {
+    db.close();
+  }
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -3,7 +3,7 @@
  * MaskQL を使用した Cloudflare Workers の実装例
  */
 
-import MaskQL from '../src/index.js';
+import MaskQL, { createHandler } from '../src/index.js';
 
 /**
  * Cloudflare Workers のエントリーポイント
@@ -207,6 +207,12 @@ export default {
         });
       }
 
+      // 例10: REST API（GET / HEAD / PUT / PATCH / DELETE /objects/:id/*path）
+      if (path === '/objects' || path.startsWith('/objects/')) {
+        const handler = createHandler(env.DB);
+        return handler(request);
+      }
+
       // ルートパス: 利用可能なエンドポイントを表示
       if (path === '/' || path === '') {
         return new Response(JSON.stringify({
@@ -220,7 +226,8 @@ export default {
             'GET /complex - Test complex nested structures',
             'GET /exists - Check if object exists',
             'GET /replace - Replace entire object',
-            'GET /unsaved - Check for unsaved changes'
+            'GET /unsaved - Check for unsaved changes',
+            'GET|HEAD|PUT|PATCH|DELETE /objects/:id/*path - REST API'
           ]
         }), {
           headers: { 'Content-Type': 'application/json' }
@@ -1,5 +1,8 @@
 -- MaskQL D1 Database Schema
 -- Cloudflare D1 (SQLite 3.x compatible)
+--
+-- MaskQL.migrate(env.DB, 'maskql_store') が作成するものと同じ内容（スキーマのバージョン 2）
+-- 別のテーブル名を使う場合や、既存のテーブルを更新する場合は MaskQL.migrate(env.DB, '<テーブル名>') を使用する
 
 -- テーブル構造
 -- ネストされたJSONオブジェクトを平坦化したkey-valueペアを保存
@@ -7,20 +10,80 @@ CREATE TABLE IF NOT EXISTS maskql_store (
   obj_id TEXT NOT NULL,      -- オブジェクト識別子
   key_path TEXT NOT NULL,    -- ドット区切りパス (例: "user.profile.name")
   value TEXT,                -- JSON-serialized value
-  value_type TEXT,           -- 型情報 (string, number, boolean, null, object, array)
+  value_type TEXT,           -- 型情報 (string, number, nan, infinity, boolean, bigint, date, binary, null, object, array)
   created_at INTEGER DEFAULT (unixepoch()),
   updated_at INTEGER DEFAULT (unixepoch()),
+  expires_at INTEGER,        -- 有効期限（UNIX 秒）。NULL の場合は期限なし
   PRIMARY KEY (obj_id, key_path)
 );
 
 -- インデックス
+-- インデックス名はスキーマ内で一意である必要があるため "idx_<テーブル名>_<列名>" とする
 -- obj_id による検索を高速化
-CREATE INDEX IF NOT EXISTS idx_obj_id ON maskql_store(obj_id);
+CREATE INDEX IF NOT EXISTS idx_maskql_store_obj_id ON maskql_store(obj_id);
 
 -- key_path による検索を高速化（部分一致検索用）
-CREATE INDEX IF NOT EXISTS idx_key_path ON maskql_store(key_path);
+CREATE INDEX IF NOT EXISTS idx_maskql_store_key_path ON maskql_store(key_path);
+
+-- expires_at による検索を高速化（purgeExpired() 用）
+CREATE INDEX IF NOT EXISTS idx_maskql_store_expires_at ON maskql_store(expires_at);
 
 -- 複合インデックス（obj_id + key_path での検索を最適化）
--- PRIMARY KEY により自動的に作成されるため、明示的な作成は不要だが、
--- 念のため明示的に記載（D1では重複しても問題ない）
--- CREATE INDEX IF NOT EXISTS idx_obj_key ON maskql_store(obj_id, key_path);
+-- PRIMARY KEY により自動的に作成されるため、明示的な作成は不要
+
+-- リビジョン管理テーブル
+-- オブジェクトごとのリビジョン番号を保持し、save() 時の楽観的排他制御に使用する
+-- テーブル名は "<ストアのテーブル名>_revisions"
+CREATE TABLE IF NOT EXISTS maskql_store_revisions (
+  obj_id TEXT PRIMARY KEY,   -- オブジェクト識別子
+  revision INTEGER NOT NULL DEFAULT 0,  -- save() が成功するたびに 1 増える
+  updated_at INTEGER DEFAULT (unixepoch())
+);
+
+-- 変更履歴テーブル
+-- new MaskQL(env.DB, 'maskql_store', { history: true }) の場合に、save() ごとに変更されたパスの変更前と変更後の値を記録する
+-- テーブル名は "<ストアのテーブル名>_history"
+CREATE TABLE IF NOT EXISTS maskql_store_history (
+  id INTEGER PRIMARY KEY,
+  obj_id TEXT NOT NULL,      -- オブジェクト識別子
+  revision INTEGER NOT NULL, -- 変更後のリビジョン
+  key_path TEXT NOT NULL,    -- 変更されたパス
+  old_value TEXT,            -- 変更前の値（old_type が NULL の場合はパスの作成）
+  old_type TEXT,
+  new_value TEXT,            -- 変更後の値（new_type が NULL の場合はパスの削除）
+  new_type TEXT,
+  created_at INTEGER DEFAULT (unixepoch())
+);
+
+CREATE INDEX IF NOT EXISTS idx_maskql_store_history_obj_id_revision ON maskql_store_history(obj_id, revision);
+
+-- セカンダリインデックステーブル
+-- defineIndex() で定義したインデックスごとに、オブジェクトのパスの値を save() と同じ batch で記録する
+-- テーブル名は "<ストアのテーブル名>_indexes"
+CREATE TABLE IF NOT EXISTS maskql_store_indexes (
+  index_name TEXT NOT NULL,  -- インデックスの名前
+  obj_id TEXT NOT NULL,      -- オブジェクト識別子
+  key_path TEXT NOT NULL,    -- インデックスのパス
+  value TEXT,                -- パスの値（maskql_store の value と同じ形式。数値は REAL に変換した文字列）
+  value_type TEXT NOT NULL,
+  is_unique INTEGER NOT NULL DEFAULT 0,  -- 一意インデックスの場合は 1
+  PRIMARY KEY (index_name, obj_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maskql_store_indexes_value ON maskql_store_indexes(index_name, value_type, value);
+
+-- 一意インデックスの値の重複を禁止する
+CREATE UNIQUE INDEX IF NOT EXISTS idx_maskql_store_indexes_unique ON maskql_store_indexes(index_name, value_type, value) WHERE is_unique = 1;
+
+-- スキーマのバージョン管理テーブル
+-- テーブルごとに適用済みのマイグレーションのバージョンを記録する（src/migrations.js を参照）
+-- MaskQL は最初の使用時にバージョンを確認し、古い場合は MaskQL.migrate(env.DB, '<テーブル名>') での更新を求める
+CREATE TABLE IF NOT EXISTS maskql_meta (
+  table_name TEXT PRIMARY KEY,  -- ストアのテーブル名（スキーマ名を除く）
+  version INTEGER NOT NULL,     -- 適用済みのマイグレーションのバージョン
+  updated_at INTEGER DEFAULT (unixepoch())
+);
+
+INSERT INTO maskql_meta (table_name, version) VALUES ('maskql_store', 2)
+  ON CONFLICT (table_name) DO UPDATE SET version = excluded.version, updated_at = unixepoch()
+  WHERE excluded.version > version;
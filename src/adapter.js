@@ -0,0 +1,50 @@
+/**
+ * adapter.js
+ * MaskQL が使用するストレージアダプタのインターフェース
+ *
+ * MaskQL は Cloudflare D1 の API のうち、次のメソッドのみを使用する。
+ * D1Database はそのままアダプタとして使用でき、Node.js では sqlite.js の createSqliteAdapter() /
+ * createMemoryAdapter() で同じインターフェースを持つアダプタを作成できる
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {function(string): PreparedStatement} prepare - SQL 文を準備する
+ * @property {function(PreparedStatement[]): Promise<StatementResult[]>} batch -
+ *   複数の SQL 文を1つのトランザクションで順に実行する（いずれかが失敗した場合はすべて取り消す）
+ *
+ * @typedef {Object} PreparedStatement
+ * @property {function(...any): PreparedStatement} bind - パラメータをバインドした新しい文を返す
+ * @property {function(): Promise<StatementResult>} all - 実行して全行を返す
+ * @property {function(string=): Promise<Object|any|null>} first - 実行して最初の行（列名を指定した場合はその列の値）を返す。行がない場合は null
+ * @property {function(): Promise<StatementResult>} run - 実行して結果のメタ情報を返す
+ *
+ * @typedef {Object} StatementResult
+ * @property {Object[]} results - 結果の行（行を返さない文の場合は空の配列）
+ * @property {boolean} success - 成功した場合 true
+ * @property {{changes: number, last_row_id: number}} meta - 変更した行数と最後に挿入した行の rowid
+ */
+
+/**
+ * 値がストレージアダプタとして使用できるかどうかを判定する
+ * @param {any} value - 判定する値
+ * @returns {boolean} prepare() と batch() を持つ場合 true
+ */
+export function isStorageAdapter(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.prepare === 'function' && typeof value.batch === 'function';
+}
+
+/**
+ * 値がストレージアダプタとして使用できることを検証する
+ * @param {any} value - 検証する値
+ * @returns {void}
+ * @throws {Error} 値が指定されていない場合、またはアダプタのインターフェースを持たない場合
+ */
+export function assertStorageAdapter(value) {
+  if (!value) {
+    throw new Error('D1 database instance is required');
+  }
+
+  if (!isStorageAdapter(value)) {
+    throw new Error('Storage adapter must implement prepare() and batch()');
+  }
+}
@@ -0,0 +1,1844 @@
+/**
+ * document.js
+ * 1つのオブジェクトを操作するドキュメントハンドル
+ */
+
+import {
+  flatten, unflatten, isPathWithin, getSubtree, parseValue, createFlatObject
+} from './flatten.js';
+import {
+  toStorageFormat, fromStorageFormat, serializeValue, isValidPath, isPlainObject, findCustomType
+} from './types.js';
+import { parsePath, formatPath, appendPath, isIndexSegment, assertNoDottedIndex } from './path.js';
+import { ConflictError, ValidationError, PatchError, PatchTestFailedError, UniqueViolationError } from './errors.js';
+import { escapeLike } from './query.js';
+import {
+  recordChangeStatement, recordBeforeOpStatement, recordAfterOpStatement, isSameStoredValue
+} from './history.js';
+import { validateValue, matchesObjIdPattern } from './validation.js';
+import { computeChanges } from './hooks.js';
+import { indexApplies, toIndexValue, compileIndexRefresh, compileUniqueOwner } from './indexes.js';
+import { parsePointer, toPointer, isDeepEqual, comparePaths } from './patch.js';
+
+/**
+ * save({ retry }) で競合時に再試行する既定の最大回数
+ */
+const DEFAULT_MAX_RETRIES = 3;
+
+/**
+ * ドキュメントハンドル
+ * MaskQL#open() で作成され、1つのオブジェクトの平坦化データと未保存の変更を保持する。
+ * 1つの MaskQL インスタンスから複数のドキュメントを同時に開いて、それぞれ独立に変更・保存できる
+ */
+export class Document {
+  /**
+   * @param {MaskQL} store - ドキュメントを開いた MaskQL インスタンス（D1 とテーブル名を共有する）
+   * @param {string} objId - オブジェクト識別子（検証済みのもの）
+   */
+  constructor(store, objId) {
+    this.d1 = store.d1;
+    this.table = store.table;
+    this.revisionTable = store.revisionTable;
+    this.schemas = store.schemas; // defineSchema() で登録されたスキーマ（MaskQL インスタンスと共有する）
+    this.hooks = store.hooks; // on() で登録されたフック（MaskQL インスタンスと共有する）
+    this.indexes = store.indexes; // defineIndex() で定義されたインデックス（MaskQL インスタンスと共有する）
+    this.indexTables = { store: store.table, indexes: store.indexTable };
+    // 変更履歴を記録する場合の記録先（記録しない場合は null）
+    this.historyTables = store.recordHistory
+      ? { store: store.table, revisions: store.revisionTable, history: store.historyTable }
+      : null;
+    this.objId = objId;
+    this.revision = 0; // 読み込み時点のリビジョン（楽観的排他制御用）
+    this.transaction = null; // transaction() 内で開かれた場合の所属トランザクション
+    this.flatData = createFlatObject(); // オブジェクトの平坦化データ（メモリキャッシュ）
+    this.originalFlatData = createFlatObject(); // D1から読み込んだ時点のデータ（dirty tracking用）
+    this.dirtyPaths = new Set(); // 変更されたパス
+    this.deletedPaths = new Set(); // 削除されたパス
+    this.pendingOps = new Map(); // save() 時に D1 上で実行する数値演算（パス → 演算の配列）
+    this.loadedPaths = null; // 部分的に読み込んだ場合の読み込み済みのパス（null の場合はオブジェクト全体を読み込み済み）
+    this.ttl = null; // オブジェクト単位の TTL（秒）。設定した場合は保存のたびにオブジェクト全体の有効期限を延長する
+    this.expiresAt = new Map(); // 有効期限のあるリーフのパス → 有効期限（UNIX 秒）
+    this.originalExpiresAt = new Map(); // D1から読み込んだ時点の有効期限
+  }
+
+  /**
+   * オブジェクトのデータを D1 から読み込み直す（未保存の変更は破棄される）
+   * @param {Object} [options] - 読み込みオプション
+   * @param {Array<string|Array>|null} [options.paths] - 読み込むパスの配列。指定したパスの配下のみを読み込む。
+   *   null の場合はオブジェクト全体を読み込む。省略時は現在読み込み済みの範囲を読み込み直す
+   * @returns {Promise<void>}
+   * @throws {Error} パスが無効な場合、または読み込みに失敗した場合
+   */
+  async reload(options = {}) {
+    const paths = options.paths !== undefined ? normalizeLoadPaths(options.paths) : this.loadedPaths;
+
+    this._setLoaded(createFlatObject(), 0);
+    this.loadedPaths = paths;
+
+    try {
+      // D1からデータとリビジョンを同一の batch で読み込む（一貫したスナップショットを得るため）
+      const [result, revisionResult] = await this.d1.batch([
+        this._selectRowsStatement(paths),
+        this.d1.prepare(
+          `SELECT revision FROM ${this.revisionTable} WHERE obj_id = ?`
+        ).bind(this.objId)
+      ]);
+
+      const revisionRow = revisionResult.results && revisionResult.results[0];
+      const flatData = createFlatObject();
+      const expiresAt = new Map();
+
+      for (const row of result.results || []) {
+        flatData[row.key_path] = fromStorageFormat(row.value, row.value_type);
+        if (row.expires_at !== null && row.expires_at !== undefined) {
+          expiresAt.set(row.key_path, Number(row.expires_at));
+        }
+      }
+
+      this._setLoaded(flatData, revisionRow ? Number(revisionRow.revision) : 0, expiresAt);
+    } catch (error) {
+      throw new Error(`Failed to load object "${this.objId}" from D1: ${error.message}`);
+    }
+  }
+
+  /**
+   * 部分的に読み込んだオブジェクトに、指定したパスの配下を追加で読み込む
+   * 既に読み込み済みのパスの場合は何もしない。読み込み済みのデータと未保存の変更はそのまま保持される
+   * @param {string|Array} path - 読み込むパス
+   * @returns {Promise<void>}
+   * @throws {ConflictError} 最初の読み込みの後に別のリクエストがオブジェクトを保存していた場合
+   *   （読み込み済みのデータと整合しないため。reload() で読み込み直す）
+   * @throws {Error} パスが無効な場合、または読み込みに失敗した場合
+   */
+  async fetch(path) {
+    const [prefix] = normalizeLoadPaths([path]);
+
+    if (this._isLoaded(prefix)) {
+      return;
+    }
+
+    let result;
+    let revisionResult;
+    try {
+      [result, revisionResult] = await this.d1.batch([
+        this._selectRowsStatement([prefix]),
+        this.d1.prepare(
+          `SELECT revision FROM ${this.revisionTable} WHERE obj_id = ?`
+        ).bind(this.objId)
+      ]);
+    } catch (error) {
+      throw new Error(`Failed to load path "${prefix}" of object "${this.objId}" from D1: ${error.message}`);
+    }
+
+    const revisionRow = revisionResult.results && revisionResult.results[0];
+    const currentRevision = revisionRow ? Number(revisionRow.revision) : 0;
+    if (currentRevision !== this.revision) {
+      throw new ConflictError(this.objId, this.revision);
+    }
+
+    for (const row of result.results || []) {
+      // 読み込み済みの行（祖先のリーフなど）は、未保存の変更を上書きしないように除外する
+      if (row.key_path in this.originalFlatData || this._isLoaded(row.key_path)) {
+        continue;
+      }
+
+      const value = fromStorageFormat(row.value, row.value_type);
+      this.flatData[row.key_path] = value;
+      this.originalFlatData[row.key_path] = value;
+      if (row.expires_at !== null && row.expires_at !== undefined) {
+        this.expiresAt.set(row.key_path, Number(row.expires_at));
+        this.originalExpiresAt.set(row.key_path, Number(row.expires_at));
+      }
+    }
+
+    this.loadedPaths = [...this.loadedPaths.filter((loaded) => !isPathWithin(loaded, prefix)), prefix];
+  }
+
+  /**
+   * 読み込み済みのパスを取得する
+   * @returns {string[]|null} 部分的に読み込んだ場合は読み込み済みのパス。オブジェクト全体を読み込み済みの場合は null
+   */
+  getLoadedPaths() {
+    return this.loadedPaths ? [...this.loadedPaths] : null;
+  }
+
+  /**
+   * 読み込み対象の行を取得する SQL 文を作成する
+   * 部分的に読み込む場合は、各パスとその配下の行に加えて祖先のパスの行（旧形式の配列・オブジェクトなど）も読み込む
+   * @param {string[]|null} paths - 正規化された読み込むパス（null の場合はオブジェクト全体）
+   * @returns {D1PreparedStatement} SQL 文
+   * @private
+   */
+  _selectRowsStatement(paths) {
+    // 有効期限切れの行は存在しないものとして扱う
+    const sql = `SELECT key_path, value, value_type, expires_at FROM ${this.table}
+      WHERE obj_id = ? AND (expires_at IS NULL OR expires_at > unixepoch())`;
+
+    if (paths === null) {
+      return this.d1.prepare(sql).bind(this.objId);
+    }
+
+    const conditions = [];
+    const params = [];
+    const ancestors = new Set();
+
+    for (const path of paths) {
+      conditions.push(`key_path = ? OR key_path LIKE ? ESCAPE '\\' OR key_path LIKE ? ESCAPE '\\'`);
+      params.push(path, `${escapeLike(path)}.%`, `${escapeLike(path)}[%`);
+
+      const segments = parsePath(path);
+      for (let i = 1; i < segments.length; i++) {
+        ancestors.add(formatPath(segments.slice(0, i)));
+      }
+    }
+
+    if (ancestors.size > 0) {
+      conditions.push(`key_path IN (${[...ancestors].map(() => '?').join(', ')})`);
+      params.push(...ancestors);
+    }
+
+    if (conditions.length === 0) {
+      conditions.push('0');
+    }
+
+    return this.d1.prepare(`${sql} AND (${conditions.join(' OR ')})`).bind(this.objId, ...params);
+  }
+
+  /**
+   * パスの配下がすべて読み込み済みかどうかを判定する
+   * @param {string} path - 正規化されたパス
+   * @returns {boolean} 読み込み済みの場合 true
+   * @private
+   */
+  _isLoaded(path) {
+    return this.loadedPaths === null || this.loadedPaths.some((loaded) => isPathWithin(path, loaded));
+  }
+
+  /**
+   * パスが読み込み済みであることを確認する
+   * @param {string} path - 正規化されたパス
+   * @returns {void}
+   * @throws {Error} パスが読み込まれていない場合
+   * @private
+   */
+  _assertLoaded(path) {
+    if (!this._isLoaded(path)) {
+      throw new Error(`Path "${path}" of object "${this.objId}" is not loaded. Call fetch() first.`);
+    }
+  }
+
+  /**
+   * 読み込んだデータとリビジョンを設定し、未保存の変更をすべて破棄する
+   * MaskQL#useMany() がまとめて読み込んだデータを渡すためにも使用する
+   * @param {Object} flatData - D1 から読み込んだ平坦化データ
+   * @param {number} revision - 読み込み時点のリビジョン
+   * @param {Map<string, number>} [expiresAt] - 有効期限のあるリーフのパス → 有効期限（UNIX 秒）
+   * @returns {void}
+   * @private
+   */
+  _setLoaded(flatData, revision, expiresAt = new Map()) {
+    this.revision = revision;
+    this.flatData = Object.assign(createFlatObject(), flatData);
+    this.originalFlatData = Object.assign(createFlatObject(), flatData);
+    this.expiresAt = new Map(expiresAt);
+    this.originalExpiresAt = new Map(expiresAt);
+    this.dirtyPaths.clear();
+    this.deletedPaths.clear();
+    this.pendingOps.clear();
+  }
+
+  /**
+   * オブジェクト単位の TTL を設定する
+   * 設定すると、以降の save() のたびにオブジェクトのすべての行の有効期限が「保存時刻 + ttl」に延長される
+   * （set() で個別に ttl を指定したリーフも、次に保存したときにオブジェクトの有効期限に揃えられる）
+   * @param {number|null} ttl - 有効期間（秒）。null の場合は延長しない（既に設定された有効期限はそのまま残る）
+   * @returns {void}
+   * @throws {Error} ttl が正の数値でない場合
+   */
+  setTtl(ttl) {
+    this.ttl = ttl === null ? null : normalizeTtl(ttl);
+  }
+
+  /**
+   * パスの有効期限を取得する
+   * @param {string|Array} path - リーフのパス
+   * @returns {Date|null} 有効期限。有効期限が設定されていない場合は null
+   * @throws {Error} パスが無効な場合
+   */
+  getExpiry(path) {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+
+    const expiresAt = this._getExpiry(formatPath(this._resolvePath(path)));
+    return expiresAt === null ? null : new Date(expiresAt * 1000);
+  }
+
+  /**
+   * ドキュメントのオブジェクトIDを取得する
+   * @returns {string} オブジェクトID
+   */
+  getObjId() {
+    return this.objId;
+  }
+
+  /**
+   * 指定されたパスの値を取得する（メモリキャッシュから）
+   * 中間パスを指定した場合は、配下のリーフを組み立てたサブツリーを返す
+   * @param {string} path - ドット区切りのパス（配列要素は "items[3]" または "items.3"）
+   * @returns {any} パスの値。存在しない場合は undefined
+   * @throws {Error} パスが無効な場合
+   */
+  get(path) {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+
+    const segments = this._resolvePath(path);
+    const resolved = formatPath(segments);
+    this._assertLoaded(resolved);
+    this._pruneExpired();
+
+    if (resolved in this.flatData) {
+      return this.flatData[resolved];
+    }
+
+    // 中間パスの場合はサブツリーを組み立てる
+    const subtree = getSubtree(this.flatData, resolved);
+    if (Object.keys(subtree).length > 0) {
+      return unflatten(subtree);
+    }
+
+    // 祖先が1つの値として保存された配列・オブジェクト（旧形式）の場合はその内部を辿る
+    for (let i = segments.length - 1; i > 0; i--) {
+      const ancestor = formatPath(segments.slice(0, i));
+      if (ancestor in this.flatData) {
+        let current = this._legacyContainer(this.flatData[ancestor]);
+        for (const segment of segments.slice(i)) {
+          if (current === null || current === undefined || typeof current !== 'object') {
+            return undefined;
+          }
+          current = current[segment];
+        }
+        return current;
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * 指定されたパスに値を設定する（メモリ内のみ）
+   * プレーンオブジェクトや配列を渡した場合は平坦化してパス配下のリーフとして保存し、
+   * 既存の配下のリーフのうち新しい値に含まれないものは削除扱いになる
+   * @param {string} path - ドット区切りのパス（配列要素は "items[3]" または "items.3"）
+   * @param {any} value - 設定する値
+   * @param {Object} [options] - オプション
+   * @param {number|null} [options.ttl] - 有効期間（秒）。設定したリーフは有効期限を過ぎると存在しないものとして扱われる。
+   *   null の場合は有効期限を解除する。省略時はオブジェクト単位の TTL、なければ既存のリーフの有効期限を引き継ぐ
+   * @returns {void}
+   * @throws {Error} パスが無効な場合、または ttl が正の数値でない場合
+   */
+  set(path, value, options = {}) {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+
+    const expiresAt = this._expiryFor(options.ttl);
+
+    const segments = this._resolvePath(path);
+    const resolved = formatPath(segments);
+    this._assertLoaded(resolved);
+    const isContainer = (isPlainObject(value) || Array.isArray(value)) && findCustomType(value) === null;
+
+    // 空のオブジェクト・配列はそのまま1つの値として保存する
+    const newLeaves = isContainer && Object.keys(value).length > 0
+      ? flatten(value, resolved)
+      : Object.assign(createFlatObject(), { [resolved]: value });
+
+    // 祖先に旧形式の配列・オブジェクトがある場合は要素ごとのリーフに展開する
+    this._expandLegacyAncestors(segments);
+
+    // 祖先パスに既存のリーフがある場合、サブツリーと衝突するため削除する
+    for (let i = 1; i < segments.length; i++) {
+      this._removeLeaf(formatPath(segments.slice(0, i)));
+    }
+
+    // 新しい値に含まれない既存のリーフを削除する
+    for (const key of Object.keys(this.flatData)) {
+      if (isPathWithin(key, resolved) && !(key in newLeaves)) {
+        this._removeLeaf(key);
+      }
+    }
+
+    for (const [leafPath, leafValue] of Object.entries(newLeaves)) {
+      this._writeLeaf(leafPath, leafValue, expiresAt);
+    }
+  }
+
+  /**
+   * 指定されたパスを削除する（メモリ内のみ）
+   * 中間パスを指定した場合は配下のリーフをすべて削除する。
+   * 配列要素を削除しても後続の要素は詰められない（詰める場合は removeAt() を使用する）
+   * @param {string} path - ドット区切りのパス
+   * @returns {void}
+   * @throws {Error} パスが無効な場合
+   */
+  delete(path) {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+
+    const segments = this._resolvePath(path);
+    const resolved = formatPath(segments);
+    this._assertLoaded(resolved);
+
+    this._expandLegacyAncestors(segments);
+
+    for (const key of Object.keys(this.flatData)) {
+      if (isPathWithin(key, resolved)) {
+        this._removeLeaf(key);
+      }
+    }
+  }
+
+  /**
+   * 配列の末尾に要素を追加する（メモリ内のみ）
+   * 要素は "path[i]" のリーフとして個別に保存される
+   * @param {string} path - 配列のパス（存在しない場合は新しい配列を作成）
+   * @param {...any} values - 追加する値
+   * @returns {number} 追加後の配列の長さ
+   * @throws {Error} パスが無効な場合、またはパスが配列でない場合
+   */
+  push(path, ...values) {
+    const array = this._getArray(path);
+    const resolved = formatPath(this._resolvePath(path));
+
+    for (const value of values) {
+      this.set(appendPath(resolved, array.length), value);
+      array.push(value);
+    }
+
+    return array.length;
+  }
+
+  /**
+   * 配列の指定した位置に要素を挿入する（メモリ内のみ）
+   * @param {string} path - 配列のパス
+   * @param {number} index - 挿入する位置
+   * @param {any} value - 挿入する値
+   * @returns {void}
+   * @throws {Error} パスが無効な場合、またはパスが配列でない場合
+   */
+  insert(path, index, value) {
+    this.splice(path, index, 0, value);
+  }
+
+  /**
+   * 配列の指定した位置の要素を削除し、後続の要素を詰める（メモリ内のみ）
+   * @param {string} path - 配列のパス
+   * @param {number} index - 削除する位置
+   * @returns {any} 削除された要素
+   * @throws {Error} パスが無効な場合、またはパスが配列でない場合
+   */
+  removeAt(path, index) {
+    return this.splice(path, index, 1)[0];
+  }
+
+  /**
+   * Array.prototype.splice と同じ規則で配列の要素を削除・挿入する（メモリ内のみ）
+   * 位置が変わった要素のリーフのみが dirty になる
+   * @param {string} path - 配列のパス
+   * @param {number} start - 変更を開始する位置
+   * @param {number} [deleteCount] - 削除する要素数（省略時は start 以降をすべて削除）
+   * @param {...any} items - 挿入する値
+   * @returns {Array} 削除された要素
+   * @throws {Error} パスが無効な場合、またはパスが配列でない場合
+   */
+  splice(path, start, deleteCount, ...items) {
+    const array = this._getArray(path);
+    const removed = deleteCount === undefined
+      ? array.splice(start)
+      : array.splice(start, deleteCount, ...items);
+
+    this.set(path, array);
+    return removed;
+  }
+
+  /**
+   * 数値に加算する
+   * save() 時に D1 上の値に対して加算するため、同時に実行された他のリクエストの加算を失わない。
+   * 値が存在しない場合は delta を値として作成する。戻り値はメモリ上の見込みの値で、save() 後に D1 の結果で更新される
+   * @param {string} path - 数値のパス
+   * @param {number} [delta=1] - 加算する値
+   * @returns {number} 加算後の値（見込み）
+   * @throws {Error} パスが無効な場合、または delta が有限の数値でない場合
+   */
+  increment(path, delta = 1) {
+    return this._applyNumericOp('add', path, delta, 'increment');
+  }
+
+  /**
+   * 数値から減算する（increment(path, -delta) と同じ）
+   * @param {string} path - 数値のパス
+   * @param {number} [delta=1] - 減算する値
+   * @returns {number} 減算後の値（見込み）
+   * @throws {Error} パスが無効な場合、または delta が有限の数値でない場合
+   */
+  decrement(path, delta = 1) {
+    if (typeof delta !== 'number' || !Number.isFinite(delta)) {
+      throw new Error(`decrement() requires a finite number: ${delta}`);
+    }
+    return this._applyNumericOp('add', path, -delta, 'decrement');
+  }
+
+  /**
+   * 数値を value との大きい方に更新する（save() 時に D1 上の値と比較する）
+   * @param {string} path - 数値のパス
+   * @param {number} value - 比較する値
+   * @returns {number} 更新後の値（見込み）
+   * @throws {Error} パスが無効な場合、または value が有限の数値でない場合
+   */
+  setMax(path, value) {
+    return this._applyNumericOp('max', path, value, 'setMax');
+  }
+
+  /**
+   * 数値を value との小さい方に更新する（save() 時に D1 上の値と比較する）
+   * @param {string} path - 数値のパス
+   * @param {number} value - 比較する値
+   * @returns {number} 更新後の値（見込み）
+   * @throws {Error} パスが無効な場合、または value が有限の数値でない場合
+   */
+  setMin(path, value) {
+    return this._applyNumericOp('min', path, value, 'setMin');
+  }
+
+  /**
+   * 数値演算をメモリ上の値に反映し、save() 時に D1 上で実行する演算として記録する
+   * 未保存の値が設定されているパスや、オブジェクトの構造が変わるパスの場合は通常の set() として扱う
+   * @param {'add'|'max'|'min'} op - 演算の種類
+   * @param {string} path - 数値のパス
+   * @param {number} operand - 演算の値
+   * @param {string} methodName - エラーメッセージ用のメソッド名
+   * @returns {number} 演算後の値（見込み）
+   * @private
+   */
+  _applyNumericOp(op, path, operand, methodName) {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+
+    if (typeof operand !== 'number' || !Number.isFinite(operand)) {
+      throw new Error(`${methodName}() requires a finite number: ${operand}`);
+    }
+
+    const segments = this._resolvePath(path);
+    const resolved = formatPath(segments);
+    this._assertLoaded(resolved);
+    const current = this.flatData[resolved];
+    const hasCurrent = typeof current === 'number' && Number.isFinite(current);
+
+    let next;
+    if (op === 'add') {
+      next = (hasCurrent ? current : 0) + operand;
+    } else {
+      next = hasCurrent ? Math[op](current, operand) : operand;
+    }
+
+    // 未保存の値がある場合や、祖先・子孫にリーフがある場合は値を直接設定する
+    const hasAncestorLeaf = segments.slice(1).some((_, i) => formatPath(segments.slice(0, i + 1)) in this.flatData);
+    const hasDescendants = Object.keys(this.flatData).some((key) => key !== resolved && isPathWithin(key, resolved));
+    if (this.dirtyPaths.has(resolved) || hasAncestorLeaf || hasDescendants) {
+      this.set(resolved, next);
+      return next;
+    }
+
+    this.flatData[resolved] = next;
+
+    const ops = this.pendingOps.get(resolved) || [];
+    const last = ops[ops.length - 1];
+    if (op === 'add' && last && last.op === 'add') {
+      last.operand += operand;
+    } else {
+      ops.push({ op, operand });
+    }
+    this.pendingOps.set(resolved, ops);
+
+    return next;
+  }
+
+  /**
+   * パスに保存されている配列を取得する（存在しない場合は空配列）
+   * @param {string} path - 配列のパス
+   * @returns {Array} 配列のコピー
+   * @throws {Error} パスが無効な場合、またはパスが配列でない場合
+   * @private
+   */
+  _getArray(path) {
+    const value = this.get(path);
+
+    if (value === undefined) {
+      return [];
+    }
+
+    const array = this._legacyContainer(value);
+    if (!Array.isArray(array)) {
+      throw new Error(`Path is not an array: ${path}`);
+    }
+
+    return [...array];
+  }
+
+  /**
+   * パスをセグメントに分解し、"items.3" のような数値セグメントを
+   * 親が配列の場合に限り配列インデックスとして解釈する
+   * @param {string} path - 有効なパス
+   * @returns {Array<string|number>} 正規化されたセグメントの配列
+   * @private
+   */
+  _resolvePath(path) {
+    const resolved = [];
+
+    for (const segment of parsePath(path)) {
+      if (typeof segment === 'string' && isIndexSegment(segment) && this._isArrayPath(formatPath(resolved))) {
+        resolved.push(Number(segment));
+      } else {
+        resolved.push(segment);
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * パスが配列を保持しているかどうかを判定する
+   * @param {string} path - 正規化されたパス
+   * @returns {boolean} 要素ごとのリーフ、または旧形式の配列値がある場合 true
+   * @private
+   */
+  _isArrayPath(path) {
+    if (!path) {
+      return false;
+    }
+
+    if (path in this.flatData) {
+      return Array.isArray(this._legacyContainer(this.flatData[path]));
+    }
+
+    return Object.keys(this.flatData).some((key) => /^\[\d/.test(key.slice(path.length)) && key.startsWith(path));
+  }
+
+  /**
+   * 1つの値として保存された配列・オブジェクト（旧形式）を取り出す
+   * @param {any} value - リーフの値
+   * @returns {Array|Object|undefined} 配列またはオブジェクト。それ以外の値の場合は undefined
+   * @private
+   */
+  _legacyContainer(value) {
+    const parsed = parseValue(value);
+    return Array.isArray(parsed) || isPlainObject(parsed) ? parsed : undefined;
+  }
+
+  /**
+   * パスの祖先に旧形式の配列・オブジェクトのリーフがある場合、要素ごとのリーフに展開する
+   * @param {Array<string|number>} segments - 正規化されたセグメントの配列
+   * @returns {void}
+   * @private
+   */
+  _expandLegacyAncestors(segments) {
+    for (let i = 1; i < segments.length; i++) {
+      const ancestor = formatPath(segments.slice(0, i));
+      if (!(ancestor in this.flatData)) {
+        continue;
+      }
+
+      const container = this._legacyContainer(this.flatData[ancestor]);
+      if (!container || Object.keys(container).length === 0) {
+        continue;
+      }
+
+      const expiresAt = this._getExpiry(ancestor);
+      this._removeLeaf(ancestor);
+      for (const [leafPath, leafValue] of Object.entries(flatten(container, ancestor))) {
+        this._writeLeaf(leafPath, leafValue, expiresAt);
+      }
+    }
+  }
+
+  /**
+   * リーフに値を書き込み、変更があれば dirty マークをつける
+   * @param {string} path - リーフのパス
+   * @param {any} value - 設定する値
+   * @param {number|null} [expiresAt] - 有効期限（UNIX 秒）。null の場合は有効期限なし、省略時は既存の有効期限を引き継ぐ
+   * @returns {void}
+   * @private
+   */
+  _writeLeaf(path, value, expiresAt = undefined) {
+    const oldValue = this.flatData[path];
+    const oldExpiresAt = this._getExpiry(path);
+    const newExpiresAt = expiresAt === undefined ? oldExpiresAt : expiresAt;
+
+    // 削除されたパスに再度値を設定する場合、削除フラグを解除
+    this.deletedPaths.delete(path);
+
+    // 値を直接設定する場合、保留中の数値演算は不要になる
+    const hadPendingOps = this.pendingOps.delete(path);
+
+    this.flatData[path] = value;
+    this._setExpiry(path, newExpiresAt);
+
+    // 値（または有効期限）が変更された場合のみ dirty マークをつける
+    if (oldValue !== value || hadPendingOps || oldExpiresAt !== newExpiresAt) {
+      this.dirtyPaths.add(path);
+    }
+  }
+
+  /**
+   * リーフを削除し、削除済みとして記録する（存在しない場合は何もしない）
+   * @param {string} path - リーフのパス
+   * @returns {void}
+   * @private
+   */
+  _removeLeaf(path) {
+    if (path in this.flatData) {
+      delete this.flatData[path];
+      this.deletedPaths.add(path);
+      this.dirtyPaths.delete(path); // dirty フラグは削除
+      this.pendingOps.delete(path);
+      this.expiresAt.delete(path);
+    }
+  }
+
+  /**
+   * リーフの有効期限を取得する
+   * @param {string} path - 正規化されたパス
+   * @returns {number|null} 有効期限（UNIX 秒）。有効期限がない場合は null
+   * @private
+   */
+  _getExpiry(path) {
+    return this.expiresAt.has(path) ? this.expiresAt.get(path) : null;
+  }
+
+  /**
+   * リーフの有効期限を設定する
+   * @param {string} path - 正規化されたパス
+   * @param {number|null} expiresAt - 有効期限（UNIX 秒）。null の場合は有効期限なし
+   * @returns {void}
+   * @private
+   */
+  _setExpiry(path, expiresAt) {
+    if (expiresAt === null) {
+      this.expiresAt.delete(path);
+    } else {
+      this.expiresAt.set(path, expiresAt);
+    }
+  }
+
+  /**
+   * set() の ttl オプションから書き込むリーフの有効期限を決める
+   * @param {number|null|undefined} ttl - set() に指定された ttl
+   * @returns {number|null|undefined} 有効期限（UNIX 秒）。null は有効期限なし、undefined は既存の有効期限を引き継ぐ
+   * @throws {Error} ttl が正の数値でない場合
+   * @private
+   */
+  _expiryFor(ttl) {
+    if (ttl === null) {
+      return null;
+    }
+
+    if (ttl !== undefined) {
+      return expiryFromTtl(normalizeTtl(ttl));
+    }
+
+    return this.ttl === null ? undefined : expiryFromTtl(this.ttl);
+  }
+
+  /**
+   * 有効期限を過ぎたリーフをメモリキャッシュから取り除く（未保存の変更があるリーフは除く）
+   * D1 上の行は存在しないものとして扱われるため、削除は記録しない
+   * @returns {void}
+   * @private
+   */
+  _pruneExpired() {
+    const now = Date.now() / 1000;
+
+    for (const [path, expiresAt] of this.expiresAt) {
+      if (expiresAt <= now && !this.dirtyPaths.has(path) && !this.pendingOps.has(path)) {
+        delete this.flatData[path];
+        delete this.originalFlatData[path];
+        this.expiresAt.delete(path);
+        this.originalExpiresAt.delete(path);
+      }
+    }
+  }
+
+  /**
+   * メモリ内の変更をD1に永続化する
+   * D1 上のリビジョンが読み込み時点から進んでいる場合は何も書き込まずに ConflictError を投げる。
+   * retry を指定した場合は競合時にオブジェクトを再ロードし、retry(doc) で変更を再適用してから再保存する
+   * @param {Object} [options] - 保存オプション
+   * @param {function(Document): (void|Promise<void>)} [options.retry] - 競合時に変更を再適用する関数
+   * @param {number} [options.maxRetries=3] - 競合時に再試行する最大回数
+   * @returns {Promise<void>}
+   * @throws {ConflictError} リビジョンが競合し、再試行しても解消しなかった場合
+   * @throws {ValidationError} オブジェクトが defineSchema() で登録したスキーマに一致しない場合（何も書き込まない）
+   * @throws {UniqueViolationError} 一意インデックスの値を別のオブジェクトが既に持っている場合（何も書き込まない）
+   * @throws {SaveVetoedError} beforeSave フックが保存を中止した場合（何も書き込まない）
+   * @throws {Error} D1への書き込みに失敗した場合
+   */
+  async save(options = {}) {
+    if (this.transaction) {
+      throw new Error('Objects opened in a transaction are saved when the transaction commits');
+    }
+
+    const { retry, maxRetries = DEFAULT_MAX_RETRIES } = options;
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this._saveOnce();
+        return;
+      } catch (error) {
+        if (!(error instanceof ConflictError) || typeof retry !== 'function' || attempt >= maxRetries) {
+          throw error;
+        }
+
+        // 競合した変更は破棄して最新の状態を再ロードし、呼び出し元の変更を再適用する
+        await this.reload();
+        await retry(this);
+      }
+    }
+  }
+
+  /**
+   * リビジョンを検証しながら変更を1回だけ D1 に書き込む
+   * @returns {Promise<void>}
+   * @throws {ConflictError} リビジョンが競合した場合
+   * @throws {ValidationError} オブジェクトがスキーマに一致しない場合
+   * @throws {UniqueViolationError} 一意インデックスの値を別のオブジェクトが既に持っている場合
+   * @throws {SaveVetoedError} beforeSave フックが保存を中止した場合
+   * @throws {Error} D1への書き込みに失敗した場合
+   * @private
+   */
+  async _saveOnce() {
+    const objId = this.objId;
+    let prepared;
+    let results = [];
+
+    await this._beforeSave();
+    const original = this.originalFlatData;
+
+    try {
+      prepared = this._prepareSave();
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new Error(`Failed to save object "${objId}" to D1: ${error.message}`);
+    }
+
+    try {
+      // batch API で一括実行（1つのトランザクションとして実行される）
+      if (prepared.statements.length > 0) {
+        results = await this.d1.batch(batchStatements([prepared]));
+      }
+    } catch (error) {
+      const conflict = await this._detectConflict().catch(() => null);
+      if (conflict) {
+        throw conflict;
+      }
+      throw new Error(`Failed to save object "${objId}" to D1: ${error.message}`);
+    }
+
+    prepared.commit(results);
+    await this._afterSave(original);
+  }
+
+  /**
+   * 未保存の変更があれば beforeSave フックを呼び出す
+   * @returns {Promise<void>}
+   * @throws {SaveVetoedError} フックが保存を中止した場合
+   * @private
+   */
+  async _beforeSave() {
+    if (this.hooks.has('beforeSave') && this.hasUnsavedChanges()) {
+      await this.hooks.emit('beforeSave', this.objId, () => this.getChanges(), { document: this });
+    }
+  }
+
+  /**
+   * 保存の後に afterSave と change フックを呼び出す
+   * 数値演算の結果は D1 から返された値が反映された後の値を渡す
+   * @param {Object} original - 保存前の originalFlatData
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _afterSave(original) {
+    if (!this.hooks.has('afterSave') && !this.hooks.has('change')) {
+      return;
+    }
+
+    const changes = computeChanges(original, this.flatData);
+    await this.hooks.emit('afterSave', this.objId, () => changes, { document: this, revision: this.revision });
+    await this.hooks.emit('change', this.objId, () => changes, { document: this, revision: this.revision });
+  }
+
+  /**
+   * 保存に必要な SQL 文を組み立てる（実行はしない）
+   * 先頭はリビジョンを進める文で、通常の変更がある場合はリビジョンの検証も行う。
+   * リビジョンが一致しない場合、この文は NOT NULL 制約に違反して batch 全体をロールバックさせる。
+   * 数値演算のみの場合はリビジョンを検証せずに進める。履歴を記録する場合は各変更の後に履歴を書き込む。
+   * インデックスを更新する文は indexStatements として分けて返し、batchStatements() で書き込みの後に並べる
+   * @returns {{statements: D1PreparedStatement[], indexStatements: {deletes: D1PreparedStatement[], inserts: D1PreparedStatement[]},
+   *   commit: function(Array): void}} 実行する SQL 文、インデックスの行を削除・記録し直す SQL 文と、
+   *   batch の成功後に statements の結果を渡してメモリ上の状態を確定する関数
+   * @throws {ValidationError} 変更があり、オブジェクトがスキーマに一致しない場合
+   * @private
+   */
+  _prepareSave() {
+    const objId = this.objId;
+    const expectedRevision = this.revision;
+    const statements = [];
+    const indexStatements = { deletes: [], inserts: [] };
+    const history = this.historyTables;
+
+    if (this.hasUnsavedChanges()) {
+      const errors = this.validate();
+      if (errors.length > 0) {
+        throw new ValidationError(objId, errors);
+      }
+    }
+
+    // 削除されたパスの処理
+    for (const path of this.deletedPaths) {
+      // 元のデータに存在していた場合のみ DELETE を実行
+      if (path in this.originalFlatData) {
+        const deleteStmt = this.d1.prepare(
+          `DELETE FROM ${this.table} WHERE obj_id = ? AND key_path = ?`
+        ).bind(objId, path);
+        statements.push(deleteStmt);
+
+        if (history) {
+          statements.push(recordChangeStatement(
+            this.d1, history, objId, path, toStorageFormat(this.originalFlatData[path]), null
+          ));
+        }
+      }
+    }
+
+    // 変更・追加されたパスの処理
+    for (const path of this.dirtyPaths) {
+      const value = this.flatData[path];
+      const { value: serializedValue, type: valueType } = toStorageFormat(value);
+
+      // UPSERT (INSERT OR REPLACE)
+      const upsertStmt = this.d1.prepare(
+        `INSERT INTO ${this.table} (obj_id, key_path, value, value_type, expires_at, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, unixepoch(), unixepoch())
+         ON CONFLICT(obj_id, key_path)
+         DO UPDATE SET value = excluded.value, value_type = excluded.value_type, expires_at = excluded.expires_at, updated_at = unixepoch()`
+      ).bind(objId, path, serializedValue, valueType, this._getExpiry(path));
+
+      statements.push(upsertStmt);
+
+      if (history) {
+        const before = path in this.originalFlatData ? toStorageFormat(this.originalFlatData[path]) : null;
+        statements.push(recordChangeStatement(
+          this.d1, history, objId, path, before, { value: serializedValue, type: valueType }
+        ));
+      }
+    }
+
+    const hasWrites = statements.length > 0;
+
+    // 数値演算の処理（D1 上の値に対して実行し、結果を RETURNING で受け取る）
+    const opResults = []; // [パス, statements 内の位置]
+    for (const [path, ops] of this.pendingOps) {
+      if (history) {
+        statements.push(recordBeforeOpStatement(this.d1, history, objId, path));
+      }
+
+      for (const { op, operand } of ops) {
+        opResults.push([path, statements.length]);
+        statements.push(this._numericOpStatement(path, op, operand));
+      }
+
+      if (history) {
+        statements.push(recordAfterOpStatement(this.d1, history, objId, path));
+      }
+    }
+
+    // インデックスのパスを変更した場合は、書き込み後の D1 上の値でインデックスを更新する
+    for (const index of this._changedIndexes()) {
+      const [deleteRows, insertRows] = compileIndexRefresh(this.indexTables, index, { objId });
+      indexStatements.deletes.push(this.d1.prepare(deleteRows.sql).bind(...deleteRows.params));
+      indexStatements.inserts.push(this.d1.prepare(insertRows.sql).bind(...insertRows.params));
+    }
+
+    if (statements.length === 0) {
+      return { statements, indexStatements, commit: () => this._markSaved() };
+    }
+
+    // オブジェクト単位の TTL がある場合は、個別の書き込みより先にオブジェクト全体の有効期限を延長する
+    // （有効期限切れの行は延長しない）
+    const objectExpiry = this.ttl !== null ? expiryFromTtl(this.ttl) : null;
+    if (objectExpiry !== null) {
+      statements.unshift(this.d1.prepare(
+        `UPDATE ${this.table} SET expires_at = ?
+         WHERE obj_id = ? AND (expires_at IS NULL OR expires_at > unixepoch())`
+      ).bind(objectExpiry, objId));
+    }
+
+    if (hasWrites) {
+      // リビジョンを検証して進める。一致しない場合は revision に NULL を書き込もうとして
+      // NOT NULL 制約違反となり、同じ batch 内の書き込みはすべてロールバックされる
+      statements.unshift(this.d1.prepare(
+        `INSERT INTO ${this.revisionTable} (obj_id, revision, updated_at)
+         VALUES (?, CASE WHEN COALESCE((SELECT revision FROM ${this.revisionTable} WHERE obj_id = ?), 0) = ? THEN ? ELSE NULL END, unixepoch())
+         ON CONFLICT(obj_id)
+         DO UPDATE SET revision = excluded.revision, updated_at = unixepoch()`
+      ).bind(objId, objId, expectedRevision, expectedRevision + 1));
+    } else {
+      // 数値演算のみの場合は検証せずにリビジョンを進める
+      statements.unshift(this.d1.prepare(
+        `INSERT INTO ${this.revisionTable} (obj_id, revision, updated_at)
+         VALUES (?, 1, unixepoch())
+         ON CONFLICT(obj_id)
+         DO UPDATE SET revision = revision + 1, updated_at = unixepoch()
+         RETURNING revision`
+      ).bind(objId));
+    }
+
+    // 先頭に追加した文（リビジョン、オブジェクトの有効期限）の分だけ演算結果の位置がずれる
+    const offset = objectExpiry !== null ? 2 : 1;
+    const writtenPaths = new Set(this.dirtyPaths);
+
+    return {
+      statements,
+      indexStatements,
+      commit: (results = []) => {
+        // 個別に書き込まなかったリーフはオブジェクトの有効期限に延長されている
+        if (objectExpiry !== null) {
+          for (const path of Object.keys(this.flatData)) {
+            if (!writtenPaths.has(path)) {
+              this._setExpiry(path, objectExpiry);
+            }
+          }
+        }
+
+        // D1 上の演算結果でメモリキャッシュを更新する
+        for (const [path, index] of opResults) {
+          const result = results[index + offset];
+          const row = result && result.results && result.results[0];
+          if (row) {
+            this.flatData[path] = fromStorageFormat(String(row.value), 'number');
+            this._setExpiry(path, row.expires_at === null || row.expires_at === undefined ? null : Number(row.expires_at));
+          }
+        }
+
+        if (hasWrites) {
+          this.revision = expectedRevision + 1;
+        } else {
+          // 他のリクエストが間に保存していない場合のみ、メモリ上のデータを最新のリビジョンとみなす
+          const row = results[0] && results[0].results && results[0].results[0];
+          if (row && Number(row.revision) === expectedRevision + 1) {
+            this.revision = expectedRevision + 1;
+          }
+        }
+
+        this._markSaved();
+      }
+    };
+  }
+
+  /**
+   * 数値演算を D1 上で実行する SQL 文を作成する
+   * 値が存在しない（または有効期限切れの）場合は operand を値として作成し、value_type は常に 'number' にする
+   * @param {string} path - 数値のパス
+   * @param {'add'|'max'|'min'} op - 演算の種類
+   * @param {number} operand - 演算の値
+   * @returns {D1PreparedStatement} 演算後の値と有効期限を RETURNING で返す SQL 文
+   * @private
+   */
+  _numericOpStatement(path, op, operand) {
+    const expressions = {
+      add: 'CAST(value AS NUMERIC) + ?',
+      max: 'MAX(CAST(value AS NUMERIC), ?)',
+      min: 'MIN(CAST(value AS NUMERIC), ?)'
+    };
+    const expired = 'expires_at IS NOT NULL AND expires_at <= unixepoch()';
+    const expiresAt = this.ttl !== null ? expiryFromTtl(this.ttl) : null;
+
+    return this.d1.prepare(
+      `INSERT INTO ${this.table} (obj_id, key_path, value, value_type, expires_at, created_at, updated_at)
+       VALUES (?, ?, ?, 'number', ?, unixepoch(), unixepoch())
+       ON CONFLICT(obj_id, key_path)
+       DO UPDATE SET
+         value = CASE WHEN ${expired} THEN excluded.value ELSE ${expressions[op]} END,
+         expires_at = CASE WHEN ${expired} THEN excluded.expires_at ELSE expires_at END,
+         value_type = 'number', updated_at = unixepoch()
+       RETURNING value, expires_at`
+    ).bind(this.objId, path, serializeValue(operand), expiresAt, operand);
+  }
+
+  /**
+   * 保存の失敗の原因として、リビジョンの競合と一意インデックスの値の重複を確認する
+   * @returns {Promise<ConflictError|UniqueViolationError|null>} 競合している場合は ConflictError、
+   *   一意インデックスの値が重複している場合は UniqueViolationError、それ以外は null
+   * @private
+   */
+  async _detectConflict() {
+    const row = await this.d1.prepare(
+      `SELECT revision FROM ${this.revisionTable} WHERE obj_id = ?`
+    ).bind(this.objId).first();
+
+    const currentRevision = row ? Number(row.revision) : 0;
+    if (currentRevision !== this.revision) {
+      return new ConflictError(this.objId, this.revision);
+    }
+
+    for (const { index, value, stored } of this._pendingUniqueValues()) {
+      const { sql, params } = compileUniqueOwner(this.indexTables.indexes, index, stored, this.objId);
+      const row = await this.d1.prepare(sql).bind(...params).first();
+
+      if (row) {
+        return new UniqueViolationError(index.name, value, this.objId, row.obj_id);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * 未保存の変更で一意インデックスに書き込む値を返す
+   * @returns {Array<{index: Object, value: any, stored: {value: string, type: string}}>} インデックスの定義、値とその保存形式
+   * @private
+   */
+  _pendingUniqueValues() {
+    const values = [];
+
+    for (const index of this._changedIndexes()) {
+      const stored = index.unique && index.path in this.flatData ? toIndexValue(this.flatData[index.path]) : null;
+      if (stored !== null) {
+        values.push({ index, value: this.flatData[index.path], stored });
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * 未保存の変更でパスの値が変わるインデックスを返す
+   * @returns {Array<{name: string, path: string, prefix: string|null, unique: boolean}>} インデックスの定義
+   * @private
+   */
+  _changedIndexes() {
+    return [...this.indexes.values()].filter((index) => indexApplies(index, this.objId) &&
+      (this.dirtyPaths.has(index.path) || this.deletedPaths.has(index.path) || this.pendingOps.has(index.path)));
+  }
+
+  /**
+   * 保存が成功したら、originalFlatData を更新し、dirty フラグをクリアする
+   * @returns {void}
+   * @private
+   */
+  _markSaved() {
+    this.originalFlatData = Object.assign(createFlatObject(), this.flatData);
+    this.originalExpiresAt = new Map(this.expiresAt);
+    this.dirtyPaths.clear();
+    this.deletedPaths.clear();
+    this.pendingOps.clear();
+  }
+
+  /**
+   * 未保存の変更を破棄し、読み込み時点（または直近の save() 後）の状態に戻す
+   * @returns {void}
+   * @private
+   */
+  _discardChanges() {
+    this.flatData = Object.assign(createFlatObject(), this.originalFlatData);
+    this.expiresAt = new Map(this.originalExpiresAt);
+    this.dirtyPaths.clear();
+    this.deletedPaths.clear();
+    this.pendingOps.clear();
+  }
+
+  /**
+   * オブジェクト全体を取得する
+   * @returns {Object} ネストされたオブジェクト
+   * @throws {Error} オブジェクトを部分的にしか読み込んでいない場合
+   */
+  getAll() {
+    if (this.loadedPaths !== null) {
+      throw new Error(`Object "${this.objId}" is only partially loaded. Call reload({ paths: null }) to load the whole object.`);
+    }
+
+    this._pruneExpired();
+    return unflatten(this.flatData);
+  }
+
+  /**
+   * 読み込み時点（または直近の save() 後）から変更されたパスの一覧を取得する
+   * 数値演算はメモリ上で計算した値を newValue とする
+   * @returns {Array<{path: string, action: 'create'|'update'|'delete', oldValue: any, newValue: any}>}
+   *   パスの昇順の変更の一覧（存在しなかった値は undefined）
+   */
+  getChanges() {
+    this._pruneExpired();
+    return computeChanges(this.originalFlatData, this.flatData);
+  }
+
+  /**
+   * defineSchema() で登録したスキーマのうち、オブジェクトIDに一致するものでオブジェクトを検証する（保存はしない）
+   * 部分的に読み込んだ場合は、読み込んだパスの配下のエラーのみを返す
+   * @returns {Array<{path: string, message: string}>} パスごとの検証エラー（問題がない場合は空の配列）
+   *
+   * 例:
+   *   doc.validate() → [{ path: 'profile.age', message: 'must be of type integer' }]
+   */
+  validate() {
+    const schemas = [];
+    for (const [pattern, schema] of this.schemas) {
+      if (matchesObjIdPattern(pattern, this.objId)) {
+        schemas.push(schema);
+      }
+    }
+
+    if (schemas.length === 0) {
+      return [];
+    }
+
+    this._pruneExpired();
+    const data = unflatten(this.flatData);
+    const errors = schemas.flatMap((schema) => validateValue(schema, data));
+
+    return this.loadedPaths === null ? errors : errors.filter(({ path }) => this._isLoaded(path));
+  }
+
+  /**
+   * 読み込み時点（または直近の save() 後）のリビジョンを取得する
+   * @returns {number} リビジョン番号（未保存のオブジェクトは 0）
+   */
+  getRevision() {
+    return this.revision;
+  }
+
+  /**
+   * 未保存の変更があるかどうかを確認する
+   * @returns {boolean} 未保存の変更がある場合 true
+   */
+  hasUnsavedChanges() {
+    return this.dirtyPaths.size > 0 || this.deletedPaths.size > 0 || this.pendingOps.size > 0;
+  }
+
+  /**
+   * オブジェクト全体を設定する（既存のデータは全て削除される）
+   * @param {Object} obj - 設定するオブジェクト
+   * @param {Object} [options] - オプション
+   * @param {number} [options.ttl] - 有効期間（秒）。すべてのリーフに同じ有効期限を設定する（省略時はオブジェクト単位の TTL）
+   * @returns {void}
+   * @throws {Error} オブジェクトを部分的にしか読み込んでいない場合（読み込んでいない行を削除できないため）、
+   *   または ttl が正の数値でない場合
+   */
+  setAll(obj, options = {}) {
+    if (this.loadedPaths !== null) {
+      throw new Error(`Object "${this.objId}" is only partially loaded. Call reload({ paths: null }) before setAll().`);
+    }
+
+    const expiry = this._expiryFor(options.ttl);
+    const expiresAt = expiry === undefined ? null : expiry;
+
+    // 既存のすべてのキーを削除対象とする
+    for (const path of Object.keys(this.flatData)) {
+      this.deletedPaths.add(path);
+    }
+    // 以前の変更で書き込み対象になったパスは新しいデータに含まれない限り書き込まない
+    this.dirtyPaths.clear();
+    this.pendingOps.clear();
+
+    // 新しいオブジェクトを平坦化
+    const newFlatData = flatten(obj);
+
+    // 新しいデータを設定
+    this.flatData = createFlatObject();
+    this.expiresAt = new Map();
+    for (const [path, value] of Object.entries(newFlatData)) {
+      this.flatData[path] = value;
+      this._setExpiry(path, expiresAt);
+      this.dirtyPaths.add(path);
+      // 削除対象から除外
+      this.deletedPaths.delete(path);
+    }
+  }
+
+  /**
+   * JSON Patch (RFC 6902) を適用する（メモリ内のみ）
+   * 操作は先頭から順に set() / delete() / insert() / removeAt() に変換して適用する。
+   * いずれかの操作が失敗した場合（test の不一致を含む）は、パッチのすべての操作を取り消してエラーを投げる
+   * @param {Array<{op: string, path: string, value?: any, from?: string}>} operations - パッチの操作の配列
+   * @returns {void}
+   * @throws {PatchTestFailedError} test 操作の値が一致しなかった場合
+   * @throws {PatchError} 操作が不正な場合、または対象のパスが存在しないなど操作を適用できない場合
+   *
+   * 例:
+   *   doc.applyPatch([
+   *     { op: 'test', path: '/profile/version', value: 3 },
+   *     { op: 'replace', path: '/profile/name', value: 'Alice' },
+   *     { op: 'add', path: '/tags/-', value: 'admin' }
+   *   ]);
+   */
+  applyPatch(operations) {
+    if (!Array.isArray(operations)) {
+      throw new Error('JSON Patch must be an array of operations');
+    }
+
+    const snapshot = this._snapshot();
+    try {
+      operations.forEach((operation, index) => this._applyPatchOperation(operation, index));
+    } catch (error) {
+      this._restore(snapshot);
+      throw error;
+    }
+  }
+
+  /**
+   * JSON Merge Patch (RFC 7386) を適用する（メモリ内のみ）
+   * null のメンバーは削除し、オブジェクトのメンバーは再帰的にマージし、それ以外の値（配列を含む）は置き換える
+   * @param {Object|any} patch - マージパッチ（path を指定しない場合はオブジェクトのみ）
+   * @param {string|Array|null} [path=null] - 指定した場合、このパスの値にマージする（null のパッチは削除、オブジェクト以外は置き換え）
+   * @returns {void}
+   * @throws {Error} パッチやパスが不正な場合、または読み込んでいないパスを含む場合（変更はすべて取り消される）
+   *
+   * 例:
+   *   doc.applyMergePatch({ profile: { name: 'Alice', nickname: null }, tags: ['a', 'b'] });
+   *   doc.applyMergePatch({ theme: 'dark' }, 'settings');
+   */
+  applyMergePatch(patch, path = null) {
+    if (path === null && !isPlainObject(patch)) {
+      throw new Error('JSON Merge Patch must be an object');
+    }
+
+    if (path !== null && !isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+
+    const snapshot = this._snapshot();
+    try {
+      if (path === null) {
+        this._applyMergePatch([], patch);
+      } else {
+        this._applyMergeValue(parsePath(path), patch);
+      }
+    } catch (error) {
+      this._restore(snapshot);
+      throw error;
+    }
+  }
+
+  /**
+   * 未保存の変更を JSON Patch (RFC 6902) に変換する
+   * 読み込み時点（または直近の save() 後）のオブジェクトにこのパッチを適用すると現在の状態になる。
+   * 新しく作成したオブジェクトや配列はまとめて1つの add 操作になる。数値演算はメモリ上で計算した値の replace / add 操作になる
+   * @returns {Array<{op: string, path: string, value?: any}>} パッチの操作の配列（変更がない場合は空の配列）
+   *
+   * 例:
+   *   doc.set('profile.name', 'Bob');
+   *   doc.push('tags', 'new');
+   *   doc.diffPatch() → [{ op: 'replace', path: '/profile/name', value: 'Bob' }, { op: 'add', path: '/tags/2', value: 'new' }]
+   */
+  diffPatch() {
+    this._pruneExpired();
+
+    const original = this.originalFlatData;
+    const current = this.flatData;
+    const originalPaths = collectPaths(original);
+    const currentPaths = collectPaths(current);
+    const replaced = new Set();
+    const added = new Set();
+    const removed = new Set();
+
+    const candidates = new Set([...this.dirtyPaths, ...this.deletedPaths, ...this.pendingOps.keys()]);
+    for (const path of candidates) {
+      const segments = parsePath(path);
+
+      if (path in current) {
+        if (path in original && isSameStoredValue(original[path], current[path])) {
+          continue;
+        }
+
+        // 新しく作成された最上位の祖先、または値からオブジェクト・配列に変わった祖先をまとめて置き換える
+        let target = path;
+        let op = originalPaths.has(path) ? 'replace' : 'add';
+        for (let i = 1; i < segments.length; i++) {
+          const ancestor = formatPath(segments.slice(0, i));
+          if (!this._isLoaded(ancestor)) {
+            continue;
+          }
+          if (ancestor in original) {
+            target = ancestor;
+            op = 'replace';
+            break;
+          }
+          if (!originalPaths.has(ancestor)) {
+            target = ancestor;
+            op = 'add';
+            break;
+          }
+        }
+        (op === 'add' ? added : replaced).add(target);
+      } else if (path in original && !currentPaths.has(path)) {
+        // 配下がすべて削除された最上位の祖先をまとめて削除する（祖先が値に置き換わった場合はその replace に含まれる）
+        let target = path;
+        for (let i = 1; i < segments.length; i++) {
+          const ancestor = formatPath(segments.slice(0, i));
+          if (!this._isLoaded(ancestor)) {
+            continue;
+          }
+          if (ancestor in current) {
+            target = null;
+            break;
+          }
+          if (!currentPaths.has(ancestor)) {
+            target = ancestor;
+            break;
+          }
+        }
+        if (target !== null) {
+          removed.add(target);
+        }
+      }
+    }
+
+    // 他の操作の値に含まれるパスの操作は除く
+    const covering = [...replaced, ...added];
+    const isCovered = (path) => covering.some((other) => other !== path && isPathWithin(path, other));
+    const valueOf = (path) => (path in current ? current[path] : unflatten(getSubtree(current, path)));
+
+    // 配列のインデックスがずれないように、置き換え、末尾からの削除、先頭からの追加の順に並べる
+    return [
+      ...[...replaced].filter((path) => !isCovered(path)).sort(comparePaths)
+        .map((path) => ({ op: 'replace', path: toPointer(path), value: valueOf(path) })),
+      ...[...removed].filter((path) => !isCovered(path)).sort((a, b) => comparePaths(b, a))
+        .map((path) => ({ op: 'remove', path: toPointer(path) })),
+      ...[...added].filter((path) => !isCovered(path)).sort(comparePaths)
+        .map((path) => ({ op: 'add', path: toPointer(path), value: valueOf(path) }))
+    ];
+  }
+
+  /**
+   * JSON Patch の1つの操作を適用する
+   * @param {Object} operation - パッチの操作
+   * @param {number} index - 操作の位置（エラーメッセージ用）
+   * @returns {void}
+   * @throws {PatchError} 操作を適用できない場合
+   * @private
+   */
+  _applyPatchOperation(operation, index) {
+    const fail = (reason) => {
+      throw new PatchError(index, operation, reason);
+    };
+
+    if (!isPlainObject(operation) || typeof operation.op !== 'string') {
+      fail('operation must be an object with an "op" member');
+    }
+
+    const { op } = operation;
+    const requireValue = () => {
+      if (!Object.prototype.hasOwnProperty.call(operation, 'value')) {
+        fail('missing "value" member');
+      }
+      return operation.value;
+    };
+    const requireExisting = (target) => {
+      const value = this._getPatchTarget(target);
+      if (value === undefined) {
+        fail(`path "${target.pointer}" does not exist`);
+      }
+      return value;
+    };
+
+    try {
+      switch (op) {
+        case 'add':
+          this._patchAdd(this._resolvePointer(operation.path, fail), requireValue(), fail);
+          break;
+
+        case 'remove':
+          this._patchRemove(this._resolvePointer(operation.path, fail), fail);
+          break;
+
+        case 'replace': {
+          const target = this._resolvePointer(operation.path, fail);
+          const value = requireValue();
+          requireExisting(target);
+          this._patchReplace(target, value);
+          break;
+        }
+
+        case 'move':
+        case 'copy': {
+          const from = this._resolvePointer(operation.from, fail);
+          const value = requireExisting(from);
+          if (op === 'move' && operation.path !== from.pointer && operation.path.startsWith(`${from.pointer}/`)) {
+            fail('cannot move a value into one of its children');
+          }
+          if (op === 'move') {
+            if (operation.path === from.pointer) {
+              break;
+            }
+            this._patchRemove(from, fail);
+          }
+          this._patchAdd(this._resolvePointer(operation.path, fail), value, fail);
+          break;
+        }
+
+        case 'test': {
+          const target = this._resolvePointer(operation.path, fail);
+          const expected = requireValue();
+          if (!isDeepEqual(this._getPatchTarget(target), expected)) {
+            throw new PatchTestFailedError(index, operation);
+          }
+          break;
+        }
+
+        default:
+          fail(`unsupported operation "${op}"`);
+      }
+    } catch (error) {
+      if (error instanceof PatchError) {
+        throw error;
+      }
+      fail(error.message);
+    }
+  }
+
+  /**
+   * JSON Pointer を正規化されたセグメントに変換する
+   * 親が配列の場合は数値のセグメントを配列インデックスとして扱い、末尾の "-" は配列の末尾を表す
+   * @param {string} pointer - JSON Pointer
+   * @param {function(string): never} fail - エラーを投げる関数
+   * @returns {{pointer: string, segments: Array<string|number>, parent: Array<string|number>, last: string|number|undefined, inArray: boolean}}
+   *   解決したパス（ルートの場合は segments が空）
+   * @private
+   */
+  _resolvePointer(pointer, fail) {
+    const raw = parsePointer(pointer);
+    if (raw === null) {
+      fail(`invalid JSON Pointer: ${pointer}`);
+    }
+
+    const segments = [];
+    let inArray = false;
+    raw.forEach((segment, i) => {
+      inArray = segments.length > 0 && this._isArrayPath(formatPath(segments));
+      if (!inArray) {
+        segments.push(segment);
+      } else if (segment === '-' && i === raw.length - 1) {
+        segments.push('-');
+      } else if (isIndexSegment(segment)) {
+        segments.push(Number(segment));
+      } else {
+        fail(`invalid array index "${segment}" in ${pointer}`);
+      }
+    });
+
+    return {
+      pointer,
+      segments,
+      parent: segments.slice(0, -1),
+      last: segments[segments.length - 1],
+      inArray
+    };
+  }
+
+  /**
+   * JSON Patch の対象の値を取得する
+   * @param {Object} target - _resolvePointer() で解決したパス
+   * @returns {any} 値。存在しない場合は undefined
+   * @private
+   */
+  _getPatchTarget(target) {
+    if (target.segments.length === 0) {
+      return this.loadedPaths === null ? this.getAll() : undefined;
+    }
+
+    if (target.last === '-') {
+      return undefined;
+    }
+
+    return this.get(target.segments);
+  }
+
+  /**
+   * JSON Patch の add 操作を適用する
+   * @param {Object} target - _resolvePointer() で解決したパス
+   * @param {any} value - 追加する値
+   * @param {function(string): never} fail - エラーを投げる関数
+   * @returns {void}
+   * @private
+   */
+  _patchAdd(target, value, fail) {
+    if (target.segments.length === 0) {
+      this._patchReplace(target, value);
+      return;
+    }
+
+    if (target.parent.length > 0) {
+      const parent = this.get(target.parent);
+      if (parent === null || typeof parent !== 'object') {
+        fail(`parent of "${target.pointer}" does not exist`);
+      }
+    }
+
+    if (!target.inArray) {
+      this.set(target.segments, value);
+      return;
+    }
+
+    const length = this._getArray(target.parent).length;
+    const position = target.last === '-' ? length : target.last;
+    if (position > length) {
+      fail(`index ${position} is out of bounds`);
+    }
+    this.insert(target.parent, position, value);
+  }
+
+  /**
+   * JSON Patch の remove 操作を適用する
+   * @param {Object} target - _resolvePointer() で解決したパス
+   * @param {function(string): never} fail - エラーを投げる関数
+   * @returns {void}
+   * @private
+   */
+  _patchRemove(target, fail) {
+    if (target.segments.length === 0) {
+      this.setAll({});
+      return;
+    }
+
+    if (this._getPatchTarget(target) === undefined) {
+      fail(`path "${target.pointer}" does not exist`);
+    }
+
+    if (target.inArray) {
+      this.removeAt(target.parent, target.last);
+    } else {
+      this.delete(target.segments);
+    }
+
+    // 最後のメンバーを削除した場合も、JSON Patch と同じく空のオブジェクト・配列を残す
+    if (target.parent.length > 0 && this.get(target.parent) === undefined) {
+      this.set(target.parent, target.inArray ? [] : {});
+    }
+  }
+
+  /**
+   * JSON Patch の replace 操作を適用する（対象が存在することは呼び出し元で確認する）
+   * @param {Object} target - _resolvePointer() で解決したパス
+   * @param {any} value - 新しい値
+   * @returns {void}
+   * @throws {Error} ルートをオブジェクト以外の値で置き換えようとした場合
+   * @private
+   */
+  _patchReplace(target, value) {
+    if (target.segments.length > 0) {
+      this.set(target.segments, value);
+      return;
+    }
+
+    if (!isPlainObject(value)) {
+      throw new Error('the root must be replaced with an object');
+    }
+    this.setAll(value);
+  }
+
+  /**
+   * JSON Merge Patch のオブジェクトを指定したパスにマージする
+   * @param {string[]} base - マージ先のセグメント（ルートの場合は空の配列）
+   * @param {Object} patch - マージパッチのオブジェクト
+   * @returns {void}
+   * @private
+   */
+  _applyMergePatch(base, patch) {
+    for (const [key, value] of Object.entries(patch)) {
+      this._applyMergeValue([...base, key], value);
+    }
+  }
+
+  /**
+   * JSON Merge Patch の1つの値を指定したパスに適用する
+   * @param {Array<string|number>} segments - 適用先のセグメント
+   * @param {any} value - マージパッチの値
+   * @returns {void}
+   * @private
+   */
+  _applyMergeValue(segments, value) {
+    if (value === null) {
+      if (this.get(segments) !== undefined) {
+        this.delete(segments);
+      }
+    } else if (isPlainObject(value)) {
+      if (isPlainObject(this.get(segments))) {
+        this._applyMergePatch(segments, value);
+      } else {
+        this.set(segments, withoutNulls(value));
+      }
+    } else {
+      this.set(segments, value);
+    }
+  }
+
+  /**
+   * 未保存の変更を含むメモリ上の状態を保存する
+   * @returns {Object} _restore() に渡すスナップショット
+   * @private
+   */
+  _snapshot() {
+    return {
+      flatData: Object.assign(createFlatObject(), this.flatData),
+      expiresAt: new Map(this.expiresAt),
+      dirtyPaths: new Set(this.dirtyPaths),
+      deletedPaths: new Set(this.deletedPaths),
+      pendingOps: new Map([...this.pendingOps].map(([path, ops]) => [path, ops.map((entry) => ({ ...entry }))]))
+    };
+  }
+
+  /**
+   * _snapshot() で保存した状態に戻す
+   * @param {Object} snapshot - スナップショット
+   * @returns {void}
+   * @private
+   */
+  _restore(snapshot) {
+    this.flatData = snapshot.flatData;
+    this.expiresAt = snapshot.expiresAt;
+    this.dirtyPaths = snapshot.dirtyPaths;
+    this.deletedPaths = snapshot.deletedPaths;
+    this.pendingOps = snapshot.pendingOps;
+  }
+}
+
+/**
+ * 同じ d1.batch で保存するドキュメントが、一意インデックスに同じ値を書き込もうとしていないかを確認する
+ * Document#_detectConflict() は保存済みの値としか比較できないため、saveMany() とトランザクションが batch の前に呼び出す
+ * @param {Document[]} documents - 保存するドキュメント
+ * @returns {UniqueViolationError|null} 値が重複している場合は後から保存するドキュメントのエラー、それ以外は null
+ */
+export function findPendingUniqueViolation(documents) {
+  const claimed = new Map(); // インデックスの名前と値 → 最初に書き込むオブジェクトID
+
+  for (const doc of documents) {
+    for (const { index, value, stored } of doc._pendingUniqueValues()) {
+      // 数値はインデックスと同じく表記の違い（"31" と "31.0"）を区別しない
+      const key = JSON.stringify([index.name, stored.type, stored.type === 'number' ? Number(stored.value) : stored.value]);
+      const owner = claimed.get(key);
+
+      if (owner === undefined) {
+        claimed.set(key, doc.objId);
+      } else if (owner !== doc.objId) {
+        return new UniqueViolationError(index.name, value, doc.objId, owner);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * _prepareSave() の結果を1つの d1.batch で実行する順に並べる
+ * すべてのドキュメントの書き込みの後に、インデックスの行の削除、記録の順に実行する。
+ * 同じ batch で一意の値を入れ替える場合（A の値を B に、B の値を A に）も、記録の前に両方の古い行が削除される。
+ * 各ドキュメントの statements は先頭から順に並ぶため、結果は statements の数ごとに分けて commit() に渡せる
+ * @param {Array<{statements: D1PreparedStatement[], indexStatements: Object}>} prepared - _prepareSave() の結果
+ * @returns {D1PreparedStatement[]} 実行する SQL 文
+ */
+export function batchStatements(prepared) {
+  return [
+    ...prepared.flatMap(({ statements }) => statements),
+    ...prepared.flatMap(({ indexStatements }) => indexStatements.deletes),
+    ...prepared.flatMap(({ indexStatements }) => indexStatements.inserts)
+  ];
+}
+
+/**
+ * 平坦化データのキーとその祖先のパスをすべて集める
+ * @param {Object} flatData - 平坦化データ
+ * @returns {Set<string>} パスの集合
+ */
+function collectPaths(flatData) {
+  const paths = new Set();
+
+  for (const key of Object.keys(flatData)) {
+    const segments = parsePath(key);
+    for (let i = 1; i <= segments.length; i++) {
+      paths.add(formatPath(segments.slice(0, i)));
+    }
+  }
+
+  return paths;
+}
+
+/**
+ * JSON Merge Patch の値から null のメンバーを取り除く（新しく作成するオブジェクト用）
+ * @param {Object} value - マージパッチのオブジェクト
+ * @returns {Object} null のメンバーを再帰的に取り除いたオブジェクト
+ */
+function withoutNulls(value) {
+  const result = {};
+
+  for (const [key, member] of Object.entries(value)) {
+    if (member !== null) {
+      result[key] = isPlainObject(member) ? withoutNulls(member) : member;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 読み込むパスの指定を検証し、正規化されたパスの配列にする
+ * @param {Array<string|Array>|null} paths - 読み込むパスの配列（null の場合はオブジェクト全体）
+ * @returns {string[]|null} 正規化されたパスの配列
+ * @throws {Error} パスが無効な場合、または "items.3" のように配列要素かキーかを決められない場合（読み込む前のため親の値を参照できない）
+ */
+function normalizeLoadPaths(paths) {
+  if (paths === null) {
+    return null;
+  }
+
+  if (!Array.isArray(paths)) {
+    throw new Error('Load paths must be an array of paths');
+  }
+
+  return paths.map((path) => {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+    assertNoDottedIndex(path);
+    return formatPath(parsePath(path));
+  });
+}
+
+/**
+ * TTL を検証する
+ * @param {number} ttl - 有効期間（秒）
+ * @returns {number} 有効期間（秒）
+ * @throws {Error} 正の有限の数値でない場合
+ */
+function normalizeTtl(ttl) {
+  if (typeof ttl !== 'number' || !Number.isFinite(ttl) || ttl <= 0) {
+    throw new Error(`TTL must be a positive number of seconds: ${ttl}`);
+  }
+  return ttl;
+}
+
+/**
+ * 現在時刻から TTL 後の有効期限を計算する
+ * @param {number} ttl - 有効期間（秒）
+ * @returns {number} 有効期限（UNIX 秒）
+ */
+function expiryFromTtl(ttl) {
+  return Math.ceil(Date.now() / 1000 + ttl);
+}
+
+export default Document;
@@ -0,0 +1,179 @@
+/**
+ * errors.js
+ * MaskQL が投げる構造化エラークラス群
+ */
+
+/**
+ * MaskQL のエラーの基底クラス
+ */
+export class MaskQLError extends Error {
+  /**
+   * @param {string} message - エラーメッセージ
+   */
+  constructor(message) {
+    super(message);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * 楽観的排他制御の競合エラー
+ * save() 時に D1 上のリビジョンが use() 時点から進んでいた場合に投げられる
+ */
+export class ConflictError extends MaskQLError {
+  /**
+   * @param {string} objId - 競合が発生したオブジェクトID
+   * @param {number} expectedRevision - use() 時点のリビジョン
+   */
+  constructor(objId, expectedRevision) {
+    super(`Conflict while saving object "${objId}": revision ${expectedRevision} is no longer current`);
+    this.objId = objId;
+    this.expectedRevision = expectedRevision;
+  }
+}
+
+/**
+ * テーブル名が無効な場合のエラー
+ * テーブル名は SQL に埋め込まれるため、識別子として安全な文字列のみを受け付ける
+ */
+export class InvalidTableNameError extends MaskQLError {
+  /**
+   * @param {any} tableName - 指定されたテーブル名
+   * @param {string} reason - 無効と判断した理由
+   */
+  constructor(tableName, reason) {
+    super(`Invalid table name "${tableName}": ${reason}`);
+    this.tableName = tableName;
+    this.reason = reason;
+  }
+}
+
+/**
+ * スキーマ検証エラー
+ * defineSchema() で登録したスキーマにオブジェクトが一致しない場合に save() で投げられる
+ */
+export class ValidationError extends MaskQLError {
+  /**
+   * @param {string} objId - 検証に失敗したオブジェクトID
+   * @param {Array<{path: string, message: string}>} errors - パスごとの検証エラー（ルートのパスは空文字列）
+   */
+  constructor(objId, errors) {
+    const details = errors.map(({ path, message }) => `${path || '(root)'}: ${message}`).join('; ');
+    super(`Validation failed for object "${objId}": ${details}`);
+    this.objId = objId;
+    this.errors = errors;
+  }
+}
+
+/**
+ * 検索・一覧のオプションが不正な場合のエラー
+ * find() / list() / count() などに不正な条件や limit・cursor を指定した場合に、D1 に問い合わせる前に投げられる
+ */
+export class InvalidQueryError extends MaskQLError {}
+
+/**
+ * beforeSave フックが保存を中止した場合のエラー
+ */
+export class SaveVetoedError extends MaskQLError {
+  /**
+   * @param {string} objId - 保存を中止したオブジェクトID
+   */
+  constructor(objId) {
+    super(`Save of object "${objId}" was vetoed by a beforeSave hook`);
+    this.objId = objId;
+  }
+}
+
+/**
+ * JSON Patch の操作を適用できなかった場合のエラー
+ * エラーが発生した場合、パッチのそれまでの操作もすべて取り消される
+ */
+export class PatchError extends MaskQLError {
+  /**
+   * @param {number} index - 失敗した操作の位置
+   * @param {Object} operation - 失敗した操作
+   * @param {string} reason - 失敗した理由
+   */
+  constructor(index, operation, reason) {
+    const op = operation && typeof operation === 'object' ? operation.op : undefined;
+    super(`JSON Patch operation ${index} (${op}) failed: ${reason}`);
+    this.index = index;
+    this.operation = operation;
+    this.reason = reason;
+  }
+}
+
+/**
+ * JSON Patch の test 操作の値が一致しなかった場合のエラー
+ */
+export class PatchTestFailedError extends PatchError {
+  /**
+   * @param {number} index - test 操作の位置
+   * @param {Object} operation - test 操作
+   */
+  constructor(index, operation) {
+    super(index, operation, `value at "${operation.path}" does not match`);
+  }
+}
+
+/**
+ * テーブルのスキーマのバージョンが MaskQL の必要とするバージョンと一致しない場合のエラー
+ * 古い場合は MaskQL.migrate() で更新し、新しい場合は MaskQL を更新する
+ */
+export class SchemaVersionError extends MaskQLError {
+  /**
+   * @param {string} tableName - テーブル名
+   * @param {number} version - maskql_meta に記録されている現在のバージョン（記録がない場合は 0）
+   * @param {number} requiredVersion - MaskQL が必要とするバージョン
+   */
+  constructor(tableName, version, requiredVersion) {
+    super(version < requiredVersion
+      ? `Schema of table "${tableName}" is at version ${version}, but this version of MaskQL requires version ${requiredVersion}. ` +
+        `Run MaskQL.migrate(d1, "${tableName}") to upgrade it`
+      : `Schema of table "${tableName}" is at version ${version}, which is newer than version ${requiredVersion} ` +
+        'supported by this version of MaskQL. Upgrade MaskQL to use it');
+    this.tableName = tableName;
+    this.version = version;
+    this.requiredVersion = requiredVersion;
+  }
+}
+
+/**
+ * 一意インデックスの値が別のオブジェクトと重複した場合のエラー
+ * defineIndex() で unique: true を指定したインデックスの値を、既に別のオブジェクトが持っている場合に save() で投げられる
+ */
+export class UniqueViolationError extends MaskQLError {
+  /**
+   * @param {string} indexName - インデックスの名前
+   * @param {any} value - 重複した値
+   * @param {string} objId - 保存しようとしたオブジェクトID
+   * @param {string} existingObjId - 既にその値を持っているオブジェクトID
+   */
+  constructor(indexName, value, objId, existingObjId) {
+    super(`Unique index "${indexName}" already contains ${formatIndexValue(value)} for object "${existingObjId}" (saving "${objId}")`);
+    this.indexName = indexName;
+    this.value = value;
+    this.objId = objId;
+    this.existingObjId = existingObjId;
+  }
+}
+
+/**
+ * エラーメッセージ用に値を文字列にする
+ * @param {any} value - 値
+ * @returns {string} 文字列
+ */
+function formatIndexValue(value) {
+  if (typeof value === 'bigint') {
+    return `${value}n`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? String(value) : json;
+  } catch (error) {
+    return String(value);
+  }
+}
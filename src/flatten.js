@@ -1,10 +1,34 @@
 /**
  * flatten.js
  * ネストされたオブジェクトをドット区切りのキーバリューペアに変換する関数群
+ * キーに含まれる "." などの文字は path.js の規則でエスケープされる
  */
 
+import { parsePath, appendPath } from './path.js';
+import { findCustomType } from './types.js';
+
+/**
+ * 平坦化されたキーバリューペアを格納するオブジェクトを作成する
+ * 任意のキー（"__proto__" など）を安全に扱えるようにプロトタイプを持たない
+ * @returns {Object} 空のオブジェクト
+ */
+export function createFlatObject() {
+  return Object.create(null);
+}
+
+/**
+ * オブジェクトが指定したキーを自身のプロパティとして持つかどうかを判定する
+ * @param {Object} obj - 判定するオブジェクト
+ * @param {string} key - キー
+ * @returns {boolean} 自身のプロパティとして持つ場合 true
+ */
+export function hasOwn(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
 /**
  * ネストされたオブジェクトを平坦化する
+ * オブジェクトと配列を展開し、Date や Uint8Array、カスタム型の値はそのままリーフとして保持する
  * @param {Object} obj - 平坦化する対象のオブジェクト
  * @param {string} prefix - 現在のパスのプレフィックス（再帰用）
  * @param {Object} result - 結果を格納するオブジェクト（再帰用）
@@ -12,103 +36,77 @@
  *
  * 例:
  *   flatten({a: {b: 1}}) → {"a.b": 1}
- *   flatten({arr: [1,2]}) → {"arr": "[1,2]"}
- *   flatten({val: null}) → {"val": ""}
+ *   flatten({arr: [1,2]}) → {"arr[0]": 1, "arr[1]": 2}
+ *   flatten({arr: [], obj: {}}) → {"arr": [], "obj": {}}
+ *   flatten({"example.com": 1}) → {"example\\.com": 1}
+ *   flatten({val: null}) → {"val": null}
  */
-export function flatten(obj, prefix = '', result = {}) {
-  // null または undefined の場合
-  if (obj === null || obj === undefined) {
-    if (prefix) {
-      result[prefix] = '';
-    }
-    return result;
-  }
-
-  // プリミティブ型の場合
-  if (typeof obj !== 'object') {
+export function flatten(obj, prefix = '', result = createFlatObject()) {
+  // プリミティブ型や Date などの場合はリーフとして保持
+  if (!isExpandableObject(obj)) {
     if (prefix) {
       result[prefix] = obj;
     }
     return result;
   }
 
-  // 配列の場合は JSON.stringify で文字列化
-  if (Array.isArray(obj)) {
-    if (prefix) {
-      result[prefix] = JSON.stringify(obj);
-    }
+  // ルートの配列は平坦化できない
+  if (Array.isArray(obj) && !prefix) {
     return result;
   }
 
-  // オブジェクトの場合は再帰的に処理
-  const keys = Object.keys(obj);
+  // 配列は要素ごとに "prefix[i]"、オブジェクトはキーごとに "prefix.key" として再帰的に処理
+  const keys = Array.isArray(obj) ? obj.map((_, i) => i) : Object.keys(obj);
 
-  // 空オブジェクトの場合
+  // 空の配列・オブジェクトの場合はそのままリーフとして保持
   if (keys.length === 0) {
     if (prefix) {
-      result[prefix] = '{}';
+      result[prefix] = obj;
     }
     return result;
   }
 
   for (const key of keys) {
-    const newPrefix = prefix ? `${prefix}.${key}` : key;
-    const value = obj[key];
-
-    // 値が null または undefined
-    if (value === null || value === undefined) {
-      result[newPrefix] = '';
-      continue;
-    }
-
-    // 値が配列
-    if (Array.isArray(value)) {
-      result[newPrefix] = JSON.stringify(value);
-      continue;
-    }
-
-    // 値がオブジェクト（Date などの特殊オブジェクトも含む）
-    if (typeof value === 'object') {
-      // Date オブジェクトは ISO 文字列に変換
-      if (value instanceof Date) {
-        result[newPrefix] = value.toISOString();
-        continue;
-      }
-
-      // 空オブジェクトの場合
-      const valueKeys = Object.keys(value);
-      if (valueKeys.length === 0) {
-        result[newPrefix] = '{}';
-        continue;
-      }
-
-      // 通常のオブジェクトは再帰処理
-      flatten(value, newPrefix, result);
-      continue;
-    }
-
-    // プリミティブ値（string, number, boolean）
-    result[newPrefix] = value;
+    flatten(obj[key], appendPath(prefix, key), result);
   }
 
   return result;
 }
 
+/**
+ * flatten() がキーごとに展開するオブジェクトかどうかを判定する
+ * Date や Uint8Array などの特殊なオブジェクトと、registerType() で登録したカスタム型の値は1つの値として扱う
+ * @param {any} value - 判定する値
+ * @returns {boolean} 展開するオブジェクトの場合 true
+ */
+export function isExpandableObject(value) {
+  return value !== null &&
+    typeof value === 'object' &&
+    !(value instanceof Date) &&
+    !ArrayBuffer.isView(value) &&
+    findCustomType(value) === null;
+}
+
 /**
  * 平坦化されたオブジェクトを元のネスト構造に戻す
  * @param {Object} flatObj - 平坦化されたオブジェクト
- * @returns {Object} ネストされたオブジェクト
+ * @returns {Object|Array} ネストされたオブジェクト（全てのキーが "[i]" で始まる場合は配列）
  *
  * 例:
  *   unflatten({"a.b": 1}) → {a: {b: 1}}
- *   unflatten({"arr": "[1,2]"}) → {arr: [1,2]}
- *   unflatten({"val": ""}) → {val: null}
+ *   unflatten({"arr[0]": 1, "arr[1]": 2}) → {arr: [1,2]}
+ *   unflatten({"val": null}) → {val: null}
  */
 export function unflatten(flatObj) {
-  const result = {};
+  let result = null;
 
   for (const [path, value] of Object.entries(flatObj)) {
-    const keys = path.split('.');
+    const keys = parsePath(path) || path.split('.');
+
+    if (result === null) {
+      result = typeof keys[0] === 'number' ? [] : {};
+    }
+
     let current = result;
 
     for (let i = 0; i < keys.length; i++) {
@@ -117,22 +115,40 @@ export function unflatten(flatObj) {
 
       if (isLast) {
         // 最後のキーの場合、値を設定
-        current[key] = parseValue(value);
+        setOwn(current, key, value);
       } else {
-        // 中間のキーの場合、オブジェクトを作成
-        if (!current[key] || typeof current[key] !== 'object') {
-          current[key] = {};
+        // 中間のキーの場合、次のセグメントに応じてオブジェクトまたは配列を作成
+        if (!hasOwn(current, key) || !current[key] || typeof current[key] !== 'object') {
+          setOwn(current, key, typeof keys[i + 1] === 'number' ? [] : {});
         }
         current = current[key];
       }
     }
   }
 
-  return result;
+  return result === null ? {} : result;
 }
 
 /**
- * 文字列化された値を適切な型に変換する
+ * オブジェクトに自身のプロパティとして値を設定する
+ * "__proto__" のようなキーでもプロトタイプを書き換えずに通常のプロパティとして設定する
+ * @param {Object|Array} target - 設定先
+ * @param {string|number} key - キー
+ * @param {any} value - 値
+ * @returns {void}
+ */
+function setOwn(target, key, value) {
+  if (key === '__proto__') {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    target[key] = value;
+  }
+}
+
+/**
+ * 旧バージョンの flatten() が文字列化して保存した値を解釈する
+ * 以前は null を ''、配列や空オブジェクトを JSON 文字列として保存していたため、
+ * それらの値の内部にパスでアクセスする場合に使用する
  * @param {any} value - 変換する値
  * @returns {any} パースされた値
  *
@@ -142,7 +158,7 @@ export function unflatten(flatObj) {
  *   - JSON配列文字列 → array
  *   - その他 → 元の値
  */
-function parseValue(value) {
+export function parseValue(value) {
   // 空文字列は null として扱う
   if (value === '') {
     return null;
@@ -173,6 +189,45 @@ function parseValue(value) {
   return value;
 }
 
+/**
+ * パスが指定されたプレフィックスと一致するか、その配下にあるかを判定する
+ * @param {string} key - 判定するパス
+ * @param {string} prefix - 基準となるパス
+ * @returns {boolean} key が prefix 自身またはその子孫の場合 true
+ *
+ * 例:
+ *   isPathWithin("profile.name", "profile") → true
+ *   isPathWithin("items[0]", "items") → true
+ *   isPathWithin("profiles", "profile") → false
+ */
+export function isPathWithin(key, prefix) {
+  return key === prefix || key.startsWith(`${prefix}.`) || key.startsWith(`${prefix}[`);
+}
+
+/**
+ * 平坦化されたオブジェクトから指定したプレフィックス配下のキーを抽出する
+ * @param {Object} flatObj - 平坦化されたオブジェクト
+ * @param {string} prefix - 抽出するサブツリーのパス
+ * @returns {Object} プレフィックスを取り除いた平坦化キーバリューペア
+ *
+ * 例:
+ *   getSubtree({"a.b": 1, "a.c": 2, "d": 3}, "a") → {"b": 1, "c": 2}
+ *   getSubtree({"items[0]": 1, "items[1]": 2}, "items") → {"[0]": 1, "[1]": 2}
+ */
+export function getSubtree(flatObj, prefix) {
+  const subtree = createFlatObject();
+
+  for (const [key, value] of Object.entries(flatObj)) {
+    if (key.startsWith(`${prefix}.`)) {
+      subtree[key.slice(prefix.length + 1)] = value;
+    } else if (key.startsWith(`${prefix}[`)) {
+      subtree[key.slice(prefix.length)] = value;
+    }
+  }
+
+  return subtree;
+}
+
 /**
  * 2つの平坦化されたオブジェクトの差分を取得する
  * @param {Object} oldFlat - 古い平坦化オブジェクト
@@ -184,7 +239,7 @@ export function getDiff(oldFlat, newFlat) {
 
   // 新しいキーまたは変更されたキーを検出
   for (const [key, value] of Object.entries(newFlat)) {
-    if (!(key in oldFlat) || oldFlat[key] !== value) {
+    if (!hasOwn(oldFlat, key) || oldFlat[key] !== value) {
       diff[key] = value;
     }
   }
@@ -202,7 +257,7 @@ export function getDeletedKeys(oldFlat, newFlat) {
   const deleted = [];
 
   for (const key of Object.keys(oldFlat)) {
-    if (!(key in newFlat)) {
+    if (!hasOwn(newFlat, key)) {
       deleted.push(key);
     }
   }
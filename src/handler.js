@@ -0,0 +1,582 @@
+/**
+ * handler.js
+ * MaskQL のオブジェクトを REST API として公開する Cloudflare Workers 用のリクエストハンドラ
+ *
+ * ルート（basePath が '/objects' の場合）:
+ *   GET    /objects?prefix=&limit=&cursor=   オブジェクトの一覧（list() を参照）
+ *   GET    /objects/:id                      オブジェクト全体
+ *   GET    /objects/:id/*path                パスの値（例: /objects/user:1/profile/name）
+ *   HEAD   /objects/:id[/*path]              存在確認（GET と同じステータスと ETag を本文なしで返す）
+ *   PUT    /objects/:id[/*path]              オブジェクト全体（setAll()）またはパスの値（set()）を置き換える
+ *   PATCH  /objects/:id[/*path]              JSON Patch (application/json-patch+json) または
+ *                                            JSON Merge Patch (application/merge-patch+json, application/json) を適用する
+ *   DELETE /objects/:id[/*path]              オブジェクト全体（deleteObject()）またはパスの値を削除する
+ *
+ * ETag はオブジェクトのリビジョンで、If-Match / If-None-Match による条件付きリクエストに使用できる
+ */
+
+import { MaskQL } from './index.js';
+import {
+  ConflictError, ValidationError, SaveVetoedError, PatchError, PatchTestFailedError, UniqueViolationError, InvalidQueryError
+} from './errors.js';
+import { isValidObjId, isValidPath, isPlainObject, encodeBase64, findCustomType, serializeValue } from './types.js';
+import { formatPath, isIndexSegment } from './path.js';
+
+/**
+ * レスポンスとリクエストで扱うメディアタイプ
+ */
+const JSON_TYPE = 'application/json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+
+/**
+ * リソースごとに許可するメソッド
+ */
+const COLLECTION_METHODS = ['GET', 'HEAD'];
+const OBJECT_METHODS = ['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * クライアントに原因を返すエラーと HTTP ステータスの対応（上から順に判定する）
+ */
+const ERROR_STATUSES = [
+  [PatchTestFailedError, 409],
+  [PatchError, 422],
+  [ValidationError, 422],
+  [SaveVetoedError, 403],
+  [UniqueViolationError, 409],
+  [InvalidQueryError, 400]
+];
+
+/**
+ * リクエストの内容が不正な場合のエラー（400 Bad Request として返す）
+ */
+class BadRequestError extends Error {}
+
+/**
+ * MaskQL のオブジェクトを REST API として公開するリクエストハンドラを作成する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {Object} [options] - オプション
+ * @param {string} [options.basePath='/objects'] - ルートのパス
+ * @param {string} [options.tableName='maskql_store'] - 使用するテーブル名
+ * @param {boolean} [options.history] - 変更履歴を記録するかどうか（MaskQL の constructor を参照）
+ * @param {Object<string, Object>} [options.schemas] - オブジェクトIDのパターンとスキーマの組（defineSchema() を参照）
+ * @param {Object<string, Object>} [options.indexes] - インデックスの名前と定義の組（defineIndex() を参照）
+ * @param {Hooks} [options.hooks] - 呼び出すフックの登録先（例: mask.hooks）
+ * @param {boolean} [options.checkSchema] - false の場合、スキーマのバージョンを確認しない（MaskQL の constructor を参照）
+ * @param {function(Object): (boolean|Response|Promise<boolean|Response>)} [options.authorize] - 認可を行う関数。
+ *   { request, method, action, objId, path } を受け取り（action は 'list' | 'read' | 'write' | 'delete'、
+ *   一覧の場合 objId は null、オブジェクト全体の場合 path は null）、true で許可、false で 403 を返す。Response を返すとそのまま返す
+ * @returns {function(Request): Promise<Response>} リクエストハンドラ
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ *
+ * 例:
+ *   const handler = createHandler(env.DB, {
+ *     authorize: ({ request, action }) => action === 'read' || request.headers.get('Authorization') === `Bearer ${env.TOKEN}`
+ *   });
+ *   return handler(request);
+ */
+export function createHandler(d1, options = {}) {
+  const {
+    basePath = '/objects', tableName = 'maskql_store', authorize = null, history, schemas, indexes, hooks, checkSchema
+  } = options;
+
+  if (authorize !== null && typeof authorize !== 'function') {
+    throw new Error('authorize must be a function');
+  }
+
+  const mask = new MaskQL(d1, tableName, { history, schemas, indexes, hooks, checkSchema });
+  const base = basePath.replace(/\/+$/, '');
+
+  return async (request) => {
+    try {
+      return await handleRequest(mask, request, base, authorize);
+    } catch (error) {
+      return toErrorResponse(error, request);
+    }
+  };
+}
+
+/**
+ * リクエストを処理する
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {Request} request - リクエスト
+ * @param {string} base - 末尾のスラッシュを除いたルートのパス
+ * @param {function(Object): any|null} authorize - 認可を行う関数
+ * @returns {Promise<Response>} レスポンス
+ */
+async function handleRequest(mask, request, base, authorize) {
+  const url = new URL(request.url);
+  const route = parseRoute(url.pathname, base);
+
+  if (!route) {
+    return errorResponse(404, 'Not found');
+  }
+
+  const { method } = request;
+  const allowed = route.objId === null ? COLLECTION_METHODS : OBJECT_METHODS;
+  if (!allowed.includes(method)) {
+    return errorResponse(405, `Method ${method} is not allowed`, { Allow: allowed.join(', ') });
+  }
+
+  if (route.objId !== null && !isValidObjId(route.objId)) {
+    return errorResponse(400, `Invalid object ID: ${route.objId}`);
+  }
+
+  if (route.segments.length > 0 && !isValidPath(route.segments)) {
+    return errorResponse(400, `Invalid path: ${route.segments.join('/')}`);
+  }
+
+  if (method !== 'DELETE' && !acceptsJson(request)) {
+    return errorResponse(406, `Only ${JSON_TYPE} responses are available`);
+  }
+
+  if (authorize) {
+    const decision = await authorize({
+      request,
+      method,
+      action: actionFor(method, route.objId),
+      objId: route.objId,
+      path: route.segments.length > 0 ? formatPath(route.segments) : null
+    });
+
+    if (decision instanceof Response) {
+      return decision;
+    }
+    if (decision !== true) {
+      return errorResponse(403, 'Forbidden');
+    }
+  }
+
+  if (route.objId === null) {
+    return handleList(mask, request, url);
+  }
+
+  switch (method) {
+    case 'GET':
+    case 'HEAD':
+      return handleRead(mask, request, route);
+    case 'DELETE':
+      return handleDelete(mask, request, route);
+    default:
+      return handleWrite(mask, request, route);
+  }
+}
+
+/**
+ * GET /objects: オブジェクトの一覧を返す
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {Request} request - リクエスト
+ * @param {URL} url - リクエストの URL
+ * @returns {Promise<Response>} レスポンス
+ */
+async function handleList(mask, request, url) {
+  const params = url.searchParams;
+  const limit = params.has('limit') ? Number(params.get('limit')) : undefined;
+
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+    return errorResponse(400, `Invalid limit: ${params.get('limit')}`);
+  }
+
+  const page = await mask.list({ prefix: params.get('prefix'), limit, cursor: params.get('cursor') || null });
+  return jsonResponse(request, 200, page);
+}
+
+/**
+ * GET / HEAD: オブジェクト全体またはパスの値を返す
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {Request} request - リクエスト
+ * @param {{objId: string, segments: string[]}} route - ルート
+ * @returns {Promise<Response>} レスポンス
+ */
+async function handleRead(mask, request, route) {
+  const doc = await openDocument(mask, route);
+  const value = readValue(doc, route);
+  const etag = etagFor(doc);
+
+  if (value === undefined) {
+    return errorResponse(404, 'Not found', {}, request.method === 'HEAD');
+  }
+
+  if (matchesEtag(request.headers.get('If-None-Match'), etag)) {
+    return new Response(null, { status: 304, headers: { ETag: etag } });
+  }
+
+  return jsonResponse(request, 200, value, { ETag: etag });
+}
+
+/**
+ * PUT / PATCH: オブジェクト全体またはパスの値を変更して保存する
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {Request} request - リクエスト
+ * @param {{objId: string, segments: string[]}} route - ルート
+ * @returns {Promise<Response>} レスポンス
+ */
+async function handleWrite(mask, request, route) {
+  const contentType = mediaType(request.headers.get('Content-Type'));
+  const isPut = request.method === 'PUT';
+  const supported = isPut ? [JSON_TYPE] : [JSON_PATCH_TYPE, MERGE_PATCH_TYPE, JSON_TYPE];
+
+  if (!supported.includes(contentType)) {
+    return errorResponse(415, `Unsupported content type: ${contentType || '(none)'}`, {
+      [isPut ? 'Accept' : 'Accept-Patch']: supported.join(', ')
+    });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return errorResponse(400, 'Request body must be valid JSON');
+  }
+
+  // オブジェクト全体は JSON オブジェクトでのみ置き換えられる（setAll() は配列などの値を保存しない）
+  if (isPut && route.segments.length === 0 && !isPlainObject(body)) {
+    return errorResponse(400, 'Request body must be a JSON object');
+  }
+
+  const doc = await openDocument(mask, route);
+  const before = readValue(doc, route);
+
+  const precondition = checkPreconditions(request, doc, before !== undefined);
+  if (precondition) {
+    return precondition;
+  }
+
+  if (!isPut && before === undefined) {
+    return errorResponse(404, 'Not found');
+  }
+
+  const path = route.segments.length > 0 ? route.segments : null;
+  try {
+    if (isPut && path === null) {
+      doc.setAll(body);
+    } else if (isPut) {
+      doc.set(path, body);
+    } else if (contentType === JSON_PATCH_TYPE) {
+      doc.applyPatch(path === null ? body : prefixPatch(body, path));
+    } else {
+      doc.applyMergePatch(body, path);
+    }
+  } catch (error) {
+    if (error instanceof PatchError) {
+      throw error;
+    }
+    throw new BadRequestError(error.message);
+  }
+
+  await doc.save();
+
+  const value = readValue(doc, route);
+  const status = before === undefined ? 201 : 200;
+  return jsonResponse(request, status, value === undefined ? null : value, { ETag: etagFor(doc) });
+}
+
+/**
+ * DELETE: オブジェクト全体またはパスの値を削除する
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {Request} request - リクエスト
+ * @param {{objId: string, segments: string[]}} route - ルート
+ * @returns {Promise<Response>} レスポンス
+ */
+async function handleDelete(mask, request, route) {
+  const doc = await openDocument(mask, route);
+  const before = readValue(doc, route);
+
+  const precondition = checkPreconditions(request, doc, before !== undefined);
+  if (precondition) {
+    return precondition;
+  }
+
+  if (before === undefined) {
+    return errorResponse(404, 'Not found');
+  }
+
+  if (route.segments.length === 0) {
+    await mask.deleteObject(route.objId);
+    return new Response(null, { status: 204 });
+  }
+
+  // 配列の要素は JSON Patch の remove と同じく後続の要素を詰めて削除する
+  const parent = route.segments.slice(0, -1);
+  const last = route.segments[route.segments.length - 1];
+  if (parent.length > 0 && isIndexSegment(last) && Array.isArray(doc.get(parent))) {
+    doc.removeAt(parent, Number(last));
+  } else {
+    doc.delete(route.segments);
+  }
+  await doc.save();
+  return new Response(null, { status: 204, headers: { ETag: etagFor(doc) } });
+}
+
+/**
+ * ルートのオブジェクトを読み込む（パスを指定した場合はその最上位のキーの配下のみを読み込む）
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {{objId: string, segments: string[]}} route - ルート
+ * @returns {Promise<Document>} ドキュメント
+ */
+function openDocument(mask, route) {
+  return route.segments.length > 0
+    ? mask.open(route.objId, { paths: [[route.segments[0]]] })
+    : mask.open(route.objId);
+}
+
+/**
+ * ルートが指す値を取得する
+ * @param {Document} doc - ドキュメント
+ * @param {{objId: string, segments: string[]}} route - ルート
+ * @returns {any} 値。オブジェクトやパスが存在しない場合は undefined
+ */
+function readValue(doc, route) {
+  if (route.segments.length > 0) {
+    return doc.get(route.segments);
+  }
+
+  const data = doc.getAll();
+  return Object.keys(data).length > 0 ? data : undefined;
+}
+
+/**
+ * If-Match / If-None-Match を検証する
+ * ETag はオブジェクトのリビジョンのため、If-Match はオブジェクトが存在すれば対象のパスが存在しなくても満たせる
+ * （パスの条件付きの作成）。If-None-Match は対象のパスの存在で判定する
+ * @param {Request} request - リクエスト
+ * @param {Document} doc - ドキュメント
+ * @param {boolean} exists - 対象（オブジェクト全体またはパスの値）が存在するかどうか
+ * @returns {Response|null} 条件を満たさない場合は 412 のレスポンス、満たす場合は null
+ */
+function checkPreconditions(request, doc, exists) {
+  const etag = etagFor(doc);
+  const ifMatch = request.headers.get('If-Match');
+  const ifNoneMatch = request.headers.get('If-None-Match');
+
+  if (ifMatch !== null && (doc.getRevision() === 0 || !matchesEtag(ifMatch, etag))) {
+    return errorResponse(412, 'Precondition failed', { ETag: etag });
+  }
+
+  if (ifNoneMatch !== null && exists && matchesEtag(ifNoneMatch, etag)) {
+    return errorResponse(412, 'Precondition failed', { ETag: etag });
+  }
+
+  return null;
+}
+
+/**
+ * オブジェクトのリビジョンから ETag を作成する
+ * @param {Document} doc - ドキュメント
+ * @returns {string} ETag
+ */
+function etagFor(doc) {
+  return `"${doc.getRevision()}"`;
+}
+
+/**
+ * If-Match / If-None-Match ヘッダーが ETag に一致するかどうかを判定する
+ * @param {string|null} header - ヘッダーの値
+ * @param {string} etag - 現在の ETag
+ * @returns {boolean} "*" または ETag のいずれかが一致する場合 true（弱い比較）
+ */
+function matchesEtag(header, etag) {
+  if (header === null) {
+    return false;
+  }
+
+  return header.split(',').some((candidate) => {
+    const tag = candidate.trim();
+    return tag === '*' || tag.replace(/^W\//, '') === etag;
+  });
+}
+
+/**
+ * JSON Patch の操作のパスに、リクエストのパスを前置する
+ * @param {Array} operations - パッチの操作の配列
+ * @param {string[]} segments - リクエストのパスのセグメント
+ * @returns {Array} パスを前置した操作の配列
+ * @throws {BadRequestError} パッチが配列でない場合
+ */
+function prefixPatch(operations, segments) {
+  if (!Array.isArray(operations)) {
+    throw new BadRequestError('JSON Patch must be an array of operations');
+  }
+
+  const prefix = segments.map((segment) => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+
+  return operations.map((operation) => {
+    if (operation === null || typeof operation !== 'object') {
+      return operation;
+    }
+
+    const prefixed = { ...operation };
+    for (const key of ['path', 'from']) {
+      if (typeof prefixed[key] === 'string') {
+        prefixed[key] = `${prefix}${prefixed[key]}`;
+      }
+    }
+    return prefixed;
+  });
+}
+
+/**
+ * URL のパスをオブジェクトIDとパスのセグメントに分解する
+ * @param {string} pathname - URL のパス
+ * @param {string} base - 末尾のスラッシュを除いたルートのパス
+ * @returns {{objId: string|null, segments: string[]}|null} ルート。basePath の外の場合は null
+ * @throws {BadRequestError} パーセントエンコーディングが不正な場合
+ */
+function parseRoute(pathname, base) {
+  if (pathname === base || pathname === `${base}/`) {
+    return { objId: null, segments: [] };
+  }
+
+  if (!pathname.startsWith(`${base}/`)) {
+    return null;
+  }
+
+  const parts = pathname.slice(base.length + 1).split('/');
+  // 末尾のスラッシュは無視する
+  if (parts.length > 1 && parts[parts.length - 1] === '') {
+    parts.pop();
+  }
+
+  try {
+    const [objId, ...segments] = parts.map((part) => decodeURIComponent(part));
+    return { objId, segments };
+  } catch (error) {
+    throw new BadRequestError(`Invalid URL encoding: ${pathname}`);
+  }
+}
+
+/**
+ * リクエストのメソッドを認可の action に変換する
+ * @param {string} method - HTTP メソッド
+ * @param {string|null} objId - オブジェクトID（一覧の場合は null）
+ * @returns {'list'|'read'|'write'|'delete'} action
+ */
+function actionFor(method, objId) {
+  if (objId === null) {
+    return 'list';
+  }
+
+  switch (method) {
+    case 'GET':
+    case 'HEAD':
+      return 'read';
+    case 'DELETE':
+      return 'delete';
+    default:
+      return 'write';
+  }
+}
+
+/**
+ * Accept ヘッダーが JSON を受け付けるかどうかを判定する
+ * @param {Request} request - リクエスト
+ * @returns {boolean} Accept ヘッダーがない場合、または application/json に一致するメディアレンジ（q > 0）がある場合 true
+ */
+function acceptsJson(request) {
+  const accept = request.headers.get('Accept');
+  if (!accept) {
+    return true;
+  }
+
+  return accept.split(',').some((range) => {
+    const [type, ...params] = range.split(';').map((part) => part.trim().toLowerCase());
+    const q = params.find((param) => param.startsWith('q='));
+    if (q !== undefined && !(Number(q.slice(2)) > 0)) {
+      return false;
+    }
+    return type === JSON_TYPE || type === 'application/*' || type === '*/*';
+  });
+}
+
+/**
+ * Content-Type ヘッダーからメディアタイプを取り出す
+ * @param {string|null} header - Content-Type ヘッダーの値
+ * @returns {string} 小文字のメディアタイプ（ヘッダーがない場合は空文字列）
+ */
+function mediaType(header) {
+  return header ? header.split(';')[0].trim().toLowerCase() : '';
+}
+
+/**
+ * JSON のレスポンスを作成する（HEAD の場合は本文を含めない）
+ * BigInt は文字列、Uint8Array は base64 文字列、カスタム型は serialize() の結果として出力する
+ * @param {Request} request - リクエスト
+ * @param {number} status - HTTP ステータス
+ * @param {any} value - 本文の値
+ * @param {Object} [headers] - 追加のヘッダー
+ * @returns {Response} レスポンス
+ */
+function jsonResponse(request, status, value, headers = {}) {
+  const body = request.method === 'HEAD' ? null : JSON.stringify(value, jsonReplacer);
+  return new Response(body, {
+    status,
+    headers: { 'Content-Type': `${JSON_TYPE}; charset=utf-8`, Vary: 'Accept', ...headers }
+  });
+}
+
+/**
+ * JSON.stringify() で表せない値を変換する
+ * @param {string} key - キー
+ * @param {any} value - 値
+ * @returns {any} 変換した値
+ */
+function jsonReplacer(key, value) {
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+
+  if (value instanceof Uint8Array) {
+    return encodeBase64(value);
+  }
+
+  if (value !== null && typeof value === 'object' && findCustomType(value) !== null) {
+    return serializeValue(value);
+  }
+
+  return value;
+}
+
+/**
+ * エラーのレスポンスを作成する
+ * @param {number} status - HTTP ステータス
+ * @param {string} message - エラーメッセージ
+ * @param {Object} [headers] - 追加のヘッダー
+ * @param {boolean} [withoutBody=false] - true の場合は本文を含めない（HEAD 用）
+ * @param {Object} [details] - 本文に追加するプロパティ
+ * @returns {Response} レスポンス
+ */
+function errorResponse(status, message, headers = {}, withoutBody = false, details = {}) {
+  const body = withoutBody ? null : JSON.stringify({ error: message, ...details });
+  return new Response(body, {
+    status,
+    headers: { 'Content-Type': `${JSON_TYPE}; charset=utf-8`, ...headers }
+  });
+}
+
+/**
+ * 例外をエラーのレスポンスに変換する
+ * 原因がクライアントにあるエラーはメッセージを返し、それ以外は詳細を隠して 500 を返す。
+ * 保存時の ConflictError は If-Match を指定したリクエストでは 412、それ以外は 409 として返す
+ * @param {Error} error - 例外
+ * @param {Request} request - リクエスト
+ * @returns {Response} レスポンス
+ */
+function toErrorResponse(error, request) {
+  if (error instanceof BadRequestError) {
+    return errorResponse(400, error.message);
+  }
+
+  if (error instanceof ConflictError) {
+    return errorResponse(request.headers.has('If-Match') ? 412 : 409, error.message);
+  }
+
+  for (const [ErrorClass, status] of ERROR_STATUSES) {
+    if (error instanceof ErrorClass) {
+      return errorResponse(status, error.message, {}, false, error instanceof ValidationError ? { errors: error.errors } : {});
+    }
+  }
+
+  return errorResponse(500, 'Internal server error');
+}
+
+export default createHandler;
@@ -0,0 +1,208 @@
+/**
+ * history.js
+ * オブジェクトの変更履歴の記録と、履歴からの過去の状態の復元を行う関数群
+ *
+ * 履歴テーブル（"<ストアのテーブル名>_history"）には save() ごとに変更されたパスの変更前と変更後の値を記録する。
+ * old_type が NULL の行はパスの作成、new_type が NULL の行はパスの削除を表す
+ */
+
+import { toStorageFormat, fromStorageFormat, isValidPath, isValidObjId } from './types.js';
+import { parsePath, formatPath, assertNoDottedIndex } from './path.js';
+import { escapeLike } from './query.js';
+import { createFlatObject } from './flatten.js';
+
+/**
+ * 保存されたパスの変更を履歴に記録する SQL 文を作成する
+ * リビジョンはリビジョンテーブルから読み取るため、リビジョンを更新する文の後に実行する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {{revisions: string, history: string}} tables - クォート済みのリビジョンテーブルと履歴テーブル
+ * @param {string} objId - オブジェクトID
+ * @param {string} path - 変更されたパス
+ * @param {{value: string, type: string}|null} before - 変更前の値（パスが存在しなかった場合は null）
+ * @param {{value: string, type: string}|null} after - 変更後の値（パスを削除した場合は null）
+ * @returns {D1PreparedStatement} SQL 文
+ */
+export function recordChangeStatement(d1, tables, objId, path, before, after) {
+  return d1.prepare(
+    `INSERT INTO ${tables.history} (obj_id, revision, key_path, old_value, old_type, new_value, new_type, created_at)
+     VALUES (?, (SELECT revision FROM ${tables.revisions} WHERE obj_id = ?), ?, ?, ?, ?, ?, unixepoch())`
+  ).bind(
+    objId, objId, path,
+    before ? before.value : null, before ? before.type : null,
+    after ? after.value : null, after ? after.type : null
+  );
+}
+
+/**
+ * 数値演算の前に、D1 上の変更前の値を履歴に記録する SQL 文を作成する
+ * 変更後の値は演算の後に recordAfterOpStatement() で記録する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {{store: string, revisions: string, history: string}} tables - クォート済みのテーブル名
+ * @param {string} objId - オブジェクトID
+ * @param {string} path - 数値のパス
+ * @returns {D1PreparedStatement} SQL 文
+ */
+export function recordBeforeOpStatement(d1, tables, objId, path) {
+  return d1.prepare(
+    `INSERT INTO ${tables.history} (obj_id, revision, key_path, old_value, old_type, new_value, new_type, created_at)
+     SELECT ?, (SELECT revision FROM ${tables.revisions} WHERE obj_id = ?), ?, s.value, s.value_type, NULL, NULL, unixepoch()
+     FROM (SELECT 1) LEFT JOIN ${tables.store} AS s
+       ON s.obj_id = ? AND s.key_path = ? AND (s.expires_at IS NULL OR s.expires_at > unixepoch())`
+  ).bind(objId, objId, path, objId, path);
+}
+
+/**
+ * 数値演算の後に、D1 上の変更後の値を履歴に記録する SQL 文を作成する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {{store: string, revisions: string, history: string}} tables - クォート済みのテーブル名
+ * @param {string} objId - オブジェクトID
+ * @param {string} path - 数値のパス
+ * @returns {D1PreparedStatement} SQL 文
+ */
+export function recordAfterOpStatement(d1, tables, objId, path) {
+  return d1.prepare(
+    `UPDATE ${tables.history}
+     SET new_value = (SELECT value FROM ${tables.store} WHERE obj_id = ? AND key_path = ?), new_type = 'number'
+     WHERE obj_id = ? AND key_path = ? AND revision = (SELECT revision FROM ${tables.revisions} WHERE obj_id = ?)`
+  ).bind(objId, path, objId, path, objId);
+}
+
+/**
+ * オブジェクトの削除に伴い、すべての行の削除を履歴に記録する SQL 文を作成する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {{store: string, revisions: string, history: string}} tables - クォート済みのテーブル名
+ * @param {string} objId - オブジェクトID
+ * @returns {D1PreparedStatement} SQL 文
+ */
+export function recordDeletionStatement(d1, tables, objId) {
+  return d1.prepare(
+    `INSERT INTO ${tables.history} (obj_id, revision, key_path, old_value, old_type, new_value, new_type, created_at)
+     SELECT obj_id, (SELECT revision FROM ${tables.revisions} WHERE obj_id = ?), key_path, value, value_type, NULL, NULL, unixepoch()
+     FROM ${tables.store} WHERE obj_id = ? AND (expires_at IS NULL OR expires_at > unixepoch())`
+  ).bind(objId, objId);
+}
+
+/**
+ * history() のオプションを SQL に変換する
+ * @param {string} historyTable - クォート済みの履歴テーブル名
+ * @param {string} objId - オブジェクトID
+ * @param {Object} [options] - 検索オプション
+ * @param {string|Array} [options.path] - 指定した場合、このパスとその配下の変更のみを返す
+ * @param {number|Date} [options.since] - 数値の場合はこのリビジョン以降、Date の場合はこの時刻以降の変更のみを返す
+ * @param {number} [options.limit] - 取得する最大件数
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ
+ * @throws {Error} オプションが不正な場合（"items.3" のように配列要素かキーかを決められないパスを含む）
+ */
+export function compileHistory(historyTable, objId, options = {}) {
+  const { path, since, limit } = options;
+
+  if (!isValidObjId(objId)) {
+    throw new Error(`Invalid object ID: ${objId}`);
+  }
+
+  let sql = `SELECT revision, key_path, old_value, old_type, new_value, new_type, created_at FROM ${historyTable} WHERE obj_id = ?`;
+  const params = [objId];
+
+  if (path !== undefined && path !== null) {
+    if (!isValidPath(path)) {
+      throw new Error(`Invalid path: ${path}`);
+    }
+    assertNoDottedIndex(path);
+    const prefix = formatPath(parsePath(path));
+    sql += ` AND (key_path = ? OR key_path LIKE ? ESCAPE '\\' OR key_path LIKE ? ESCAPE '\\')`;
+    params.push(prefix, `${escapeLike(prefix)}.%`, `${escapeLike(prefix)}[%`);
+  }
+
+  if (since !== undefined && since !== null) {
+    if (since instanceof Date && !Number.isNaN(since.getTime())) {
+      sql += ' AND created_at >= ?';
+      params.push(toUnixSeconds(since));
+    } else if (Number.isInteger(since) && since >= 0) {
+      sql += ' AND revision >= ?';
+      params.push(since);
+    } else {
+      throw new Error(`Invalid since option: ${since}`);
+    }
+  }
+
+  sql += ' ORDER BY revision ASC, id ASC';
+
+  if (limit !== undefined && limit !== null) {
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+    sql += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return { sql, params };
+}
+
+/**
+ * 履歴テーブルの行を履歴エントリに変換する
+ * @param {Object} row - 履歴テーブルの行
+ * @returns {{revision: number, path: string, action: 'create'|'update'|'delete', oldValue: any, newValue: any, timestamp: Date}}
+ *   履歴エントリ（存在しなかった値は undefined）
+ */
+export function toHistoryEntry(row) {
+  const hasOld = row.old_type !== null && row.old_type !== undefined;
+  const hasNew = row.new_type !== null && row.new_type !== undefined;
+
+  let action = 'update';
+  if (!hasOld) {
+    action = 'create';
+  } else if (!hasNew) {
+    action = 'delete';
+  }
+
+  return {
+    revision: Number(row.revision),
+    path: row.key_path,
+    action,
+    oldValue: hasOld ? fromStorageFormat(row.old_value, row.old_type) : undefined,
+    newValue: hasNew ? fromStorageFormat(row.new_value, row.new_type) : undefined,
+    timestamp: new Date(Number(row.created_at) * 1000)
+  };
+}
+
+/**
+ * 現在の平坦化データに履歴を逆向きに適用し、過去のリビジョンの状態を復元する
+ * @param {Object} flatData - 現在の平坦化データ
+ * @param {Array<Object>} rows - 復元するリビジョンより後の履歴テーブルの行（revision, id の昇順）
+ * @returns {Object} 復元した平坦化データ（flatData は変更しない）
+ */
+export function rewindFlatData(flatData, rows) {
+  const result = Object.assign(createFlatObject(), flatData);
+
+  for (let i = rows.length - 1; i >= 0; i--) {
+    const row = rows[i];
+    if (row.old_type === null || row.old_type === undefined) {
+      delete result[row.key_path];
+    } else {
+      result[row.key_path] = fromStorageFormat(row.old_value, row.old_type);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 2つの値が保存形式として同じかどうかを判定する
+ * @param {any} a - 比較する値
+ * @param {any} b - 比較する値
+ * @returns {boolean} 同じ値として保存される場合 true
+ */
+export function isSameStoredValue(a, b) {
+  const left = toStorageFormat(a);
+  const right = toStorageFormat(b);
+  return left.value === right.value && left.type === right.type;
+}
+
+/**
+ * Date を履歴テーブルの created_at と同じ単位（UNIX 秒）に変換する
+ * @param {Date} date - 変換する日時
+ * @returns {number} UNIX 秒
+ */
+export function toUnixSeconds(date) {
+  return Math.floor(date.getTime() / 1000);
+}
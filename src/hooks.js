@@ -0,0 +1,164 @@
+/**
+ * hooks.js
+ * save() と deleteObject() の前後に呼び出すフックの登録と呼び出し
+ *
+ * イベント:
+ *   - beforeSave: 保存の前に変更の一覧とともに呼び出される。false を返すと保存を中止し、document を変更すると保存内容を修正できる
+ *   - afterSave: 保存の後に変更の一覧とともに呼び出される
+ *   - change: 保存の後に変更されたパスごとに呼び出される
+ *   - delete: deleteObject() の後に削除された値の一覧とともに呼び出される
+ */
+
+import { getDiff, getDeletedKeys, hasOwn } from './flatten.js';
+import { isSameStoredValue } from './history.js';
+import { SaveVetoedError } from './errors.js';
+
+/**
+ * サポートするイベント
+ */
+const HOOK_EVENTS = new Set(['beforeSave', 'afterSave', 'change', 'delete']);
+
+/**
+ * フックの登録先
+ * MaskQL インスタンスごとに1つ作成され、そのインスタンスから開いたすべてのドキュメントで共有される
+ */
+export class Hooks {
+  constructor() {
+    this.listeners = new Map(); // イベント → { pattern, handler } の配列
+  }
+
+  /**
+   * フックを登録する
+   * @param {string} event - イベント名（'beforeSave' | 'afterSave' | 'change' | 'delete'）
+   * @param {string|null} pattern - パスのパターン（matchesPathPattern() を参照）。null の場合はすべてのパス
+   * @param {function(Object): any} handler - フック関数
+   * @returns {function(): void} 登録を解除する関数
+   * @throws {Error} イベント名、パターン、フック関数が不正な場合
+   */
+  on(event, pattern, handler) {
+    if (!HOOK_EVENTS.has(event)) {
+      throw new Error(`Unsupported hook event: ${event}`);
+    }
+
+    if (pattern !== null && (typeof pattern !== 'string' || pattern === '')) {
+      throw new Error(`Invalid hook path pattern: ${pattern}`);
+    }
+
+    if (typeof handler !== 'function') {
+      throw new Error('Hook handler must be a function');
+    }
+
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push({ pattern, handler });
+
+    return () => this.off(event, handler);
+  }
+
+  /**
+   * フックの登録を解除する
+   * @param {string} event - イベント名
+   * @param {function(Object): any} handler - on() で登録したフック関数
+   * @returns {boolean} 解除した場合 true
+   */
+  off(event, handler) {
+    const listeners = this.listeners.get(event) || [];
+    const index = listeners.findIndex((listener) => listener.handler === handler);
+
+    if (index === -1) {
+      return false;
+    }
+
+    listeners.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * イベントにフックが登録されているかどうかを確認する
+   * @param {string} event - イベント名
+   * @returns {boolean} 登録されている場合 true
+   */
+  has(event) {
+    return (this.listeners.get(event) || []).length > 0;
+  }
+
+  /**
+   * イベントのフックを登録順に呼び出す
+   * パターンを指定したフックは、パターンに一致する変更がある場合のみ一致する変更だけを渡して呼び出す。
+   * 'change' の場合は一致する変更ごとに1回ずつ呼び出す
+   * @param {string} event - イベント名
+   * @param {string} objId - オブジェクトID
+   * @param {function(): Array<Object>} getChanges - 変更の一覧を返す関数（beforeSave でフックが変更を修正した場合に備えて、フックごとに呼び出す）
+   * @param {Object} [context] - フックに渡す追加のプロパティ（document など）
+   * @returns {Promise<void>}
+   * @throws {SaveVetoedError} beforeSave のフックが false を返した場合
+   */
+  async emit(event, objId, getChanges, context = {}) {
+    // フックの中で on() / off() が呼ばれても影響を受けないようにコピーする
+    const listeners = [...(this.listeners.get(event) || [])];
+
+    for (const { pattern, handler } of listeners) {
+      const changes = getChanges().filter(({ path }) => pattern === null || matchesPathPattern(pattern, path));
+      if (changes.length === 0) {
+        continue;
+      }
+
+      if (event === 'change') {
+        for (const change of changes) {
+          await handler({ objId, ...change, ...context });
+        }
+        continue;
+      }
+
+      const result = await handler({ objId, changes, ...context });
+      if (event === 'beforeSave' && result === false) {
+        throw new SaveVetoedError(objId);
+      }
+    }
+  }
+}
+
+/**
+ * 2つの平坦化データの差分を変更の一覧に変換する
+ * 保存形式が同じ値（同じ時刻の Date など）は変更として扱わない
+ * @param {Object} oldFlat - 変更前の平坦化データ
+ * @param {Object} newFlat - 変更後の平坦化データ
+ * @returns {Array<{path: string, action: 'create'|'update'|'delete', oldValue: any, newValue: any}>}
+ *   パスの昇順の変更の一覧（存在しなかった値は undefined）
+ */
+export function computeChanges(oldFlat, newFlat) {
+  const changes = [];
+
+  for (const [path, newValue] of Object.entries(getDiff(oldFlat, newFlat))) {
+    const existed = hasOwn(oldFlat, path);
+    if (existed && isSameStoredValue(oldFlat[path], newValue)) {
+      continue;
+    }
+    changes.push({ path, action: existed ? 'update' : 'create', oldValue: existed ? oldFlat[path] : undefined, newValue });
+  }
+
+  for (const path of getDeletedKeys(oldFlat, newFlat)) {
+    changes.push({ path, action: 'delete', oldValue: oldFlat[path], newValue: undefined });
+  }
+
+  return changes.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * パスがパターンに一致するかどうかを判定する
+ * パターン中の "*" は任意の文字列に一致し、パターンに一致するパスの配下のパスも一致したものとして扱う
+ * @param {string} pattern - パスのパターン（正規化されたパスの書式で指定する）
+ * @param {string} path - 正規化されたパス
+ * @returns {boolean} 一致する場合 true
+ *
+ * 例:
+ *   matchesPathPattern("settings.*", "settings.theme") → true
+ *   matchesPathPattern("settings", "settings.notifications.email") → true
+ *   matchesPathPattern("items[*].price", "items[3].price") → true
+ *   matchesPathPattern("settings.*", "profile.name") → false
+ */
+export function matchesPathPattern(pattern, path) {
+  const source = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}(?:$|[.[])`, 's').test(path);
+}
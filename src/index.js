@@ -3,8 +3,65 @@
  * MaskQL - Cloudflare D1 上で動作する JSON 操作ライブラリ
  */
 
-import { flatten, unflatten, getDiff, getDeletedKeys } from './flatten.js';
-import { toStorageFormat, fromStorageFormat, isValidPath, isValidObjId } from './types.js';
+import { unflatten, createFlatObject, isPathWithin, getDiff, getDeletedKeys } from './flatten.js';
+import { fromStorageFormat, isPlainObject, isValidObjId, isValidPath, registerType, unregisterType } from './types.js';
+import { parsePath, formatPath, assertNoDottedIndex } from './path.js';
+import { compileFind, compileList, compileCount, compilePathObjects, compilePathMove } from './query.js';
+import {
+  recordDeletionStatement, compileHistory, toHistoryEntry, rewindFlatData, isSameStoredValue, toUnixSeconds
+} from './history.js';
+import { quoteTableName, ensureSchema } from './schema.js';
+import { migrate, getSchemaVersion, assertSchemaVersion } from './migrations.js';
+import { assertStorageAdapter } from './adapter.js';
+import { compileSchema } from './validation.js';
+import { ValidationError, UniqueViolationError } from './errors.js';
+import { Hooks } from './hooks.js';
+import { toExportRecord, fromExportRecord, readNdjson, toNdjsonStream } from './transfer.js';
+import { compileIndex, toIndexValue, compileIndexRefresh, compileIndexDuplicates, compileFindByIndex } from './indexes.js';
+import { Document, findPendingUniqueViolation, batchStatements } from './document.js';
+import { Transaction } from './transaction.js';
+
+export {
+  MaskQLError, ConflictError, InvalidTableNameError, ValidationError, SaveVetoedError, PatchError, PatchTestFailedError,
+  SchemaVersionError, UniqueViolationError, InvalidQueryError
+} from './errors.js';
+export { parsePath, formatPath, escapeKey } from './path.js';
+export { Document } from './document.js';
+export { Transaction } from './transaction.js';
+export { Hooks } from './hooks.js';
+export { createHandler } from './handler.js';
+export { isStorageAdapter } from './adapter.js';
+export { SCHEMA_VERSION } from './migrations.js';
+
+/**
+ * D1 の1つのクエリにバインドできるパラメータの最大数
+ */
+const MAX_BOUND_PARAMETERS = 100;
+
+/**
+ * saveMany() が1回の d1.batch に含める SQL 文の既定の最大数
+ */
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * purgeExpired() が1回の呼び出しで削除する既定の最大行数
+ */
+const DEFAULT_PURGE_LIMIT = 1000;
+
+/**
+ * list() の1ページの既定の最大件数
+ */
+const DEFAULT_LIST_LIMIT = 100;
+
+/**
+ * renamePath() / movePrefix() / transformPath() が1回の呼び出しで処理する既定の最大オブジェクト数
+ */
+const DEFAULT_PATH_MIGRATION_LIMIT = 100;
+
+/**
+ * importObjects() の mode に指定できる値
+ */
+const IMPORT_MODES = new Set(['replace', 'merge', 'skip']);
 
 /**
  * MaskQLクラス
@@ -12,192 +69,681 @@ import { toStorageFormat, fromStorageFormat, isValidPath, isValidObjId } from '.
  */
 export class MaskQL {
   /**
-   * @param {D1Database} d1 - Cloudflare D1 データベースインスタンス
-   * @param {string} tableName - 使用するテーブル名
+   * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+   * @param {string} tableName - 使用するテーブル名（英数字とアンダースコアのみ。"schema.table" 形式も可）
+   * @param {Object} [options] - オプション
+   * @param {boolean} [options.history=false] - true の場合、save() ごとに変更履歴を "<tableName>_history" に記録する
+   * @param {Object<string, Object>} [options.schemas] - オブジェクトIDのパターンとスキーマの組（defineSchema() を参照）
+   * @param {Object<string, Object>} [options.indexes] - インデックスの名前と定義の組（defineIndex() を参照）
+   * @param {Hooks} [options.hooks] - 共有するフックの登録先（別のインスタンスの hooks を指定すると同じフックが呼び出される）
+   * @param {boolean} [options.checkSchema=true] - false の場合、最初の使用時にスキーマのバージョンを確認しない
+   * @throws {InvalidTableNameError} テーブル名が無効な場合
+   * @throws {Error} d1 がストレージアダプタのインターフェースを持たない場合、またはスキーマやインデックスの定義が不正な場合
    */
-  constructor(d1, tableName = 'maskql_store') {
-    if (!d1) {
-      throw new Error('D1 database instance is required');
-    }
+  constructor(d1, tableName = 'maskql_store', options = {}) {
+    assertStorageAdapter(d1);
 
-    if (!tableName || typeof tableName !== 'string') {
-      throw new Error('Valid table name is required');
-    }
+    const { history = false, schemas = {}, indexes = {}, hooks = new Hooks(), checkSchema = true } = options;
 
     this.d1 = d1;
     this.tableName = tableName;
-    this.currentObjId = null;
-    this.flatData = {}; // 現在のオブジェクトの平坦化データ（メモリキャッシュ）
-    this.originalFlatData = {}; // D1から読み込んだ時点のデータ（dirty tracking用）
-    this.dirtyPaths = new Set(); // 変更されたパス
-    this.deletedPaths = new Set(); // 削除されたパス
+    this.table = quoteTableName(tableName); // SQL に埋め込むクォート済みのテーブル名
+    this.revisionTable = quoteTableName(tableName, '_revisions'); // オブジェクトごとのリビジョン管理用テーブル
+    this.historyTable = quoteTableName(tableName, '_history'); // 変更履歴テーブル
+    this.indexTable = quoteTableName(tableName, '_indexes'); // defineIndex() のインデックステーブル
+    this.recordHistory = Boolean(history); // save() 時に変更履歴を記録するかどうか
+    this.schemas = new Map(); // オブジェクトIDのパターン → 検証用に変換したスキーマ
+    this.indexes = new Map(); // インデックスの名前 → 正規化したインデックスの定義
+    this.hooks = hooks; // on() で登録されたフック
+    this.document = null; // use() で開いた既定のドキュメント（インスタンスメソッドはこのドキュメントを操作する）
+    this.schemaCheck = checkSchema ? null : Promise.resolve(); // スキーマのバージョンの確認（確認済みまたは確認中の場合は Promise）
+
+    for (const [pattern, schema] of Object.entries(schemas)) {
+      this.defineSchema(pattern, schema);
+    }
+
+    for (const [name, definition] of Object.entries(indexes)) {
+      this.defineIndex(name, definition);
+    }
   }
 
   /**
-   * 指定されたオブジェクトIDのデータをD1からロードする
-   * @param {string} objId - オブジェクト識別子
+   * use() で開いているオブジェクトID（互換性のためのプロパティ）
+   * @type {string|null}
+   */
+  get currentObjId() {
+    return this.document ? this.document.objId : null;
+  }
+
+  /**
+   * MaskQL が使用するテーブルとインデックスを作成する（既に存在する場合は何もしない）
+   * wrangler d1 execute で schema/init.sql を実行する代わりに使用できる
+   * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+   * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
    * @returns {Promise<void>}
-   * @throws {Error} objIdが無効な場合
+   * @throws {InvalidTableNameError} テーブル名が無効な場合
+   * @throws {Error} テーブルの作成に失敗した場合
+   */
+  static async ensureSchema(d1, tableName = 'maskql_store') {
+    await ensureSchema(d1, tableName);
+  }
+
+  /**
+   * 未適用のマイグレーションを順に適用し、テーブルのスキーマを最新のバージョンに更新する
+   * 適用済みのマイグレーションは実行しないため、デプロイのたびに実行してもよい（migrations.js を参照）
+   * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+   * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
+   * @returns {Promise<{from: number, to: number, applied: number[]}>} 適用前と適用後のバージョン、適用したマイグレーションのバージョン
+   * @throws {InvalidTableNameError} テーブル名が無効な場合
+   * @throws {SchemaVersionError} テーブルのバージョンがこの MaskQL の対応するバージョンより新しい場合
+   * @throws {Error} マイグレーションの適用に失敗した場合
+   *
+   * 例:
+   *   const { from, to } = await MaskQL.migrate(env.DB, 'maskql_store');
+   */
+  static async migrate(d1, tableName = 'maskql_store') {
+    return migrate(d1, tableName);
+  }
+
+  /**
+   * テーブルのスキーマの現在のバージョンを取得する
+   * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+   * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
+   * @returns {Promise<number>} 現在のバージョン（記録がない場合は 0。この MaskQL が必要とするバージョンは SCHEMA_VERSION としてエクスポートされる）
+   * @throws {InvalidTableNameError} テーブル名が無効な場合
+   * @throws {Error} 読み込みに失敗した場合
+   */
+  static async getSchemaVersion(d1, tableName = 'maskql_store') {
+    return getSchemaVersion(d1, tableName);
+  }
+
+  /**
+   * カスタム型を登録する
+   * 登録した型の値は set() でそのまま設定でき、型名が value_type として保存されて use() 時に復元される
+   * @param {string} name - 型名（value_type として保存される）
+   * @param {Object} codec - 型の変換方法
+   * @param {function(any): boolean} codec.test - 値がこの型かどうかを判定する関数
+   * @param {function(any): string} codec.serialize - 値を文字列に変換する関数
+   * @param {function(string): any} codec.deserialize - 文字列から値を復元する関数
+   * @returns {void}
+   * @throws {Error} 型名や codec が無効な場合、または組み込みの型名と重複する場合
+   */
+  static registerType(name, codec) {
+    registerType(name, codec);
+  }
+
+  /**
+   * 登録したカスタム型を削除する
+   * @param {string} name - 型名
+   * @returns {boolean} 削除した場合 true
+   */
+  static unregisterType(name) {
+    return unregisterType(name);
+  }
+
+  /**
+   * 複数のオブジェクトへの変更を1つの d1.batch でまとめて保存する
+   * callback 内で tx.use() により開いたオブジェクトの変更は、callback の完了後にすべて保存されるか、
+   * いずれも保存されないかのどちらかになる。失敗した場合は各オブジェクトの未保存の変更も破棄される
+   * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+   * @param {function(Transaction): Promise<any>} callback - トランザクション内で実行する処理
+   * @param {Object} [options] - オプション
+   * @param {string} [options.tableName='maskql_store'] - 使用するテーブル名
+   * @param {boolean} [options.history=false] - true の場合、変更履歴を記録する
+   * @param {Object<string, Object>} [options.schemas] - オブジェクトIDのパターンとスキーマの組（defineSchema() を参照）
+   * @param {Object<string, Object>} [options.indexes] - インデックスの名前と定義の組（defineIndex() を参照）
+   * @param {Hooks} [options.hooks] - 呼び出すフックの登録先（例: mask.hooks）
+   * @param {boolean} [options.checkSchema=true] - false の場合、スキーマのバージョンを確認しない
+   * @returns {Promise<any>} callback の戻り値
+   * @throws {ConflictError} いずれかのオブジェクトのリビジョンが競合した場合
+   * @throws {ValidationError} いずれかのオブジェクトがスキーマに一致しない場合
+   * @throws {UniqueViolationError} いずれかのオブジェクトの一意インデックスの値が別のオブジェクトと重複した場合
+   * @throws {SaveVetoedError} いずれかのオブジェクトの保存を beforeSave フックが中止した場合
+   * @throws {Error} callback が失敗した場合、または D1 への書き込みに失敗した場合
+   *
+   * 例:
+   *   await MaskQL.transaction(env.DB, async (tx) => {
+   *     const a = await tx.use('wallet:a');
+   *     const b = await tx.use('wallet:b');
+   *     a.set('credits', a.get('credits') - 10);
+   *     b.set('credits', b.get('credits') + 10);
+   *   });
+   */
+  static async transaction(d1, callback, options = {}) {
+    const { tableName = 'maskql_store', history = false, schemas, indexes, hooks, checkSchema } = options;
+    const store = new MaskQL(d1, tableName, { history, schemas, indexes, hooks, checkSchema });
+    const tx = new Transaction(d1, (objId, transaction) => {
+      const doc = new Document(store, objId);
+      doc.transaction = transaction;
+      return doc;
+    });
+
+    await store._assertSchemaVersion();
+    return tx.run(callback);
+  }
+
+  /**
+   * フックを登録する
+   * フックには { objId, changes } が渡され、changes は { path, action, oldValue, newValue } の配列（パスの昇順）。
+   * - beforeSave: 保存の前に呼び出される（document も渡される）。false を返すか例外を投げると保存を中止し、
+   *   document を変更すると保存内容を修正できる
+   * - afterSave: 保存の後に呼び出される（document と revision も渡される）
+   * - change: 保存の後に変更されたパスごとに { objId, path, action, oldValue, newValue, document, revision } で呼び出される
+   * - delete: deleteObject() で行を削除した後に、削除した値の一覧とともに呼び出される
+   * フックは登録順に await され、afterSave / change / delete のフックが投げた例外は書き込みの完了後に呼び出し元に伝わる
+   * @param {'beforeSave'|'afterSave'|'change'|'delete'} event - イベント名
+   * @param {string|function(Object): any} pathPattern - パスのパターン（"*" は任意の文字列に一致し、配下のパスも一致する）。
+   *   省略してフック関数を指定した場合はすべてのパスが対象になる
+   * @param {function(Object): any} [handler] - フック関数
+   * @returns {function(): void} 登録を解除する関数
+   * @throws {Error} イベント名、パターン、フック関数が不正な場合
+   *
+   * 例:
+   *   mask.on('change', 'settings.*', ({ objId, path, newValue }) => cache.delete(`${objId}:${path}`));
+   *   mask.on('beforeSave', ({ document }) => { document.set('meta.updatedAt', new Date()); });
+   */
+  on(event, pathPattern, handler) {
+    if (typeof pathPattern === 'function') {
+      return this.hooks.on(event, null, pathPattern);
+    }
+    return this.hooks.on(event, pathPattern, handler);
+  }
+
+  /**
+   * on() で登録したフックの登録を解除する
+   * @param {string} event - イベント名
+   * @param {function(Object): any} handler - フック関数
+   * @returns {boolean} 解除した場合 true
+   */
+  off(event, handler) {
+    return this.hooks.off(event, handler);
+  }
+
+  /**
+   * オブジェクトIDのパターンに対してスキーマを登録する
+   * パターンに一致するオブジェクトは save() の前に getAll() の結果が検証され、一致しない場合は ValidationError が投げられる。
+   * 複数のパターンに一致する場合はすべてのスキーマで検証する。同じパターンを再度登録すると置き換え、null を指定すると登録を解除する
+   * @param {string} pattern - オブジェクトIDのパターン（"*" は任意の文字列に一致する。例: "user:*"）
+   * @param {Object|null} schema - JSON Schema のサブセット（type, enum, required, properties, additionalProperties, items,
+   *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern, minItems, maxItems）
+   * @returns {void}
+   * @throws {Error} パターンが空の場合、またはスキーマが不正な場合
+   *
+   * 例:
+   *   mask.defineSchema('user:*', {
+   *     type: 'object',
+   *     required: ['profile'],
+   *     properties: { profile: { properties: { age: { type: 'integer', minimum: 0 } } } }
+   *   });
+   */
+  defineSchema(pattern, schema) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new Error(`Invalid schema pattern: ${pattern}`);
+    }
+
+    if (schema === null) {
+      this.schemas.delete(pattern);
+      return;
+    }
+
+    this.schemas.set(pattern, compileSchema(schema));
+  }
+
+  /**
+   * パスの値で検索するためのインデックスを定義する
+   * 対象のオブジェクトの save() は、同じ d1.batch でパスの値を "<tableName>_indexes" に記録し、findByIndex() で検索できるようにする。
+   * unique: true の場合、同じ値を持つオブジェクトを保存しようとすると UniqueViolationError が投げられる。
+   * 値が null・配列・オブジェクトの場合とパスが存在しない場合は記録しない。
+   * 定義はこのインスタンスの中だけで有効なため、オブジェクトを保存するすべてのインスタンスで同じ定義を行う（options.indexes でも指定できる）。
+   * 既に保存されているオブジェクトは、定義を追加・変更した後に rebuildIndex() を実行するまでインデックスに反映されない。
+   * 同じ名前で再度定義すると置き換え、null を指定すると定義を削除する
+   * @param {string} name - インデックスの名前
+   * @param {Object|null} definition - インデックスの定義
+   * @param {string|Array} definition.path - 値を記録するパス
+   * @param {string} [definition.prefix] - 対象のオブジェクトの obj_id の前方一致条件（省略時はすべてのオブジェクト）
+   * @param {boolean} [definition.unique=false] - true の場合、同じ値を持つオブジェクトを1つに制限する
+   * @returns {void}
+   * @throws {Error} 名前や定義が不正な場合
+   *
+   * 例:
+   *   mask.defineIndex('user_email', { prefix: 'user:', path: 'profile.email', unique: true });
+   */
+  defineIndex(name, definition) {
+    if (definition === null) {
+      this.indexes.delete(name);
+      return;
+    }
+
+    this.indexes.set(name, compileIndex(name, definition));
+  }
+
+  /**
+   * オブジェクトを読み込み、独立したドキュメントハンドルとして返す
+   * 1つのインスタンスから複数のオブジェクトを同時に開き、それぞれ個別に変更・保存できる
+   * @param {string} objId - オブジェクト識別子
+   * @param {Object} [options] - 読み込みオプション
+   * @param {Array<string|Array>} [options.paths] - 指定した場合、これらのパスの配下のみを読み込む（残りは fetch() で読み込む）
+   * @param {number} [options.ttl] - オブジェクト単位の TTL（秒）。保存のたびにオブジェクト全体の有効期限を延長する
+   * @returns {Promise<Document>} オブジェクトを読み込んだドキュメント
+   * @throws {Error} objIdやパスが無効な場合、または読み込みに失敗した場合
+   *
+   * 例:
+   *   const user = await mask.open('user:123');
+   *   const team = await mask.open('team:9');
+   *   user.set('team', 'team:9');
+   *   team.push('members', 'user:123');
+   *   await Promise.all([user.save(), team.save()]);
    */
-  async use(objId) {
+  async open(objId, options = {}) {
     if (!isValidObjId(objId)) {
       throw new Error(`Invalid object ID: ${objId}`);
     }
 
-    // 現在のオブジェクトに未保存の変更がある場合は警告
-    if (this.dirtyPaths.size > 0 || this.deletedPaths.size > 0) {
-      console.warn(`MaskQL: Switching to new object "${objId}" with unsaved changes. Previous changes will be lost.`);
+    await this._assertSchemaVersion();
+
+    const doc = new Document(this, objId);
+    if (options.ttl !== undefined) {
+      doc.setTtl(options.ttl);
     }
+    await doc.reload({ paths: options.paths === undefined ? null : options.paths });
+    return doc;
+  }
+
+  /**
+   * 複数のオブジェクトをまとめて読み込み、それぞれのドキュメントハンドルを返す
+   * オブジェクトIDごとに問い合わせる代わりに WHERE obj_id IN (...) でまとめて読み込む
+   * @param {string[]} objIds - オブジェクト識別子の配列（重複は1つにまとめられる）
+   * @returns {Promise<Map<string, Document>>} オブジェクトIDごとのドキュメント（存在しないオブジェクトは空のドキュメント）
+   * @throws {Error} objIdが無効な場合、または読み込みに失敗した場合
+   */
+  async useMany(objIds) {
+    const uniqueIds = this._validateObjIds(objIds);
+
+    await this._assertSchemaVersion();
 
-    this.currentObjId = objId;
-    this.flatData = {};
-    this.originalFlatData = {};
-    this.dirtyPaths.clear();
-    this.deletedPaths.clear();
+    const revisions = new Map();
+    const expiries = new Map();
 
+    let flatDataById;
     try {
-      // D1からデータを読み込む
-      const query = `SELECT key_path, value, value_type FROM ${this.tableName} WHERE obj_id = ?`;
-      const result = await this.d1.prepare(query).bind(objId).all();
-
-      if (result.results) {
-        for (const row of result.results) {
-          const deserializedValue = fromStorageFormat(row.value, row.value_type);
-          this.flatData[row.key_path] = deserializedValue;
-          this.originalFlatData[row.key_path] = deserializedValue;
-        }
-      }
+      flatDataById = await this._loadFlatData(uniqueIds, revisions, expiries);
     } catch (error) {
-      throw new Error(`Failed to load object "${objId}" from D1: ${error.message}`);
+      throw new Error(`Failed to load objects from D1: ${error.message}`);
     }
+
+    const documents = new Map();
+    for (const objId of uniqueIds) {
+      const doc = new Document(this, objId);
+      doc._setLoaded(flatDataById.get(objId) || createFlatObject(), revisions.get(objId) || 0, expiries.get(objId));
+      documents.set(objId, doc);
+    }
+
+    return documents;
   }
 
   /**
-   * 指定されたパスの値を取得する（メモリキャッシュから）
-   * @param {string} path - ドット区切りのパス
-   * @returns {any} パスの値。存在しない場合は undefined
-   * @throws {Error} パスが無効な場合
+   * 複数のオブジェクトをまとめて読み込み、ネストされたオブジェクトとして返す（読み取り専用の用途向け）
+   * @param {string[]} objIds - オブジェクト識別子の配列（重複は1つにまとめられる）
+   * @returns {Promise<Map<string, Object>>} オブジェクトIDごとのオブジェクト（存在しないオブジェクトは {}）
+   * @throws {Error} objIdが無効な場合、または読み込みに失敗した場合
+   *
+   * 例:
+   *   const users = await mask.getMany(['user:1', 'user:2']);
+   *   users.get('user:1').profile.name
    */
-  get(path) {
-    if (!isValidPath(path)) {
-      throw new Error(`Invalid path: ${path}`);
-    }
+  async getMany(objIds) {
+    const uniqueIds = this._validateObjIds(objIds);
 
-    if (!this.currentObjId) {
-      throw new Error('No object loaded. Call use() first.');
+    await this._assertSchemaVersion();
+
+    let flatDataById;
+    try {
+      flatDataById = await this._loadFlatData(uniqueIds);
+    } catch (error) {
+      throw new Error(`Failed to load objects from D1: ${error.message}`);
     }
 
-    return this.flatData[path];
+    return new Map(uniqueIds.map((objId) => [objId, unflatten(flatDataById.get(objId) || createFlatObject())]));
   }
 
   /**
-   * 指定されたパスに値を設定する（メモリ内のみ）
-   * @param {string} path - ドット区切りのパス
-   * @param {any} value - 設定する値
-   * @returns {void}
-   * @throws {Error} パスが無効な場合
+   * 複数のドキュメントの変更をまとめて保存する
+   * 各ドキュメントの SQL 文を d1.batch にまとめ、batchSize を超える場合は複数の batch に分けて実行する。
+   * 1つのドキュメントの SQL 文が複数の batch に分かれることはないが、batch をまたいだ原子性はない
+   * （すべて保存されるかいずれも保存されないかを保証する場合は MaskQL.transaction() を使用する）。
+   * 一意インデックスの値の入れ替えは、同じ batch に含まれるドキュメントの間でのみ行える
+   * @param {Document[]} documents - 保存するドキュメント（open() または useMany() で開いたもの）
+   * @param {Object} [options] - 保存オプション
+   * @param {number} [options.batchSize=100] - 1回の d1.batch に含める SQL 文の最大数
+   * @returns {Promise<void>}
+   * @throws {ConflictError} いずれかのドキュメントのリビジョンが競合した場合
+   *   （競合した batch 以降のドキュメントは保存されず、未保存の変更が残る）
+   * @throws {ValidationError} いずれかのドキュメントがスキーマに一致しない場合（いずれのドキュメントも保存しない）
+   * @throws {UniqueViolationError} いずれかのドキュメントの一意インデックスの値が別のオブジェクトと重複した場合
+   *   （重複した batch 以降のドキュメントは保存されない）
+   * @throws {SaveVetoedError} いずれかのドキュメントの保存を beforeSave フックが中止した場合（いずれのドキュメントも保存しない）
+   * @throws {Error} D1 への書き込みに失敗した場合
    */
-  set(path, value) {
-    if (!isValidPath(path)) {
-      throw new Error(`Invalid path: ${path}`);
+  async saveMany(documents, options = {}) {
+    const { batchSize = DEFAULT_BATCH_SIZE } = options;
+
+    if (!Array.isArray(documents) || documents.some((doc) => !(doc instanceof Document))) {
+      throw new Error('saveMany() requires an array of documents');
     }
 
-    if (!this.currentObjId) {
-      throw new Error('No object loaded. Call use() first.');
+    if (documents.some((doc) => doc.transaction)) {
+      throw new Error('Objects opened in a transaction are saved when the transaction commits');
+    }
+
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid batch size: ${batchSize}`);
+    }
+
+    await this._assertSchemaVersion();
+
+    const uniqueDocuments = [...new Set(documents)];
+    for (const doc of uniqueDocuments) {
+      await doc._beforeSave();
+    }
+
+    const prepared = [];
+    try {
+      for (const doc of uniqueDocuments) {
+        prepared.push({ doc, original: doc.originalFlatData, ...doc._prepareSave() });
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new Error(`Failed to save objects to D1: ${error.message}`);
+    }
+
+    const duplicate = findPendingUniqueViolation(uniqueDocuments);
+    if (duplicate) {
+      throw duplicate;
+    }
+
+    // ドキュメント単位で batchSize 以下になるように分割する
+    const batches = [];
+    let current = [];
+    let currentSize = 0;
+    for (const entry of prepared) {
+      const size = entry.statements.length + entry.indexStatements.deletes.length + entry.indexStatements.inserts.length;
+      if (current.length > 0 && currentSize + size > batchSize) {
+        batches.push(current);
+        current = [];
+        currentSize = 0;
+      }
+      current.push(entry);
+      currentSize += size;
+    }
+    if (current.length > 0) {
+      batches.push(current);
+    }
+
+    for (const batch of batches) {
+      const statements = batchStatements(batch);
+      let results = [];
+
+      try {
+        if (statements.length > 0) {
+          results = await this.d1.batch(statements);
+        }
+      } catch (error) {
+        for (const { doc } of batch) {
+          const conflict = await doc._detectConflict().catch(() => null);
+          if (conflict) {
+            throw conflict;
+          }
+        }
+        throw new Error(`Failed to save objects to D1: ${error.message}`);
+      }
+
+      let offset = 0;
+      for (const { statements: docStatements, commit } of batch) {
+        commit(results.slice(offset, offset + docStatements.length));
+        offset += docStatements.length;
+      }
+
+      for (const { doc, original } of batch) {
+        await doc._afterSave(original);
+      }
     }
+  }
 
-    // 値が変更された場合のみ dirty マークをつける
-    const oldValue = this.flatData[path];
+  /**
+   * オブジェクトIDの配列を検証し、重複を取り除く
+   * @param {string[]} objIds - オブジェクト識別子の配列
+   * @returns {string[]} 重複を取り除いたオブジェクトID
+   * @throws {Error} 配列でない場合、または無効なオブジェクトIDを含む場合
+   * @private
+   */
+  _validateObjIds(objIds) {
+    if (!Array.isArray(objIds)) {
+      throw new Error('Object IDs must be an array');
+    }
 
-    // 削除されたパスに再度値を設定する場合、削除フラグを解除
-    if (this.deletedPaths.has(path)) {
-      this.deletedPaths.delete(path);
+    for (const objId of objIds) {
+      if (!isValidObjId(objId)) {
+        throw new Error(`Invalid object ID: ${objId}`);
+      }
     }
 
-    // 値を設定
-    this.flatData[path] = value;
+    return [...new Set(objIds)];
+  }
 
-    // 変更があった場合は dirty マークをつける
-    if (oldValue !== value) {
-      this.dirtyPaths.add(path);
+  /**
+   * テーブルのスキーマのバージョンがこの MaskQL の必要とするバージョンと一致することを確認する
+   * 最初の呼び出しでのみ問い合わせ、失敗した場合は次の呼び出しで再び確認する
+   * @returns {Promise<void>}
+   * @throws {SchemaVersionError} バージョンが一致しない場合（MaskQL.migrate() で更新する）
+   * @private
+   */
+  _assertSchemaVersion() {
+    if (!this.schemaCheck) {
+      this.schemaCheck = assertSchemaVersion(this.d1, this.tableName).catch((error) => {
+        this.schemaCheck = null;
+        throw error;
+      });
     }
+    return this.schemaCheck;
   }
 
   /**
-   * 指定されたパスを削除する（メモリ内のみ）
-   * @param {string} path - ドット区切りのパス
-   * @returns {void}
-   * @throws {Error} パスが無効な場合
+   * 指定されたオブジェクトIDのデータをD1からロードし、インスタンスメソッドの操作対象にする
+   * 以前に use() で開いていたオブジェクトの未保存の変更は破棄される（複数のオブジェクトを扱う場合は open() を使用する）
+   * @param {string} objId - オブジェクト識別子
+   * @param {Object} [options] - 読み込みオプション
+   * @param {Array<string|Array>} [options.paths] - 指定した場合、これらのパスの配下のみを読み込む（残りは fetch() で読み込む）
+   * @param {number} [options.ttl] - オブジェクト単位の TTL（秒）。保存のたびにオブジェクト全体の有効期限を延長する
+   * @returns {Promise<void>}
+   * @throws {Error} objIdやパスが無効な場合
+   *
+   * 例:
+   *   await mask.use('user:123', { paths: ['profile', 'settings.notifications'] });
    */
-  delete(path) {
-    if (!isValidPath(path)) {
-      throw new Error(`Invalid path: ${path}`);
+  async use(objId, options = {}) {
+    if (!isValidObjId(objId)) {
+      throw new Error(`Invalid object ID: ${objId}`);
     }
 
-    if (!this.currentObjId) {
-      throw new Error('No object loaded. Call use() first.');
+    await this._assertSchemaVersion();
+
+    // 現在のオブジェクトに未保存の変更がある場合は警告
+    if (this.hasUnsavedChanges()) {
+      console.warn(`MaskQL: Switching to new object "${objId}" with unsaved changes. Previous changes will be lost.`);
     }
 
-    // パスが存在する場合のみ削除
-    if (path in this.flatData) {
-      delete this.flatData[path];
-      this.deletedPaths.add(path);
-      this.dirtyPaths.delete(path); // dirty フラグは削除
+    this.document = new Document(this, objId);
+    if (options.ttl !== undefined) {
+      this.document.setTtl(options.ttl);
     }
+    await this.document.reload({ paths: options.paths === undefined ? null : options.paths });
   }
 
   /**
-   * メモリ内の変更をD1に永続化する
+   * use() で部分的に読み込んだオブジェクトに、指定したパスの配下を追加で読み込む（Document#fetch() を参照）
+   * @param {string|Array} path - 読み込むパス
    * @returns {Promise<void>}
-   * @throws {Error} D1への書き込みに失敗した場合
+   * @throws {ConflictError} 最初の読み込みの後に別のリクエストがオブジェクトを保存していた場合
+   * @throws {Error} パスが無効な場合、オブジェクトがロードされていない場合、または読み込みに失敗した場合
+   */
+  async fetch(path) {
+    await this._requireDocument().fetch(path);
+  }
+
+  /**
+   * use() で開いたドキュメントを取得する
+   * @returns {Document} 既定のドキュメント
+   * @throws {Error} オブジェクトがロードされていない場合
+   * @private
    */
-  async save() {
-    if (!this.currentObjId) {
+  _requireDocument() {
+    if (!this.document) {
       throw new Error('No object loaded. Call use() first.');
     }
+    return this.document;
+  }
 
-    const statements = [];
+  /**
+   * 指定されたパスの値を取得する（Document#get() を参照）
+   * @param {string} path - ドット区切りのパス（配列要素は "items[3]" または "items.3"）
+   * @returns {any} パスの値。存在しない場合は undefined
+   * @throws {Error} パスが無効な場合、またはオブジェクトがロードされていない場合
+   */
+  get(path) {
+    return this._requireDocument().get(path);
+  }
 
-    try {
-      // 削除されたパスの処理
-      for (const path of this.deletedPaths) {
-        // 元のデータに存在していた場合のみ DELETE を実行
-        if (path in this.originalFlatData) {
-          const deleteStmt = this.d1.prepare(
-            `DELETE FROM ${this.tableName} WHERE obj_id = ? AND key_path = ?`
-          ).bind(this.currentObjId, path);
-          statements.push(deleteStmt);
-        }
-      }
+  /**
+   * 指定されたパスに値を設定する（Document#set() を参照）
+   * @param {string} path - ドット区切りのパス（配列要素は "items[3]" または "items.3"）
+   * @param {any} value - 設定する値
+   * @param {Object} [options] - オプション
+   * @param {number|null} [options.ttl] - 有効期間（秒）。null の場合は有効期限を解除する
+   * @returns {void}
+   * @throws {Error} パスが無効な場合、またはオブジェクトがロードされていない場合
+   */
+  set(path, value, options = {}) {
+    this._requireDocument().set(path, value, options);
+  }
 
-      // 変更・追加されたパスの処理
-      for (const path of this.dirtyPaths) {
-        const value = this.flatData[path];
-        const { value: serializedValue, type: valueType } = toStorageFormat(value);
+  /**
+   * 指定されたパスを削除する（Document#delete() を参照）
+   * @param {string} path - ドット区切りのパス
+   * @returns {void}
+   * @throws {Error} パスが無効な場合、またはオブジェクトがロードされていない場合
+   */
+  delete(path) {
+    this._requireDocument().delete(path);
+  }
 
-        // UPSERT (INSERT OR REPLACE)
-        const upsertStmt = this.d1.prepare(
-          `INSERT INTO ${this.tableName} (obj_id, key_path, value, value_type, created_at, updated_at)
-           VALUES (?, ?, ?, ?, unixepoch(), unixepoch())
-           ON CONFLICT(obj_id, key_path)
-           DO UPDATE SET value = excluded.value, value_type = excluded.value_type, updated_at = unixepoch()`
-        ).bind(this.currentObjId, path, serializedValue, valueType);
+  /**
+   * 配列の末尾に要素を追加する（Document#push() を参照）
+   * @param {string} path - 配列のパス
+   * @param {...any} values - 追加する値
+   * @returns {number} 追加後の配列の長さ
+   */
+  push(path, ...values) {
+    return this._requireDocument().push(path, ...values);
+  }
 
-        statements.push(upsertStmt);
-      }
+  /**
+   * 配列の指定した位置に要素を挿入する（Document#insert() を参照）
+   * @param {string} path - 配列のパス
+   * @param {number} index - 挿入する位置
+   * @param {any} value - 挿入する値
+   * @returns {void}
+   */
+  insert(path, index, value) {
+    this._requireDocument().insert(path, index, value);
+  }
 
-      // batch API で一括実行
-      if (statements.length > 0) {
-        await this.d1.batch(statements);
-      }
+  /**
+   * 配列の指定した位置の要素を削除する（Document#removeAt() を参照）
+   * @param {string} path - 配列のパス
+   * @param {number} index - 削除する位置
+   * @returns {any} 削除された要素
+   */
+  removeAt(path, index) {
+    return this._requireDocument().removeAt(path, index);
+  }
 
-      // 保存が成功したら、originalFlatData を更新し、dirty フラグをクリア
-      this.originalFlatData = { ...this.flatData };
-      this.dirtyPaths.clear();
-      this.deletedPaths.clear();
-    } catch (error) {
-      throw new Error(`Failed to save object "${this.currentObjId}" to D1: ${error.message}`);
-    }
+  /**
+   * 配列の要素を削除・挿入する（Document#splice() を参照）
+   * @param {string} path - 配列のパス
+   * @param {number} start - 変更を開始する位置
+   * @param {number} [deleteCount] - 削除する要素数
+   * @param {...any} items - 挿入する値
+   * @returns {Array} 削除された要素
+   */
+  splice(path, start, deleteCount, ...items) {
+    return this._requireDocument().splice(path, start, deleteCount, ...items);
+  }
+
+  /**
+   * 数値に加算する（Document#increment() を参照）
+   * @param {string} path - 数値のパス
+   * @param {number} [delta=1] - 加算する値
+   * @returns {number} 加算後の値（見込み）
+   */
+  increment(path, delta = 1) {
+    return this._requireDocument().increment(path, delta);
+  }
+
+  /**
+   * 数値から減算する（Document#decrement() を参照）
+   * @param {string} path - 数値のパス
+   * @param {number} [delta=1] - 減算する値
+   * @returns {number} 減算後の値（見込み）
+   */
+  decrement(path, delta = 1) {
+    return this._requireDocument().decrement(path, delta);
+  }
+
+  /**
+   * 数値を value との大きい方に更新する（Document#setMax() を参照）
+   * @param {string} path - 数値のパス
+   * @param {number} value - 比較する値
+   * @returns {number} 更新後の値（見込み）
+   */
+  setMax(path, value) {
+    return this._requireDocument().setMax(path, value);
+  }
+
+  /**
+   * 数値を value との小さい方に更新する（Document#setMin() を参照）
+   * @param {string} path - 数値のパス
+   * @param {number} value - 比較する値
+   * @returns {number} 更新後の値（見込み）
+   */
+  setMin(path, value) {
+    return this._requireDocument().setMin(path, value);
+  }
+
+  /**
+   * メモリ内の変更をD1に永続化する（Document#save() を参照）
+   * retry には use() で開いたドキュメントが渡される
+   * @param {Object} [options] - 保存オプション
+   * @param {function(Document): (void|Promise<void>)} [options.retry] - 競合時に変更を再適用する関数
+   * @param {number} [options.maxRetries=3] - 競合時に再試行する最大回数
+   * @returns {Promise<void>}
+   * @throws {ConflictError} リビジョンが競合し、再試行しても解消しなかった場合
+   * @throws {ValidationError} オブジェクトがスキーマに一致しない場合
+   * @throws {SaveVetoedError} beforeSave フックが保存を中止した場合
+   * @throws {Error} D1への書き込みに失敗した場合
+   */
+  async save(options = {}) {
+    await this._requireDocument().save(options);
+  }
+
+  /**
+   * use() で開いているオブジェクトをスキーマで検証する（Document#validate() を参照）
+   * @returns {Array<{path: string, message: string}>} パスごとの検証エラー（問題がない場合は空の配列）
+   * @throws {Error} オブジェクトがロードされていない場合
+   */
+  validate() {
+    return this._requireDocument().validate();
   }
 
   /**
@@ -206,11 +752,7 @@ export class MaskQL {
    * @throws {Error} オブジェクトがロードされていない場合
    */
   getAll() {
-    if (!this.currentObjId) {
-      throw new Error('No object loaded. Call use() first.');
-    }
-
-    return unflatten(this.flatData);
+    return this._requireDocument().getAll();
   }
 
   /**
@@ -221,45 +763,79 @@ export class MaskQL {
     return this.currentObjId;
   }
 
+  /**
+   * use() 時点（または直近の save() 後）のリビジョンを取得する
+   * @returns {number} リビジョン番号（未保存のオブジェクトは 0）
+   */
+  getRevision() {
+    return this.document ? this.document.getRevision() : 0;
+  }
+
   /**
    * 未保存の変更があるかどうかを確認する
    * @returns {boolean} 未保存の変更がある場合 true
    */
   hasUnsavedChanges() {
-    return this.dirtyPaths.size > 0 || this.deletedPaths.size > 0;
+    return this.document ? this.document.hasUnsavedChanges() : false;
   }
 
   /**
    * オブジェクト全体を設定する（既存のデータは全て削除される）
    * @param {Object} obj - 設定するオブジェクト
+   * @param {Object} [options] - オプション
+   * @param {number} [options.ttl] - 有効期間（秒）。すべてのリーフに同じ有効期限を設定する
    * @returns {void}
    * @throws {Error} オブジェクトがロードされていない場合
    */
-  setAll(obj) {
-    if (!this.currentObjId) {
-      throw new Error('No object loaded. Call use() first.');
-    }
+  setAll(obj, options = {}) {
+    this._requireDocument().setAll(obj, options);
+  }
 
-    // 既存のすべてのキーを削除対象とする
-    for (const path of Object.keys(this.flatData)) {
-      this.deletedPaths.add(path);
-    }
+  /**
+   * JSON Patch (RFC 6902) を適用する（Document#applyPatch() を参照）
+   * @param {Array<{op: string, path: string, value?: any, from?: string}>} operations - パッチの操作の配列
+   * @returns {void}
+   * @throws {PatchTestFailedError} test 操作の値が一致しなかった場合
+   * @throws {PatchError} 操作を適用できない場合
+   * @throws {Error} オブジェクトがロードされていない場合
+   */
+  applyPatch(operations) {
+    this._requireDocument().applyPatch(operations);
+  }
 
-    // 新しいオブジェクトを平坦化
-    const newFlatData = flatten(obj);
+  /**
+   * JSON Merge Patch (RFC 7386) を適用する（Document#applyMergePatch() を参照）
+   * @param {Object|any} patch - マージパッチ
+   * @param {string|Array|null} [path=null] - 指定した場合、このパスの値にマージする
+   * @returns {void}
+   * @throws {Error} パッチやパスが不正な場合、またはオブジェクトがロードされていない場合
+   */
+  applyMergePatch(patch, path = null) {
+    this._requireDocument().applyMergePatch(patch, path);
+  }
 
-    // 新しいデータを設定
-    this.flatData = {};
-    for (const [path, value] of Object.entries(newFlatData)) {
-      this.flatData[path] = value;
-      this.dirtyPaths.add(path);
-      // 削除対象から除外
-      this.deletedPaths.delete(path);
-    }
+  /**
+   * 未保存の変更を JSON Patch (RFC 6902) に変換する（Document#diffPatch() を参照）
+   * @returns {Array<{op: string, path: string, value?: any}>} パッチの操作の配列
+   * @throws {Error} オブジェクトがロードされていない場合
+   */
+  diffPatch() {
+    return this._requireDocument().diffPatch();
+  }
+
+  /**
+   * パスの有効期限を取得する（Document#getExpiry() を参照）
+   * @param {string} path - リーフのパス
+   * @returns {Date|null} 有効期限。有効期限が設定されていない場合は null
+   * @throws {Error} パスが無効な場合、またはオブジェクトがロードされていない場合
+   */
+  getExpiry(path) {
+    return this._requireDocument().getExpiry(path);
   }
 
   /**
    * 指定されたオブジェクトをD1から完全に削除する
+   * 行を削除した場合は、削除した値の一覧とともに delete フックを呼び出す
    * @param {string} objId - 削除するオブジェクトID (省略時は現在のオブジェクト)
    * @returns {Promise<void>}
    * @throws {Error} 削除に失敗した場合
@@ -275,22 +851,452 @@ export class MaskQL {
       throw new Error(`Invalid object ID: ${targetObjId}`);
     }
 
-    try {
-      await this.d1.prepare(
-        `DELETE FROM ${this.tableName} WHERE obj_id = ?`
-      ).bind(targetObjId).run();
+    await this._assertSchemaVersion();
+
+    let statements;
+    if (this.recordHistory) {
+      // 履歴を記録する場合はリビジョンを残して進め、すべての行の削除を履歴に記録する
+      const tables = { store: this.table, revisions: this.revisionTable, history: this.historyTable };
+      statements = [
+        this.d1.prepare(
+          `INSERT INTO ${this.revisionTable} (obj_id, revision, updated_at)
+           SELECT ?, 1, unixepoch() WHERE EXISTS (SELECT 1 FROM ${this.table} WHERE obj_id = ?)
+           ON CONFLICT(obj_id)
+           DO UPDATE SET revision = revision + 1, updated_at = unixepoch()`
+        ).bind(targetObjId, targetObjId),
+        recordDeletionStatement(this.d1, tables, targetObjId),
+        this.d1.prepare(
+          `DELETE FROM ${this.table} WHERE obj_id = ? RETURNING key_path, value, value_type, expires_at`
+        ).bind(targetObjId)
+      ];
+    } else {
+      statements = [
+        this.d1.prepare(
+          `DELETE FROM ${this.table} WHERE obj_id = ? RETURNING key_path, value, value_type, expires_at`
+        ).bind(targetObjId),
+        this.d1.prepare(
+          `DELETE FROM ${this.revisionTable} WHERE obj_id = ?`
+        ).bind(targetObjId)
+      ];
+    }
+
+    statements.push(this.d1.prepare(`DELETE FROM ${this.indexTable} WHERE obj_id = ?`).bind(targetObjId));
+
+    let deletedRows;
+    try {
+      const results = await this.d1.batch(statements);
+      deletedRows = results[this.recordHistory ? 2 : 0].results || [];
 
       // 現在ロードされているオブジェクトを削除した場合は状態をクリア
       if (targetObjId === this.currentObjId) {
-        this.currentObjId = null;
-        this.flatData = {};
-        this.originalFlatData = {};
-        this.dirtyPaths.clear();
-        this.deletedPaths.clear();
+        this.document = null;
       }
     } catch (error) {
       throw new Error(`Failed to delete object "${targetObjId}" from D1: ${error.message}`);
     }
+
+    if (this.hooks.has('delete')) {
+      // 有効期限切れの行は存在しなかったものとして扱う
+      const now = Date.now() / 1000;
+      const changes = deletedRows
+        .filter((row) => row.expires_at === null || row.expires_at === undefined || Number(row.expires_at) > now)
+        .map((row) => ({
+          path: row.key_path,
+          action: 'delete',
+          oldValue: fromStorageFormat(row.value, row.value_type),
+          newValue: undefined
+        }))
+        .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+      await this.hooks.emit('delete', targetObjId, () => changes);
+    }
+  }
+
+  /**
+   * 条件に一致するオブジェクトを検索する
+   * 数値の比較は value_type が 'number' の値のみを数値として扱う
+   * @param {Object} [options] - 検索オプション
+   * @param {Object} [options.where] - パスごとの検索条件。値を直接指定すると等価条件、
+   *   演算子オブジェクト（$eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $like）も指定できる
+   * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+   * @param {string|Object|Array} [options.orderBy] - 並び替えに使うパス、または { path, direction } とその配列
+   * @param {number} [options.limit] - 取得する最大件数
+   * @param {number} [options.offset] - 読み飛ばす件数
+   * @param {'ids'|'objects'} [options.select='ids'] - 'objects' の場合はオブジェクト全体も読み込む
+   * @returns {Promise<string[]|Array<{objId: string, data: Object}>>} 一致したオブジェクトIDまたはオブジェクト
+   * @throws {InvalidQueryError} 検索条件が不正な場合
+   * @throws {Error} select が不正な場合、または検索に失敗した場合
+   *
+   * 例:
+   *   await mask.find({ where: { 'profile.age': { $gt: 20 }, 'settings.theme': 'dark' }, prefix: 'user:' })
+   */
+  async find(options = {}) {
+    const { select = 'ids' } = options;
+
+    if (select !== 'ids' && select !== 'objects') {
+      throw new Error(`Invalid select option: ${select}`);
+    }
+
+    await this._assertSchemaVersion();
+
+    const { sql, params } = compileFind(this.table, options);
+
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).all();
+      const objIds = (result.results || []).map((row) => row.obj_id);
+
+      if (select === 'ids') {
+        return objIds;
+      }
+
+      const flatDataById = await this._loadFlatData(objIds);
+      return objIds.map((objId) => ({ objId, data: unflatten(flatDataById.get(objId) || createFlatObject()) }));
+    } catch (error) {
+      throw new Error(`Failed to query objects: ${error.message}`);
+    }
+  }
+
+  /**
+   * インデックスの値が一致するオブジェクトを検索する
+   * 値は型も含めて比較する（数値の 1 と文字列の '1' は一致しない）。有効期限切れの値は一致しない
+   * @param {string} name - defineIndex() で定義したインデックスの名前
+   * @param {any} value - 検索する値（null・配列・オブジェクト以外）
+   * @param {Object} [options] - オプション
+   * @param {number} [options.limit] - 取得する最大件数
+   * @returns {Promise<string[]>} 一致したオブジェクトID（obj_id の昇順）
+   * @throws {Error} インデックスが定義されていない場合、値やオプションが不正な場合、または検索に失敗した場合
+   *
+   * 例:
+   *   const [objId] = await mask.findByIndex('user_email', 'alice@example.com');
+   */
+  async findByIndex(name, value, options = {}) {
+    const { limit } = options;
+    const index = this._requireIndex(name);
+    const stored = toIndexValue(value);
+
+    if (stored === null) {
+      throw new Error(`Index values must not be null, arrays or objects (index "${name}")`);
+    }
+
+    if (limit !== undefined && limit !== null && (!Number.isInteger(limit) || limit < 0)) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+
+    await this._assertSchemaVersion();
+
+    const { sql, params } = compileFindByIndex({ store: this.table, indexes: this.indexTable }, index, stored, limit);
+
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).all();
+      return (result.results || []).map((row) => row.obj_id);
+    } catch (error) {
+      throw new Error(`Failed to search index "${name}": ${error.message}`);
+    }
+  }
+
+  /**
+   * 保存されているオブジェクトからインデックスを作り直す
+   * defineIndex() でインデックスを追加・変更した後や、renamePath() などをインデックスを定義していないインスタンスで実行した後に使用する
+   * @param {string} name - defineIndex() で定義したインデックスの名前
+   * @returns {Promise<number>} インデックスに記録したオブジェクトの数
+   * @throws {UniqueViolationError} 一意インデックスで、同じ値を持つオブジェクトが既に複数ある場合（インデックスは変更しない）
+   * @throws {Error} インデックスが定義されていない場合、または D1 の読み書きに失敗した場合
+   */
+  async rebuildIndex(name) {
+    const index = this._requireIndex(name);
+
+    await this._assertSchemaVersion();
+
+    let duplicate = null;
+    let results;
+    try {
+      if (index.unique) {
+        const { sql, params } = compileIndexDuplicates(this.table, index);
+        duplicate = await this.d1.prepare(sql).bind(...params).first();
+      }
+
+      if (!duplicate) {
+        results = await this.d1.batch(compileIndexRefresh({ store: this.table, indexes: this.indexTable }, index)
+          .map(({ sql, params }) => this.d1.prepare(sql).bind(...params)));
+      }
+    } catch (error) {
+      throw new Error(`Failed to rebuild index "${name}": ${error.message}`);
+    }
+
+    if (duplicate) {
+      throw new UniqueViolationError(
+        name, fromStorageFormat(duplicate.value, duplicate.value_type), duplicate.last_id, duplicate.first_id
+      );
+    }
+
+    return Number(results[1].meta.changes);
+  }
+
+  /**
+   * 定義されたインデックスを取得する
+   * @param {string} name - インデックスの名前
+   * @returns {{name: string, path: string, prefix: string|null, unique: boolean}} インデックスの定義
+   * @throws {Error} インデックスが定義されていない場合
+   * @private
+   */
+  _requireIndex(name) {
+    const index = this.indexes.get(name);
+    if (!index) {
+      throw new Error(`Index "${name}" is not defined`);
+    }
+    return index;
+  }
+
+  /**
+   * 複数のオブジェクトの平坦化データを D1 から読み込む
+   * バインドパラメータの上限を超えないように分割して問い合わせる。有効期限切れの行は読み込まない
+   * @param {string[]} objIds - 読み込むオブジェクトID
+   * @param {Map<string, number>} [revisions] - 指定した場合、各オブジェクトのリビジョンもデータと同じ batch で読み込んで格納する
+   * @param {Map<string, Map<string, number>>} [expiries] - 指定した場合、各オブジェクトのリーフの有効期限を格納する
+   * @returns {Promise<Map<string, Object>>} オブジェクトIDごとの平坦化データ（行が存在しないオブジェクトは含まれない）
+   * @private
+   */
+  async _loadFlatData(objIds, revisions = null, expiries = null) {
+    const flatDataById = new Map();
+
+    for (let i = 0; i < objIds.length; i += MAX_BOUND_PARAMETERS) {
+      const chunk = objIds.slice(i, i + MAX_BOUND_PARAMETERS);
+      const placeholders = chunk.map(() => '?').join(', ');
+      const rowsStmt = this.d1.prepare(
+        `SELECT obj_id, key_path, value, value_type, expires_at FROM ${this.table}
+         WHERE obj_id IN (${placeholders}) AND (expires_at IS NULL OR expires_at > unixepoch())`
+      ).bind(...chunk);
+
+      let result;
+      if (revisions) {
+        // 一貫したスナップショットを得るため、データとリビジョンを同一の batch で読み込む
+        const revisionStmt = this.d1.prepare(
+          `SELECT obj_id, revision FROM ${this.revisionTable} WHERE obj_id IN (${placeholders})`
+        ).bind(...chunk);
+        let revisionResult;
+        [result, revisionResult] = await this.d1.batch([rowsStmt, revisionStmt]);
+
+        for (const row of revisionResult.results || []) {
+          revisions.set(row.obj_id, Number(row.revision));
+        }
+      } else {
+        result = await rowsStmt.all();
+      }
+
+      for (const row of result.results || []) {
+        if (!flatDataById.has(row.obj_id)) {
+          flatDataById.set(row.obj_id, createFlatObject());
+        }
+        flatDataById.get(row.obj_id)[row.key_path] = fromStorageFormat(row.value, row.value_type);
+
+        if (expiries && row.expires_at !== null && row.expires_at !== undefined) {
+          if (!expiries.has(row.obj_id)) {
+            expiries.set(row.obj_id, new Map());
+          }
+          expiries.get(row.obj_id).set(row.key_path, Number(row.expires_at));
+        }
+      }
+    }
+
+    return flatDataById;
+  }
+
+  /**
+   * オブジェクトの変更履歴を取得する
+   * 変更履歴は history オプションを有効にした MaskQL で保存した変更のみが記録される
+   * @param {string} objId - オブジェクトID
+   * @param {Object} [options] - 検索オプション
+   * @param {string|Array} [options.path] - 指定した場合、このパスとその配下の変更のみを返す
+   * @param {number|Date} [options.since] - 数値の場合はこのリビジョン以降、Date の場合はこの時刻以降の変更のみを返す
+   * @param {number} [options.limit] - 取得する最大件数
+   * @returns {Promise<Array<{revision: number, path: string, action: 'create'|'update'|'delete', oldValue: any, newValue: any, timestamp: Date}>>}
+   *   リビジョンの昇順に並んだ変更
+   * @throws {Error} オプションが不正な場合、または取得に失敗した場合
+   *
+   * 例:
+   *   await mask.history('config:app', { path: 'flags', since: new Date(Date.now() - 86400000) })
+   */
+  async history(objId, options = {}) {
+    const { sql, params } = compileHistory(this.historyTable, objId, options);
+
+    await this._assertSchemaVersion();
+
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).all();
+      return (result.results || []).map(toHistoryEntry);
+    } catch (error) {
+      throw new Error(`Failed to load history of object "${objId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * 変更履歴から過去のリビジョン（または時刻）のオブジェクトを復元する
+   * @param {string} objId - オブジェクトID
+   * @param {number|Date} revisionOrTimestamp - リビジョン番号、またはその時刻に最新だったリビジョンを表す Date
+   * @returns {Promise<Object>} 復元したオブジェクト
+   * @throws {Error} 指定したリビジョンまでの変更履歴が記録されていない場合、または復元に失敗した場合
+   *
+   * 例:
+   *   const yesterday = await mask.at('config:app', new Date(Date.now() - 86400000));
+   */
+  async at(objId, revisionOrTimestamp) {
+    const doc = await this.open(objId);
+    const revision = await this._resolveHistoryRevision(objId, revisionOrTimestamp);
+    return unflatten(await this._rewind(doc, revision));
+  }
+
+  /**
+   * オブジェクトを過去のリビジョンの状態に戻して保存する
+   * 戻す操作自体も新しいリビジョンとして保存される（変更履歴を記録している場合は履歴にも残る）
+   * @param {string} objId - オブジェクトID
+   * @param {number} revision - 戻すリビジョン
+   * @returns {Promise<Document>} 保存後のドキュメント
+   * @throws {ConflictError} 復元中に別のリクエストがオブジェクトを保存した場合
+   * @throws {Error} 指定したリビジョンまでの変更履歴が記録されていない場合、または保存に失敗した場合
+   */
+  async revert(objId, revision) {
+    if (!Number.isInteger(revision) || revision < 0) {
+      throw new Error(`Invalid revision: ${revision}`);
+    }
+
+    const doc = await this.open(objId);
+    const target = await this._rewind(doc, revision);
+
+    for (const path of Object.keys(doc.flatData)) {
+      if (!(path in target)) {
+        doc._removeLeaf(path);
+      }
+    }
+
+    for (const [path, value] of Object.entries(target)) {
+      if (!(path in doc.flatData) || !isSameStoredValue(doc.flatData[path], value)) {
+        doc._writeLeaf(path, value);
+      }
+    }
+
+    await doc.save();
+    return doc;
+  }
+
+  /**
+   * at() に指定されたリビジョンまたは時刻をリビジョン番号に変換する
+   * @param {string} objId - オブジェクトID
+   * @param {number|Date} revisionOrTimestamp - リビジョン番号または Date
+   * @returns {Promise<number>} リビジョン番号
+   * @throws {Error} 値が不正な場合
+   * @private
+   */
+  async _resolveHistoryRevision(objId, revisionOrTimestamp) {
+    if (Number.isInteger(revisionOrTimestamp) && revisionOrTimestamp >= 0) {
+      return revisionOrTimestamp;
+    }
+
+    if (!(revisionOrTimestamp instanceof Date) || Number.isNaN(revisionOrTimestamp.getTime())) {
+      throw new Error(`Invalid revision or timestamp: ${revisionOrTimestamp}`);
+    }
+
+    try {
+      const row = await this.d1.prepare(
+        `SELECT MAX(revision) AS revision FROM ${this.historyTable} WHERE obj_id = ? AND created_at <= ?`
+      ).bind(objId, toUnixSeconds(revisionOrTimestamp)).first();
+
+      return row && row.revision !== null ? Number(row.revision) : 0;
+    } catch (error) {
+      throw new Error(`Failed to load history of object "${objId}": ${error.message}`);
+    }
+  }
+
+  /**
+   * ドキュメントの現在の状態から変更履歴を遡り、指定したリビジョンの平坦化データを復元する
+   * @param {Document} doc - 読み込んだドキュメント
+   * @param {number} revision - 復元するリビジョン
+   * @returns {Promise<Object>} 復元した平坦化データ
+   * @throws {Error} 指定したリビジョンまでの変更履歴が記録されていない場合、または読み込みに失敗した場合
+   * @private
+   */
+  async _rewind(doc, revision) {
+    const currentRevision = doc.getRevision();
+    if (revision > currentRevision) {
+      throw new Error(`Revision ${revision} of object "${doc.objId}" does not exist (current revision is ${currentRevision})`);
+    }
+
+    let rows;
+    try {
+      const result = await this.d1.prepare(
+        `SELECT revision, key_path, old_value, old_type FROM ${this.historyTable}
+         WHERE obj_id = ? AND revision > ? AND revision <= ? ORDER BY revision ASC, id ASC`
+      ).bind(doc.objId, revision, currentRevision).all();
+      rows = result.results || [];
+    } catch (error) {
+      throw new Error(`Failed to load history of object "${doc.objId}": ${error.message}`);
+    }
+
+    // 間のすべてのリビジョンの履歴がなければ正しく復元できない
+    const recorded = new Set(rows.map((row) => Number(row.revision)));
+    if (recorded.size !== currentRevision - revision) {
+      throw new Error(`History of object "${doc.objId}" is not recorded back to revision ${revision}`);
+    }
+
+    return rewindFlatData(doc.flatData, rows);
+  }
+
+  /**
+   * 有効期限切れの行を D1 から削除する
+   * 1回の呼び出しで削除する行数を limit までに抑えるため、cron Worker などから繰り返し呼び出して使用する。
+   * 削除した行のインデックスも削除する。すべての行が削除されたオブジェクトはリビジョンも削除する（変更履歴を記録している場合は履歴と整合させるため残す）
+   * @param {Object} [options] - オプション
+   * @param {number} [options.limit=1000] - 1回の呼び出しで削除する最大行数
+   * @returns {Promise<{deleted: number, hasMore: boolean}>} 削除した行数と、削除しきれなかった行が残っている可能性があるかどうか
+   * @throws {Error} limit が不正な場合、または削除に失敗した場合
+   *
+   * 例:
+   *   let result;
+   *   do {
+   *     result = await mask.purgeExpired({ limit: 500 });
+   *   } while (result.hasMore);
+   */
+  async purgeExpired(options = {}) {
+    const { limit = DEFAULT_PURGE_LIMIT } = options;
+
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+
+    await this._assertSchemaVersion();
+
+    try {
+      const result = await this.d1.prepare(
+        `DELETE FROM ${this.table} WHERE rowid IN (
+           SELECT rowid FROM ${this.table} WHERE expires_at IS NOT NULL AND expires_at <= unixepoch() LIMIT ?
+         ) RETURNING obj_id`
+      ).bind(limit).all();
+
+      const rows = result.results || [];
+      const objIds = [...new Set(rows.map((row) => row.obj_id))];
+
+      // 削除した行のインデックスと、行が残っていないオブジェクトのリビジョンを削除する
+      const statements = [];
+      for (let i = 0; i < objIds.length; i += MAX_BOUND_PARAMETERS) {
+        const chunk = objIds.slice(i, i + MAX_BOUND_PARAMETERS);
+        const placeholders = chunk.map(() => '?').join(', ');
+        statements.push(this.d1.prepare(
+          `DELETE FROM ${this.indexTable} AS i WHERE i.obj_id IN (${placeholders})
+           AND NOT EXISTS (SELECT 1 FROM ${this.table} AS s WHERE s.obj_id = i.obj_id AND s.key_path = i.key_path)`
+        ).bind(...chunk));
+        if (!this.recordHistory) {
+          statements.push(this.d1.prepare(
+            `DELETE FROM ${this.revisionTable} AS r WHERE r.obj_id IN (${placeholders})
+             AND NOT EXISTS (SELECT 1 FROM ${this.table} AS s WHERE s.obj_id = r.obj_id)`
+          ).bind(...chunk));
+        }
+      }
+      if (statements.length > 0) {
+        await this.d1.batch(statements);
+      }
+
+      return { deleted: rows.length, hasMore: rows.length === limit };
+    } catch (error) {
+      throw new Error(`Failed to purge expired rows: ${error.message}`);
+    }
   }
 
   /**
@@ -303,9 +1309,11 @@ export class MaskQL {
       throw new Error(`Invalid object ID: ${objId}`);
     }
 
+    await this._assertSchemaVersion();
+
     try {
       const result = await this.d1.prepare(
-        `SELECT COUNT(*) as count FROM ${this.tableName} WHERE obj_id = ?`
+        `SELECT COUNT(*) as count FROM ${this.table} WHERE obj_id = ? AND (expires_at IS NULL OR expires_at > unixepoch())`
       ).bind(objId).first();
 
       return result.count > 0;
@@ -313,6 +1321,480 @@ export class MaskQL {
       throw new Error(`Failed to check existence of object "${objId}": ${error.message}`);
     }
   }
+
+  /**
+   * 保存されているオブジェクトを obj_id の昇順に列挙する
+   * obj_id のインデックスに沿ったキーセットページネーションを使用するため、大きなテーブルでも後のページの読み込みが遅くならない
+   * @param {Object} [options] - 一覧のオプション
+   * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+   * @param {number} [options.limit=100] - 1ページの最大件数
+   * @param {string} [options.cursor] - 前のページの戻り値の cursor（省略時は先頭から）
+   * @returns {Promise<{items: Array<{objId: string, keyCount: number, updatedAt: Date|null}>, cursor: string|null}>}
+   *   オブジェクトID、キーの数、最後に更新された日時の一覧と、次のページの cursor（最後のページの場合は null）
+   * @throws {InvalidQueryError} オプションが不正な場合
+   * @throws {Error} 読み込みに失敗した場合
+   *
+   * 例:
+   *   let cursor = null;
+   *   do {
+   *     const page = await mask.list({ prefix: 'user:', limit: 100, cursor });
+   *     page.items.forEach(({ objId }) => console.log(objId));
+   *     cursor = page.cursor;
+   *   } while (cursor);
+   */
+  async list(options = {}) {
+    const { prefix, limit = DEFAULT_LIST_LIMIT, cursor } = options;
+    const { sql, params } = compileList(this.table, { prefix, limit, cursor });
+
+    await this._assertSchemaVersion();
+
+    let rows;
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).all();
+      rows = result.results || [];
+    } catch (error) {
+      throw new Error(`Failed to list objects: ${error.message}`);
+    }
+
+    const items = rows.slice(0, limit).map((row) => ({
+      objId: row.obj_id,
+      keyCount: Number(row.key_count),
+      updatedAt: row.updated_at === null || row.updated_at === undefined ? null : new Date(Number(row.updated_at) * 1000)
+    }));
+
+    return {
+      items,
+      cursor: rows.length > limit ? items[items.length - 1].objId : null
+    };
+  }
+
+  /**
+   * 保存されているオブジェクトの数を数える
+   * @param {Object} [options] - オプション
+   * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+   * @returns {Promise<number>} オブジェクトの数
+   * @throws {InvalidQueryError} prefix が不正な場合
+   * @throws {Error} 読み込みに失敗した場合
+   */
+  async count(options = {}) {
+    const { sql, params } = compileCount(this.table, options);
+
+    await this._assertSchemaVersion();
+
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).first();
+      return Number(result.count);
+    } catch (error) {
+      throw new Error(`Failed to count objects: ${error.message}`);
+    }
+  }
+
+  /**
+   * 保存されているオブジェクトIDを obj_id の昇順に列挙する非同期イテレータを返す
+   * list() を使って batchSize 件ずつ読み込む
+   * @param {Object} [options] - オプション
+   * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+   * @param {number} [options.batchSize=100] - 1回に読み込む件数
+   * @returns {AsyncGenerator<string>} オブジェクトIDの非同期イテレータ
+   * @throws {Error} オプションが不正な場合、または読み込みに失敗した場合
+   *
+   * 例:
+   *   for await (const objId of mask.iterate({ prefix: 'user:' })) {
+   *     console.log(objId);
+   *   }
+   */
+  async *iterate(options = {}) {
+    const { prefix, batchSize = DEFAULT_LIST_LIMIT } = options;
+    let cursor = null;
+
+    do {
+      const page = await this.list({ prefix, limit: batchSize, cursor });
+      for (const { objId } of page.items) {
+        yield objId;
+      }
+      cursor = page.cursor;
+    } while (cursor !== null);
+  }
+
+  /**
+   * 保存されているオブジェクトを NDJSON としてエクスポートする
+   * 1行に1オブジェクトの { id, data, types, updated_at } を obj_id の昇順に出力する（形式は transfer.js を参照）。
+   * ストリームが読み出されるたびに batchSize 件ずつ読み込むため、全体をメモリに保持しない。
+   * 読み込みはページごとに行うため、エクスポート中の変更は反映される場合とされない場合がある。有効期限は出力しない
+   * @param {Object} [options] - オプション
+   * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+   * @param {number} [options.batchSize=100] - 1回に読み込むオブジェクトの数
+   * @returns {ReadableStream<Uint8Array>} UTF-8 の NDJSON
+   * @throws {Error} オプションが不正な場合（読み込みの失敗はストリームのエラーになる）
+   *
+   * 例:
+   *   return new Response(mask.exportObjects({ prefix: 'user:' }), {
+   *     headers: { 'Content-Type': 'application/x-ndjson' }
+   *   });
+   */
+  exportObjects(options = {}) {
+    const { prefix, batchSize = DEFAULT_LIST_LIMIT } = options;
+
+    if (prefix !== undefined && prefix !== null && typeof prefix !== 'string') {
+      throw new Error(`Invalid prefix: ${prefix}`);
+    }
+
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid batch size: ${batchSize}`);
+    }
+
+    return toNdjsonStream(this._exportRecords(prefix, batchSize));
+  }
+
+  /**
+   * エクスポートするレコードを obj_id の昇順に生成する
+   * @param {string|undefined|null} prefix - obj_id の前方一致条件
+   * @param {number} batchSize - 1回に読み込むオブジェクトの数
+   * @returns {AsyncGenerator<Object>} エクスポートのレコード
+   * @private
+   */
+  async *_exportRecords(prefix, batchSize) {
+    let cursor = null;
+
+    do {
+      const page = await this.list({ prefix, limit: batchSize, cursor });
+      const objIds = page.items.map(({ objId }) => objId);
+      const rowsById = new Map(objIds.map((objId) => [objId, []]));
+
+      for (let i = 0; i < objIds.length; i += MAX_BOUND_PARAMETERS) {
+        const chunk = objIds.slice(i, i + MAX_BOUND_PARAMETERS);
+        let result;
+        try {
+          result = await this.d1.prepare(
+            `SELECT obj_id, key_path, value, value_type FROM ${this.table}
+             WHERE obj_id IN (${chunk.map(() => '?').join(', ')}) AND (expires_at IS NULL OR expires_at > unixepoch())
+             ORDER BY obj_id, key_path`
+          ).bind(...chunk).all();
+        } catch (error) {
+          throw new Error(`Failed to export objects from D1: ${error.message}`);
+        }
+
+        for (const row of result.results || []) {
+          rowsById.get(row.obj_id).push(row);
+        }
+      }
+
+      for (const { objId, updatedAt } of page.items) {
+        // 一覧の取得後に削除・失効したオブジェクトは出力しない
+        if (rowsById.get(objId).length > 0) {
+          yield toExportRecord(objId, rowsById.get(objId), updatedAt);
+        }
+      }
+
+      cursor = page.cursor;
+    } while (cursor !== null);
+  }
+
+  /**
+   * exportObjects() で出力した NDJSON をインポートする
+   * batchSize 件のオブジェクトごとに useMany() で読み込み、saveMany() で batchSize 以下の SQL 文に分けて保存する。
+   * スキーマ検証とフックは save() と同じく適用される。batch をまたいだ原子性はなく、失敗した場合はそれまでのオブジェクトが保存された状態になる
+   * @param {ReadableStream|AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>|string} source - NDJSON の入力
+   * @param {Object} [options] - オプション
+   * @param {'replace'|'merge'|'skip'} [options.mode='replace'] - 既存のオブジェクトの扱い
+   *   （replace: setAll() で置き換える、merge: オブジェクトを再帰的にマージし、それ以外の値は置き換える、skip: 変更しない）
+   * @param {number} [options.batchSize=100] - 1回に読み込むオブジェクトの数、および1回の d1.batch に含める SQL 文の最大数
+   * @returns {Promise<{created: number, updated: number, skipped: number}>} 作成・更新・スキップしたオブジェクトの数
+   * @throws {ConflictError} 読み込みから保存までの間に別のリクエストがオブジェクトを保存した場合
+   * @throws {ValidationError} オブジェクトがスキーマに一致しない場合
+   * @throws {Error} オプションやレコードが不正な場合、または D1 への書き込みに失敗した場合
+   *
+   * 例:
+   *   const { created, updated } = await mask.importObjects(request.body, { mode: 'merge' });
+   */
+  async importObjects(source, options = {}) {
+    const { mode = 'replace', batchSize = DEFAULT_BATCH_SIZE } = options;
+
+    if (!IMPORT_MODES.has(mode)) {
+      throw new Error(`Invalid import mode: ${mode}`);
+    }
+
+    if (!Number.isInteger(batchSize) || batchSize < 1) {
+      throw new Error(`Invalid batch size: ${batchSize}`);
+    }
+
+    const summary = { created: 0, updated: 0, skipped: 0 };
+    let pending = [];
+
+    const flush = async () => {
+      const documents = await this.useMany(pending.map(({ objId }) => objId));
+      const changed = new Set();
+
+      for (const { objId, data } of pending) {
+        const doc = documents.get(objId);
+        const exists = Object.keys(doc.getAll()).length > 0;
+
+        if (exists && mode === 'skip') {
+          summary.skipped++;
+          continue;
+        }
+
+        if (mode === 'merge') {
+          mergeObject(doc, [], data);
+        } else {
+          doc.setAll(data);
+        }
+
+        summary[exists ? 'updated' : 'created']++;
+        changed.add(doc);
+      }
+
+      await this.saveMany([...changed], { batchSize });
+      pending = [];
+    };
+
+    for await (const { line, record } of readNdjson(source)) {
+      try {
+        pending.push(fromExportRecord(record));
+      } catch (error) {
+        throw new Error(`Invalid record at line ${line}: ${error.message}`);
+      }
+
+      if (pending.length >= batchSize) {
+        await flush();
+      }
+    }
+
+    if (pending.length > 0) {
+      await flush();
+    }
+
+    return summary;
+  }
+
+  /**
+   * すべてのオブジェクトのパスの名前を変更する（例: 'settings.theme' → 'preferences.ui.theme'）
+   * パスの値（配下の行を含む）を key_path の書き換えによる SQL の UPDATE でまとめて移動し、移動先に値がある場合は置き換える。
+   * 1回の呼び出しで最大 limit 件のオブジェクトを1つの d1.batch で処理するため、戻り値の cursor を渡して繰り返し呼び出す。
+   * 対象のオブジェクトのリビジョンは進み（開いているドキュメントの save() は ConflictError になる）、履歴を記録する場合は
+   * パスの削除と作成として記録する。スキーマ検証とフックは適用しない。旧形式で1つの値として保存された配列・オブジェクトの内部のパスは対象外。
+   * 移動元・移動先に関係するインデックスのうち、このインスタンスで defineIndex() したものは同じ batch で作り直す
+   * （定義していないインデックスは更新されないため、移動後に rebuildIndex() を実行する）
+   * @param {string|Array} from - 変更前のパス
+   * @param {string|Array} to - 変更後のパス
+   * @param {Object} [options] - オプション
+   * @param {string} [options.prefix] - 対象のオブジェクトの obj_id の前方一致条件（例: 'user:'）
+   * @param {number} [options.limit=100] - 1回の呼び出しで処理する最大オブジェクト数
+   * @param {string} [options.cursor] - 前回の呼び出しの戻り値の cursor（省略時は先頭から）
+   * @returns {Promise<{rows: number, objects: number, cursor: string|null}>}
+   *   移動した行の数、変更したオブジェクトの数、次の呼び出しの cursor（すべて処理した場合は null）
+   * @throws {Error} パスやオプションが不正な場合、一方のパスが他方を含む場合、
+   *   移動先の祖先が旧形式の配列・オブジェクトとして保存されている場合、または D1 への書き込みに失敗した場合
+   *
+   * 例:
+   *   let cursor = null;
+   *   do {
+   *     ({ cursor } = await mask.renamePath('settings.theme', 'preferences.ui.theme', { cursor }));
+   *   } while (cursor);
+   */
+  async renamePath(from, to, options = {}) {
+    return this._movePath(from, to, { ...options, children: false, replace: true });
+  }
+
+  /**
+   * すべてのオブジェクトで、パスの配下の値を別のパスの配下に移動する（例: 'legacy.' → 'settings.'）
+   * renamePath() と同じく SQL の UPDATE でまとめて移動するが、パス自身の値は移動せず、移動先の既存の値のうち
+   * 移動する値と衝突しないものは残す（移動先にマージする）。処理の単位と戻り値は renamePath() と同じ
+   * @param {string|Array} from - 移動元のパス（末尾の "." は省略できる）
+   * @param {string|Array} to - 移動先のパス（末尾の "." は省略できる）
+   * @param {Object} [options] - オプション（renamePath() と同じ）
+   * @param {string} [options.prefix] - 対象のオブジェクトの obj_id の前方一致条件
+   * @param {number} [options.limit=100] - 1回の呼び出しで処理する最大オブジェクト数
+   * @param {string} [options.cursor] - 前回の呼び出しの戻り値の cursor
+   * @returns {Promise<{rows: number, objects: number, cursor: string|null}>}
+   *   移動した行の数、変更したオブジェクトの数、次の呼び出しの cursor（すべて処理した場合は null）
+   * @throws {Error} パスやオプションが不正な場合、一方のパスが他方を含む場合、
+   *   移動先の祖先が旧形式の配列・オブジェクトとして保存されている場合、または D1 への書き込みに失敗した場合
+   */
+  async movePrefix(from, to, options = {}) {
+    return this._movePath(trimTrailingDot(from), trimTrailingDot(to), { ...options, children: true, replace: false });
+  }
+
+  /**
+   * renamePath() / movePrefix() の共通処理
+   * @param {string|Array} from - 移動元のパス
+   * @param {string|Array} to - 移動先のパス
+   * @param {Object} options - オプション（children: パス自身を移動しない、replace: 移動先の値を置き換える）
+   * @returns {Promise<{rows: number, objects: number, cursor: string|null}>} 処理結果
+   * @private
+   */
+  async _movePath(from, to, options) {
+    const { prefix, limit = DEFAULT_PATH_MIGRATION_LIMIT, cursor, children, replace } = options;
+    const source = normalizeMigrationPath(from);
+    const target = normalizeMigrationPath(to);
+
+    if (isPathWithin(source, target) || isPathWithin(target, source)) {
+      throw new Error(`Cannot move path "${source}" to "${target}": one path contains the other`);
+    }
+
+    const { sql, params } = compilePathObjects(this.table, { path: source, children, prefix, limit, cursor });
+
+    await this._assertSchemaVersion();
+
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).all();
+      const objIds = (result.results || []).map((row) => row.obj_id);
+      const chunk = objIds.slice(0, limit);
+
+      if (chunk.length === 0) {
+        return { rows: 0, objects: 0, cursor: null };
+      }
+
+      const { check, statements, moveIndex } = compilePathMove(
+        { store: this.table, revisions: this.revisionTable, history: this.recordHistory ? this.historyTable : null },
+        { from: source, to: target, children, replace, first: chunk[0], last: chunk[chunk.length - 1] }
+      );
+
+      // 旧形式の値は SQL で要素ごとの行に展開できないため、上書きして失う前に中止する
+      const legacy = await this.d1.prepare(check.sql).bind(...check.params).first();
+      if (legacy) {
+        throw new Error(`"${legacy.key_path}" of object "${legacy.obj_id}" is stored as a single legacy value`);
+      }
+
+      // 移動で値が変わったインデックスを作り直す
+      const range = { first: chunk[0], last: chunk[chunk.length - 1] };
+      for (const index of this.indexes.values()) {
+        if ([source, target].some((path) => isPathWithin(index.path, path) || isPathWithin(path, index.path))) {
+          statements.push(...compileIndexRefresh({ store: this.table, indexes: this.indexTable }, index, range));
+        }
+      }
+
+      const results = await this.d1.batch(statements.map((statement) => this.d1.prepare(statement.sql).bind(...statement.params)));
+
+      return {
+        rows: Number(results[moveIndex].meta.changes),
+        objects: Number(results[0].meta.changes),
+        cursor: objIds.length > limit ? chunk[chunk.length - 1] : null
+      };
+    } catch (error) {
+      throw new Error(`Failed to move path "${source}" to "${target}": ${error.message}`);
+    }
+  }
+
+  /**
+   * すべてのオブジェクトのパスの値を関数で変換する（例: 文字列で保存した年齢を数値にする）
+   * 値は JavaScript で変換する必要があるため、パスを持つオブジェクトを最大 limit 件ずつ useMany() で読み込み、saveMany() で保存する。
+   * スキーマ検証とフックは save() と同じく適用される。戻り値の cursor を渡して繰り返し呼び出す
+   * @param {string|Array} path - 変換するパス
+   * @param {function(any, string): any|Promise<any>} fn - 現在の値とオブジェクトIDを受け取り、新しい値を返す関数
+   *   （undefined を返した場合は変更しない）
+   * @param {Object} [options] - オプション
+   * @param {string} [options.prefix] - 対象のオブジェクトの obj_id の前方一致条件（例: 'user:'）
+   * @param {number} [options.limit=100] - 1回の呼び出しで処理する最大オブジェクト数
+   * @param {string} [options.cursor] - 前回の呼び出しの戻り値の cursor（省略時は先頭から）
+   * @returns {Promise<{rows: number, objects: number, cursor: string|null}>}
+   *   書き込み・削除した行の数、変更したオブジェクトの数、次の呼び出しの cursor（すべて処理した場合は null）
+   * @throws {ConflictError} 読み込みから保存までの間に別のリクエストがオブジェクトを保存した場合
+   * @throws {ValidationError} 変換後のオブジェクトがスキーマに一致しない場合
+   * @throws {Error} パスやオプションが不正な場合、fn が例外を投げた場合、または D1 の読み書きに失敗した場合
+   *
+   * 例:
+   *   let cursor = null;
+   *   do {
+   *     ({ cursor } = await mask.transformPath('profile.age', (age) => (typeof age === 'string' ? Number(age) : undefined), { cursor }));
+   *   } while (cursor);
+   */
+  async transformPath(path, fn, options = {}) {
+    const { prefix, limit = DEFAULT_PATH_MIGRATION_LIMIT, cursor } = options;
+    const resolved = normalizeMigrationPath(path);
+
+    if (typeof fn !== 'function') {
+      throw new Error('transformPath() requires a function');
+    }
+
+    const { sql, params } = compilePathObjects(this.table, { path: resolved, prefix, limit, cursor });
+
+    await this._assertSchemaVersion();
+
+    let objIds;
+    try {
+      const result = await this.d1.prepare(sql).bind(...params).all();
+      objIds = (result.results || []).map((row) => row.obj_id);
+    } catch (error) {
+      throw new Error(`Failed to transform path "${resolved}": ${error.message}`);
+    }
+
+    const chunk = objIds.slice(0, limit);
+    const documents = await this.useMany(chunk);
+    const changed = [];
+
+    for (const objId of chunk) {
+      const doc = documents.get(objId);
+      const value = await fn(doc.get(resolved), objId);
+
+      if (value === undefined) {
+        continue;
+      }
+
+      doc.set(resolved, value);
+      if (doc.hasUnsavedChanges()) {
+        changed.push(doc);
+      }
+    }
+
+    const originals = changed.map((doc) => doc.originalFlatData);
+    await this.saveMany(changed);
+
+    // beforeSave フックが保存前に変更を加える場合があるため、保存した内容と読み込み時の内容を比較して数える
+    let rows = 0;
+    let objects = 0;
+    changed.forEach((doc, i) => {
+      const count = Object.keys(getDiff(originals[i], doc.originalFlatData)).length +
+        getDeletedKeys(originals[i], doc.originalFlatData).length;
+      rows += count;
+      objects += count > 0 ? 1 : 0;
+    });
+
+    return { rows, objects, cursor: objIds.length > limit ? chunk[chunk.length - 1] : null };
+  }
+}
+
+/**
+ * importObjects() の merge モードで、データをドキュメントに再帰的にマージする
+ * 両方がオブジェクトの場合はキーごとにマージし、それ以外（配列を含む）は値を置き換える
+ * @param {Document} doc - マージ先のドキュメント
+ * @param {Array<string|number>} segments - マージ先のパスのセグメント（ルートの場合は空の配列）
+ * @param {Object} data - マージするデータ
+ * @returns {void}
+ */
+function mergeObject(doc, segments, data) {
+  for (const [key, value] of Object.entries(data)) {
+    const path = [...segments, key];
+
+    if (isPlainObject(value) && isPlainObject(doc.get(path))) {
+      mergeObject(doc, path, value);
+    } else {
+      doc.set(path, value);
+    }
+  }
+}
+
+/**
+ * renamePath() などのパスを検証し、保存されている key_path の形式に正規化する
+ * @param {string|Array} path - パス
+ * @returns {string} 正規化されたパス
+ * @throws {Error} パスが無効な場合、または "items.3" のように配列要素かキーかを決められない場合
+ */
+function normalizeMigrationPath(path) {
+  if (!isValidPath(path)) {
+    throw new Error(`Invalid path: ${path}`);
+  }
+  assertNoDottedIndex(path);
+  return formatPath(parsePath(path));
+}
+
+/**
+ * movePrefix() のパスの末尾の "."（'settings.' のような配下を表す書き方）を取り除く
+ * @param {any} path - パス
+ * @returns {any} 末尾の "." を取り除いたパス（エスケープされた "." や文字列以外はそのまま返す）
+ */
+function trimTrailingDot(path) {
+  return typeof path === 'string' && path.endsWith('.') && !isValidPath(path) ? path.slice(0, -1) : path;
 }
 
 export default MaskQL;
@@ -0,0 +1,195 @@
+/**
+ * indexes.js
+ * defineIndex() で定義するセカンダリインデックスの定義の検証と、インデックステーブルを更新・検索する SQL の作成
+ *
+ * インデックステーブル（"<ストアのテーブル名>_indexes"）には、インデックスの対象のオブジェクトごとにパスの値を1行記録する。
+ * 値は maskql_store と同じ保存形式で、値が null・配列・オブジェクトの場合とパスが存在しない場合は記録しない。
+ * 数値は increment() などの結果が "31.0" のように保存されることがあるため、REAL に変換した文字列に揃えて記録・比較する
+ */
+
+import { toStorageFormat, isValidPath } from './types.js';
+import { parsePath, formatPath, assertNoDottedIndex } from './path.js';
+import { objIdRange } from './query.js';
+
+/**
+ * インデックスに記録しない value_type
+ */
+const UNINDEXED_TYPES = ['null', 'object', 'array'];
+
+/**
+ * ストアの値をインデックスに記録する形式に変換する式を作成する
+ * @param {string} [alias] - ストアのテーブルの別名
+ * @returns {string} SQL の式
+ */
+function indexValueSql(alias) {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  return `CASE WHEN ${column('value_type')} = 'number' THEN CAST(CAST(${column('value')} AS REAL) AS TEXT) ELSE ${column('value')} END`;
+}
+
+/**
+ * インデックスの値と検索する値を比較する条件式を作成する
+ * @param {string} alias - インデックスのテーブルの別名
+ * @param {{value: string, type: string}} stored - 検索する値の保存形式
+ * @returns {{clause: string, params: Array}} 条件式とバインドするパラメータ
+ */
+function indexValueMatch(alias, stored) {
+  const value = stored.type === 'number' ? 'CAST(CAST(? AS REAL) AS TEXT)' : '?';
+  return { clause: `${alias}.value_type = ? AND ${alias}.value = ${value}`, params: [stored.type, stored.value] };
+}
+
+/**
+ * インデックスの定義を検証し、正規化する
+ * @param {string} name - インデックスの名前
+ * @param {Object} definition - インデックスの定義
+ * @param {string} definition.path - 値をインデックスに記録するパス
+ * @param {string} [definition.prefix] - 対象のオブジェクトの obj_id の前方一致条件（省略時はすべてのオブジェクト）
+ * @param {boolean} [definition.unique=false] - true の場合、同じ値を持つオブジェクトを1つに制限する
+ * @returns {{name: string, path: string, prefix: string|null, unique: boolean}} 正規化した定義
+ * @throws {Error} 定義が不正な場合（"items.3" のように配列要素かキーかを決められないパスを含む）
+ */
+export function compileIndex(name, definition) {
+  if (!name || typeof name !== 'string') {
+    throw new Error(`Invalid index name: ${name}`);
+  }
+
+  if (!definition || typeof definition !== 'object') {
+    throw new Error(`Index "${name}" requires a definition with a path`);
+  }
+
+  const { path, prefix = null, unique = false } = definition;
+
+  if (!isValidPath(path)) {
+    throw new Error(`Invalid path for index "${name}": ${path}`);
+  }
+
+  assertNoDottedIndex(path);
+
+  if (prefix !== null && typeof prefix !== 'string') {
+    throw new Error(`Invalid prefix for index "${name}": ${prefix}`);
+  }
+
+  if (typeof unique !== 'boolean') {
+    throw new Error(`Invalid unique option for index "${name}": ${unique}`);
+  }
+
+  return { name, path: formatPath(parsePath(path)), prefix: prefix || null, unique };
+}
+
+/**
+ * オブジェクトがインデックスの対象かどうかを判定する
+ * @param {{prefix: string|null}} index - 正規化したインデックスの定義
+ * @param {string} objId - オブジェクトID
+ * @returns {boolean} 対象の場合 true
+ */
+export function indexApplies(index, objId) {
+  return index.prefix === null || objId.startsWith(index.prefix);
+}
+
+/**
+ * 値をインデックスの保存形式に変換する
+ * @param {any} value - 値
+ * @returns {{value: string, type: string}|null} 保存形式（インデックスに記録しない値の場合は null）
+ */
+export function toIndexValue(value) {
+  const stored = toStorageFormat(value);
+  return UNINDEXED_TYPES.includes(stored.type) ? null : stored;
+}
+
+/**
+ * D1 上のストアの値からインデックスの行を作り直す SQL 文を作成する
+ * 対象の行を削除し、ストアの現在の値（有効期限切れの値を除く）を記録し直す。
+ * save() では書き込みの後に実行し、数値演算の結果や削除もそのまま反映する
+ * @param {{store: string, indexes: string}} tables - クォート済みのストアとインデックスのテーブル名
+ * @param {{name: string, path: string, prefix: string|null, unique: boolean}} index - 正規化したインデックスの定義
+ * @param {Object} [target] - 対象のオブジェクト（省略時はインデックスの対象のすべてのオブジェクト）
+ * @param {string} [target.objId] - 1つのオブジェクトを対象にする場合のオブジェクトID
+ * @param {string} [target.first] - 範囲を対象にする場合の最初の obj_id
+ * @param {string} [target.last] - 範囲を対象にする場合の最後の obj_id
+ * @returns {Array<{sql: string, params: Array}>} 順に実行する SQL 文（削除と記録）
+ */
+export function compileIndexRefresh(tables, index, target = {}) {
+  const { clauses, params } = objIdRange(index.prefix);
+
+  if (target.objId !== undefined) {
+    clauses.push('obj_id = ?');
+    params.push(target.objId);
+  } else if (target.first !== undefined) {
+    clauses.push('obj_id BETWEEN ? AND ?');
+    params.push(target.first, target.last);
+  }
+
+  const where = clauses.length > 0 ? ` AND ${clauses.join(' AND ')}` : '';
+  const unindexed = UNINDEXED_TYPES.map((type) => `'${type}'`).join(', ');
+
+  return [{
+    sql: `DELETE FROM ${tables.indexes} WHERE index_name = ?${where}`,
+    params: [index.name, ...params]
+  }, {
+    sql: `INSERT INTO ${tables.indexes} (index_name, obj_id, key_path, value, value_type, is_unique)
+      SELECT ?, obj_id, key_path, ${indexValueSql()}, value_type, ? FROM ${tables.store}
+      WHERE key_path = ? AND value_type NOT IN (${unindexed}) AND (expires_at IS NULL OR expires_at > unixepoch())${where}`,
+    params: [index.name, index.unique ? 1 : 0, index.path, ...params]
+  }];
+}
+
+/**
+ * 一意インデックスに記録しようとしている値のうち、重複する最初の値を検索する SQL を作成する（rebuildIndex() の事前確認用）
+ * @param {string} storeTable - クォート済みのストアのテーブル名
+ * @param {{path: string, prefix: string|null}} index - 正規化したインデックスの定義
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ
+ */
+export function compileIndexDuplicates(storeTable, index) {
+  const { clauses, params } = objIdRange(index.prefix);
+  const where = clauses.length > 0 ? ` AND ${clauses.join(' AND ')}` : '';
+  const unindexed = UNINDEXED_TYPES.map((type) => `'${type}'`).join(', ');
+
+  return {
+    sql: `SELECT MIN(value) AS value, value_type, MIN(obj_id) AS first_id, MAX(obj_id) AS last_id FROM ${storeTable}
+      WHERE key_path = ? AND value_type NOT IN (${unindexed}) AND (expires_at IS NULL OR expires_at > unixepoch())${where}
+      GROUP BY value_type, ${indexValueSql()} HAVING COUNT(*) > 1 LIMIT 1`,
+    params: [index.path, ...params]
+  };
+}
+
+/**
+ * インデックスの値に一致するオブジェクトIDを検索する SQL を作成する
+ * インデックスの行はストアの現在の値と照合し、有効期限切れの値や古くなった行は返さない
+ * @param {{store: string, indexes: string}} tables - クォート済みのストアとインデックスのテーブル名
+ * @param {{name: string, path: string}} index - 正規化したインデックスの定義
+ * @param {{value: string, type: string}} stored - 検索する値の保存形式
+ * @param {number} [limit] - 取得する最大件数
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ
+ */
+export function compileFindByIndex(tables, index, stored, limit) {
+  const match = indexValueMatch('i', stored);
+  let sql = `SELECT i.obj_id FROM ${tables.indexes} AS i
+    JOIN ${tables.store} AS s ON s.obj_id = i.obj_id AND s.key_path = i.key_path
+    WHERE i.index_name = ? AND i.key_path = ? AND ${match.clause}
+      AND s.value_type = i.value_type AND ${indexValueSql('s')} = i.value AND (s.expires_at IS NULL OR s.expires_at > unixepoch())
+    ORDER BY i.obj_id ASC`;
+  const params = [index.name, index.path, ...match.params];
+
+  if (limit !== undefined && limit !== null) {
+    sql += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  return { sql, params };
+}
+
+/**
+ * 一意インデックスで同じ値を持つ別のオブジェクトを検索する SQL を作成する（save() の失敗の原因の確認用）
+ * @param {string} indexTable - クォート済みのインデックスのテーブル名
+ * @param {{name: string}} index - 正規化したインデックスの定義
+ * @param {{value: string, type: string}} stored - 保存しようとした値の保存形式
+ * @param {string} objId - 保存しようとしたオブジェクトID
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ
+ */
+export function compileUniqueOwner(indexTable, index, stored, objId) {
+  const match = indexValueMatch('i', stored);
+  return {
+    sql: `SELECT i.obj_id FROM ${indexTable} AS i
+      WHERE i.index_name = ? AND ${match.clause} AND i.is_unique = 1 AND i.obj_id <> ? LIMIT 1`,
+    params: [index.name, ...match.params, objId]
+  };
+}
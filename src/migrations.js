@@ -0,0 +1,290 @@
+/**
+ * migrations.js
+ * maskql_store テーブルのスキーマのバージョン管理とマイグレーション
+ *
+ * テーブルごとのスキーマのバージョンは、同じスキーマ（データベース）の maskql_meta テーブルに記録する。
+ * migrate() は記録されたバージョンより新しいマイグレーションを順に適用し、MaskQL はテーブルを最初に使用するときに
+ * バージョンが SCHEMA_VERSION と一致することを確認する
+ *
+ * マイグレーションを追加する場合は MIGRATIONS の末尾に version を1つ増やして追加する。
+ * 適用済みのマイグレーションの up() は変更しない（最新のスキーマを生成する getSchemaStatements() は使わず、そのバージョンの SQL 文を記述する）。
+ * up() が返す SQL 文とバージョンの更新は1つの d1.batch で実行されるため、途中で失敗しても中途半端な状態は残らない
+ */
+
+import { parseTableName, quoteIdentifier, quoteTableName, quoteIndexName, getIndexTableStatements } from './schema.js';
+import { assertStorageAdapter } from './adapter.js';
+import { SchemaVersionError } from './errors.js';
+
+/**
+ * バージョンを記録するテーブルの名前
+ */
+const META_TABLE = 'maskql_meta';
+
+/**
+ * マイグレーションの一覧（version の昇順）
+ * up() はテーブルの現在の状態を確認して実行する SQL 文の配列を返す（既に適用済みの変更を含めても失敗しないようにする）
+ * @type {Array<{version: number, description: string, up: function(StorageAdapter, string): Promise<string[]>}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create the store, revisions and history tables (adds expires_at, converts values stored as strings and ' +
+      'replaces the indexes created by earlier versions)',
+    async up(d1, tableName) {
+      const statements = [];
+      const columns = await getColumns(d1, tableName);
+
+      // expires_at 列の追加前に作成されたテーブルを更新する（列のインデックスより先に行う必要がある）
+      if (columns.length > 0 && !columns.includes('expires_at')) {
+        statements.push(`ALTER TABLE ${quoteTableName(tableName)} ADD COLUMN expires_at INTEGER`);
+      }
+
+      if (columns.length > 0) {
+        statements.push(...getLegacyValueStatements(tableName));
+        statements.push(...await getLegacyIndexStatements(d1, tableName));
+      }
+
+      const { table } = parseTableName(tableName);
+      const indexName = (name) => quoteIndexName(tableName, name);
+
+      return [
+        ...statements,
+        `CREATE TABLE IF NOT EXISTS ${quoteTableName(tableName)} (
+  obj_id TEXT NOT NULL,
+  key_path TEXT NOT NULL,
+  value TEXT,
+  value_type TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  expires_at INTEGER,
+  PRIMARY KEY (obj_id, key_path)
+)`,
+        `CREATE INDEX IF NOT EXISTS ${indexName('obj_id')} ON ${quoteIdentifier(table)}(obj_id)`,
+        `CREATE INDEX IF NOT EXISTS ${indexName('key_path')} ON ${quoteIdentifier(table)}(key_path)`,
+        `CREATE INDEX IF NOT EXISTS ${indexName('expires_at')} ON ${quoteIdentifier(table)}(expires_at)`,
+        `CREATE TABLE IF NOT EXISTS ${quoteTableName(tableName, '_revisions')} (
+  obj_id TEXT PRIMARY KEY,
+  revision INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER DEFAULT (unixepoch())
+)`,
+        `CREATE TABLE IF NOT EXISTS ${quoteTableName(tableName, '_history')} (
+  id INTEGER PRIMARY KEY,
+  obj_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  key_path TEXT NOT NULL,
+  old_value TEXT,
+  old_type TEXT,
+  new_value TEXT,
+  new_type TEXT,
+  created_at INTEGER DEFAULT (unixepoch())
+)`,
+        `CREATE INDEX IF NOT EXISTS ${indexName('history_obj_id_revision')} ON ${quoteIdentifier(`${table}_history`)}(obj_id, revision)`
+      ];
+    }
+  },
+  {
+    version: 2,
+    description: 'Create the table for secondary indexes defined with defineIndex()',
+    async up(d1, tableName) {
+      return getIndexTableStatements(tableName);
+    }
+  }
+];
+
+/**
+ * この MaskQL が必要とするスキーマのバージョン
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * バージョンが SCHEMA_VERSION と一致することを確認済みのテーブル（D1 インスタンス → テーブル名の Set）
+ */
+const verifiedTables = new WeakMap();
+
+/**
+ * テーブルのスキーマの現在のバージョンを取得する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
+ * @returns {Promise<number>} 現在のバージョン（maskql_meta テーブルまたはテーブルの記録がない場合は 0）
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ * @throws {Error} 読み込みに失敗した場合
+ */
+export async function getSchemaVersion(d1, tableName = 'maskql_store') {
+  assertStorageAdapter(d1);
+
+  const { schema, table } = parseTableName(tableName);
+  const master = schema ? `${quoteIdentifier(schema)}.sqlite_master` : 'sqlite_master';
+
+  try {
+    const exists = await d1.prepare(
+      `SELECT 1 AS found FROM ${master} WHERE type = 'table' AND name = ?`
+    ).bind(META_TABLE).first();
+
+    if (!exists) {
+      return 0;
+    }
+
+    const row = await d1.prepare(
+      `SELECT version FROM ${quoteMetaTable(tableName)} WHERE table_name = ?`
+    ).bind(table).first();
+
+    return row ? Number(row.version) : 0;
+  } catch (error) {
+    throw new Error(`Failed to read schema version of table "${tableName}": ${error.message}`);
+  }
+}
+
+/**
+ * 未適用のマイグレーションを順に適用し、テーブルのスキーマを SCHEMA_VERSION に更新する
+ * 適用済みのマイグレーションは実行しないため、何度実行しても同じ結果になる
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
+ * @returns {Promise<{from: number, to: number, applied: number[]}>} 適用前と適用後のバージョン、適用したマイグレーションのバージョン
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ * @throws {SchemaVersionError} テーブルのバージョンが SCHEMA_VERSION より新しい場合
+ * @throws {Error} マイグレーションの適用に失敗した場合（失敗したマイグレーションの変更は取り消される）
+ */
+export async function migrate(d1, tableName = 'maskql_store') {
+  assertStorageAdapter(d1);
+
+  const { table } = parseTableName(tableName);
+  const meta = quoteMetaTable(tableName);
+
+  try {
+    await d1.prepare(`CREATE TABLE IF NOT EXISTS ${meta} (
+  table_name TEXT PRIMARY KEY,
+  version INTEGER NOT NULL,
+  updated_at INTEGER DEFAULT (unixepoch())
+)`).run();
+  } catch (error) {
+    throw new Error(`Failed to create ${META_TABLE} for table "${tableName}": ${error.message}`);
+  }
+
+  const from = await getSchemaVersion(d1, tableName);
+  if (from > SCHEMA_VERSION) {
+    throw new SchemaVersionError(tableName, from, SCHEMA_VERSION);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= from) {
+      continue;
+    }
+
+    try {
+      const statements = (await migration.up(d1, tableName)).map((sql) => d1.prepare(sql));
+      // 同時に実行された migrate() がバージョンを先に進めていた場合は戻さない
+      statements.push(d1.prepare(
+        `INSERT INTO ${meta} (table_name, version) VALUES (?, ?)
+         ON CONFLICT (table_name) DO UPDATE SET version = excluded.version, updated_at = unixepoch()
+         WHERE excluded.version > version`
+      ).bind(table, migration.version));
+      await d1.batch(statements);
+    } catch (error) {
+      throw new Error(`Failed to apply migration ${migration.version} to table "${tableName}": ${error.message}`);
+    }
+
+    applied.push(migration.version);
+  }
+
+  markVerified(d1, tableName);
+  return { from, to: Math.max(from, SCHEMA_VERSION), applied };
+}
+
+/**
+ * テーブルのスキーマのバージョンが SCHEMA_VERSION と一致することを確認する
+ * 一致した結果は D1 インスタンスとテーブル名ごとに記憶し、以降は問い合わせない
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
+ * @returns {Promise<void>}
+ * @throws {SchemaVersionError} バージョンが一致しない場合
+ * @throws {Error} 読み込みに失敗した場合
+ */
+export async function assertSchemaVersion(d1, tableName = 'maskql_store') {
+  const verified = verifiedTables.get(d1);
+  if (verified && verified.has(tableName)) {
+    return;
+  }
+
+  const version = await getSchemaVersion(d1, tableName);
+  if (version !== SCHEMA_VERSION) {
+    throw new SchemaVersionError(tableName, version, SCHEMA_VERSION);
+  }
+
+  markVerified(d1, tableName);
+}
+
+/**
+ * テーブルのバージョンを確認済みとして記憶する
+ * @param {D1Database|StorageAdapter} d1 - D1 インスタンス
+ * @param {string} tableName - テーブル名
+ * @returns {void}
+ */
+function markVerified(d1, tableName) {
+  if (!verifiedTables.has(d1)) {
+    verifiedTables.set(d1, new Set());
+  }
+  verifiedTables.get(d1).add(tableName);
+}
+
+/**
+ * テーブルと同じスキーマの maskql_meta テーブルの名前をクォートする
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @returns {string} クォートされたテーブル名
+ */
+function quoteMetaTable(tableName) {
+  const { schema } = parseTableName(tableName);
+  return schema ? `${quoteIdentifier(schema)}.${quoteIdentifier(META_TABLE)}` : quoteIdentifier(META_TABLE);
+}
+
+/**
+ * 以前のバージョンが value_type = 'string' として保存した値を、現在の型に変換する SQL 文を生成する
+ * 以前のバージョンは null を ''、配列と空オブジェクトを JSON 文字列として保存し、読み込み時に解釈していた。
+ * 配列・オブジェクトは要素ごとの行に展開せず1つの値のまま残し、要素を変更した時点で展開する（Document を参照）
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @returns {string[]} UPDATE 文の配列
+ */
+function getLegacyValueStatements(tableName) {
+  const store = quoteTableName(tableName);
+
+  return [
+    `UPDATE ${store} SET value_type = 'null' WHERE value_type = 'string' AND value = ''`,
+    `UPDATE ${store} SET value_type = json_type(value)
+     WHERE value_type = 'string' AND substr(value, 1, 1) IN ('[', '{') AND substr(value, -1) IN (']', '}')
+       AND CASE WHEN json_valid(value) THEN json_type(value) END IN ('array', 'object')`
+  ];
+}
+
+/**
+ * 以前のバージョンの schema/init.sql が作成したインデックスを削除する SQL 文を生成する
+ * 以前のバージョンはテーブル名を含まない idx_obj_id / idx_key_path を作成していたため、
+ * このテーブルのインデックスの場合のみ削除する（同じ列のインデックスは "idx_<テーブル名>_<列名>" として作り直す）
+ * @param {D1Database|StorageAdapter} d1 - D1 インスタンス
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @returns {Promise<string[]>} DROP INDEX 文の配列
+ */
+async function getLegacyIndexStatements(d1, tableName) {
+  const { schema, table } = parseTableName(tableName);
+  const master = schema ? `${quoteIdentifier(schema)}.sqlite_master` : 'sqlite_master';
+  const { results = [] } = await d1.prepare(
+    `SELECT name FROM ${master} WHERE type = 'index' AND tbl_name = ? AND name IN ('idx_obj_id', 'idx_key_path')`
+  ).bind(table).all();
+
+  return results.map(({ name }) => {
+    const quoted = quoteIdentifier(name);
+    return `DROP INDEX IF EXISTS ${schema ? `${quoteIdentifier(schema)}.${quoted}` : quoted}`;
+  });
+}
+
+/**
+ * テーブルの列名を取得する
+ * @param {D1Database|StorageAdapter} d1 - D1 インスタンス
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @returns {Promise<string[]>} 列名の配列（テーブルが存在しない場合は空の配列）
+ */
+async function getColumns(d1, tableName) {
+  const { schema, table } = parseTableName(tableName);
+  const pragma = schema ? `${quoteIdentifier(schema)}.table_info` : 'table_info';
+  const { results = [] } = await d1.prepare(`PRAGMA ${pragma}(${quoteIdentifier(table)})`).all();
+  return results.map((column) => column.name);
+}
@@ -0,0 +1,114 @@
+/**
+ * patch.js
+ * JSON Patch (RFC 6902) と JSON Merge Patch (RFC 7386) を扱うための関数群
+ *
+ * JSON Pointer (RFC 6901) と MaskQL のパスの対応:
+ *   "/profile/name" ↔ "profile.name"
+ *   "/items/3" ↔ "items[3]"（親が配列の場合）
+ *   "/hosts/example.com" ↔ "hosts.example\.com"
+ *   "/a~1b/c~0d" ↔ 'a/b.c~d'（"~1" は "/"、"~0" は "~"）
+ */
+
+import { isPlainObject } from './types.js';
+import { parsePath } from './path.js';
+import { isSameStoredValue } from './history.js';
+
+/**
+ * JSON Pointer をエスケープを解除したセグメントの配列に分解する
+ * 配列インデックスかどうかはドキュメントの内容によって決まるため、すべて文字列のまま返す
+ * @param {string} pointer - JSON Pointer（ルートの場合は空文字列）
+ * @returns {string[]|null} セグメントの配列。不正な場合は null
+ *
+ * 例:
+ *   parsePointer("/items/0/name") → ["items", "0", "name"]
+ *   parsePointer("/a~1b") → ["a/b"]
+ *   parsePointer("") → []
+ */
+export function parsePointer(pointer) {
+  if (typeof pointer !== 'string') {
+    return null;
+  }
+
+  if (pointer === '') {
+    return [];
+  }
+
+  if (!pointer.startsWith('/') || /~[^01]|~$/.test(pointer)) {
+    return null;
+  }
+
+  return pointer.slice(1).split('/').map((segment) => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * 正規化されたパスを JSON Pointer に変換する
+ * @param {string} path - 正規化されたパス（ルートの場合は空文字列）
+ * @returns {string} JSON Pointer
+ *
+ * 例:
+ *   toPointer("items[3].name") → "/items/3/name"
+ *   toPointer("hosts.example\\.com") → "/hosts/example.com"
+ */
+export function toPointer(path) {
+  if (path === '') {
+    return '';
+  }
+
+  return parsePath(path)
+    .map((segment) => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * JSON Patch の test 操作のために2つの値を比較する
+ * 配列とオブジェクトは要素ごとに比較し、それ以外の値は保存形式が同じ場合に等しいとみなす
+ * @param {any} a - 比較する値
+ * @param {any} b - 比較する値
+ * @returns {boolean} 等しい場合 true
+ */
+export function isDeepEqual(a, b) {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => isDeepEqual(item, b[i]));
+  }
+
+  if (isPlainObject(a) || isPlainObject(b)) {
+    if (!isPlainObject(a) || !isPlainObject(b)) {
+      return false;
+    }
+
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+      keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isDeepEqual(a[key], b[key]));
+  }
+
+  if (a === undefined || b === undefined) {
+    return a === b;
+  }
+
+  return isSameStoredValue(a, b);
+}
+
+/**
+ * 2つのパスをセグメント単位で比較する（配列インデックスは数値として比較する）
+ * @param {string} a - 正規化されたパス
+ * @param {string} b - 正規化されたパス
+ * @returns {number} a が前の場合は負の数、後の場合は正の数、等しい場合は 0
+ */
+export function comparePaths(a, b) {
+  const left = parsePath(a);
+  const right = parsePath(b);
+
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] === right[i]) {
+      continue;
+    }
+
+    if (typeof left[i] === 'number' && typeof right[i] === 'number') {
+      return left[i] - right[i];
+    }
+
+    return String(left[i]) < String(right[i]) ? -1 : 1;
+  }
+
+  return left.length - right.length;
+}
@@ -0,0 +1,249 @@
+/**
+ * path.js
+ * パス文字列の解析と組み立てを行う関数群
+ *
+ * パスの書式:
+ *   - オブジェクトのキーはドットで区切る（例: "profile.name"）
+ *   - 配列の要素はブラケットでインデックスを指定する（例: "items[3].name"）
+ *   - キーに含まれる "." "[" "]" "\" はバックスラッシュでエスケープする（例: "hosts.example\.com"）
+ *   - キーはブラケットとダブルクォートで囲んで指定することもできる（例: 'hosts["example.com"]'）
+ *   - セグメントの配列もパスとして扱える（例: ["hosts", "example.com"]）
+ */
+
+/**
+ * 配列インデックスとして扱う文字列（先頭ゼロなしの非負整数）
+ */
+const INDEX_PATTERN = /^(0|[1-9]\d*)$/;
+
+/**
+ * キーの中でエスケープが必要な文字
+ */
+const SPECIAL_CHARS = /[\\.[\]]/g;
+
+/**
+ * パスをセグメントの配列に分解する
+ * @param {string|Array<string|number>} path - 解析するパス（文字列またはセグメントの配列）
+ * @returns {Array<string|number>|null} セグメントの配列（キーは string、配列インデックスは number）。不正な場合は null
+ *
+ * 例:
+ *   parsePath("profile.name") → ["profile", "name"]
+ *   parsePath("items[3].name") → ["items", 3, "name"]
+ *   parsePath("hosts.example\\.com") → ["hosts", "example.com"]
+ *   parsePath('hosts["example.com"]') → ["hosts", "example.com"]
+ *   parsePath(["hosts", "example.com"]) → ["hosts", "example.com"]
+ *   parsePath("a..b") → null
+ */
+export function parsePath(path) {
+  if (Array.isArray(path)) {
+    return parseSegmentArray(path);
+  }
+
+  const tokens = tokenizePath(path);
+  return tokens && tokens.map((token) => token.segment);
+}
+
+/**
+ * 文字列のパスをセグメントに分解し、各セグメントがブラケットで指定されたかどうかを記録する
+ * @param {string} path - 解析するパス
+ * @returns {Array<{segment: string|number, bracketed: boolean}>|null} セグメントの配列。不正な場合は null
+ */
+function tokenizePath(path) {
+  if (!path || typeof path !== 'string') {
+    return null;
+  }
+
+  const tokens = [];
+  let i = 0;
+
+  while (i < path.length) {
+    if (path[i] === '[') {
+      const parsed = parseBracket(path, i);
+      if (!parsed) {
+        return null;
+      }
+
+      tokens.push({ segment: parsed.segment, bracketed: true });
+      i = parsed.end;
+    } else {
+      let key = '';
+      while (i < path.length && path[i] !== '.' && path[i] !== '[') {
+        if (path[i] === '\\') {
+          // 末尾のバックスラッシュはNG
+          if (i + 1 === path.length) {
+            return null;
+          }
+          key += path[i + 1];
+          i += 2;
+        } else if (path[i] === ']') {
+          // エスケープされていない閉じブラケットはNG
+          return null;
+        } else {
+          key += path[i];
+          i++;
+        }
+      }
+
+      // 空のセグメント（先頭のドット、連続したドット）はNG。空文字列のキーは [""] で指定する
+      if (key === '') {
+        return null;
+      }
+
+      tokens.push({ segment: key, bracketed: false });
+    }
+
+    if (i < path.length && path[i] === '.') {
+      i++;
+      // 末尾のドットや ".[" はNG
+      if (i === path.length || path[i] === '[') {
+        return null;
+      }
+    } else if (i < path.length && path[i] !== '[') {
+      return null;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * "[3]" または '["key"]' 形式のブラケットを解析する
+ * @param {string} path - パス文字列
+ * @param {number} start - "[" の位置
+ * @returns {{segment: string|number, end: number}|null} セグメントと "]" の次の位置。不正な場合は null
+ */
+function parseBracket(path, start) {
+  // クォートされたキー（JSON 文字列リテラルとして解釈する）
+  if (path[start + 1] === '"') {
+    let i = start + 2;
+    while (i < path.length && path[i] !== '"') {
+      i += path[i] === '\\' ? 2 : 1;
+    }
+
+    if (i >= path.length || path[i + 1] !== ']') {
+      return null;
+    }
+
+    try {
+      return { segment: JSON.parse(path.slice(start + 1, i + 1)), end: i + 2 };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  const end = path.indexOf(']', start);
+  if (end === -1) {
+    return null;
+  }
+
+  const index = path.slice(start + 1, end);
+  if (!INDEX_PATTERN.test(index)) {
+    return null;
+  }
+
+  return { segment: Number(index), end: end + 1 };
+}
+
+/**
+ * 配列形式のパスを検証する
+ * @param {Array} path - セグメントの配列
+ * @returns {Array<string|number>|null} セグメントの配列のコピー。不正な場合は null
+ */
+function parseSegmentArray(path) {
+  if (path.length === 0) {
+    return null;
+  }
+
+  for (const segment of path) {
+    const isKey = typeof segment === 'string';
+    const isIndex = Number.isInteger(segment) && segment >= 0;
+    if (!isKey && !isIndex) {
+      return null;
+    }
+  }
+
+  return [...path];
+}
+
+/**
+ * キーをパス中で使用できる形にエスケープする
+ * @param {string} key - オブジェクトのキー
+ * @returns {string} エスケープされたキー
+ *
+ * 例:
+ *   escapeKey("example.com") → "example\\.com"
+ */
+export function escapeKey(key) {
+  return key.replace(SPECIAL_CHARS, (ch) => `\\${ch}`);
+}
+
+/**
+ * パスの末尾にセグメントを1つ追加する
+ * @param {string} prefix - 正規化されたパス（ルートの場合は空文字列）
+ * @param {string|number} segment - 追加するキーまたは配列インデックス
+ * @returns {string} 正規化されたパス
+ *
+ * 例:
+ *   appendPath("hosts", "example.com") → "hosts.example\\.com"
+ *   appendPath("items", 0) → "items[0]"
+ */
+export function appendPath(prefix, segment) {
+  if (typeof segment === 'number') {
+    return `${prefix}[${segment}]`;
+  }
+
+  // 空文字列のキーはドット区切りでは表せないためクォートする
+  if (segment === '') {
+    return `${prefix}[""]`;
+  }
+
+  return prefix ? `${prefix}.${escapeKey(segment)}` : escapeKey(segment);
+}
+
+/**
+ * セグメントの配列を正規化されたパス文字列に組み立てる
+ * @param {Array<string|number>} segments - セグメントの配列
+ * @returns {string} パス文字列
+ *
+ * 例:
+ *   formatPath(["items", 3, "name"]) → "items[3].name"
+ *   formatPath(["hosts", "example.com"]) → "hosts.example\\.com"
+ */
+export function formatPath(segments) {
+  return segments.reduce((path, segment) => appendPath(path, segment), '');
+}
+
+/**
+ * セグメントが配列インデックスとして解釈できる文字列かどうかを判定する
+ * "items.3" のようなドット区切りの数値セグメントを配列要素として扱うために使用する
+ * @param {string|number} segment - 判定するセグメント
+ * @returns {boolean} インデックスとして解釈できる場合 true
+ */
+export function isIndexSegment(segment) {
+  return typeof segment === 'number' || INDEX_PATTERN.test(segment);
+}
+
+/**
+ * ドット区切りの数値のセグメントを含むパス（"items.3"）を拒否する
+ * 保存されている key_path は配列要素を "items[3]"、数値のキーを "items.3" と表すため、親の値を読み込まずに
+ * key_path と比較する find() などでは、配列要素とオブジェクトのキーのどちらを指すかを決められない
+ * @param {string|Array<string|number>} path - 検証するパス（有効なパス）
+ * @returns {void}
+ * @throws {Error} パスの先頭以外にドット区切りの数値のセグメントがある場合（"items[3]"、'items["3"]'、配列形式のパスは受け付ける）
+ */
+export function assertNoDottedIndex(path) {
+  const segment = findDottedIndex(path);
+  if (segment !== null) {
+    throw new Error(`Ambiguous path: ${path} (use [${segment}] for an array element or ["${segment}"] for an object key)`);
+  }
+}
+
+/**
+ * パスの先頭以外で最初にドット区切りで指定された数値のセグメントを探す
+ * @param {string|Array<string|number>} path - パス
+ * @returns {string|null} セグメント。ない場合は null
+ */
+function findDottedIndex(path) {
+  const tokens = typeof path === 'string' ? tokenizePath(path) : null;
+  const token = tokens && tokens.find((candidate, i) => i > 0 && !candidate.bracketed && INDEX_PATTERN.test(candidate.segment));
+  return token ? token.segment : null;
+}
@@ -0,0 +1,577 @@
+/**
+ * query.js
+ * 平坦化されたストアに対するオブジェクト横断クエリを SQL に変換する関数群
+ */
+
+import { toStorageFormat, isValidPath, isPlainObject, findCustomType } from './types.js';
+import { parsePath, formatPath, assertNoDottedIndex } from './path.js';
+import { InvalidQueryError } from './errors.js';
+
+/**
+ * 比較演算子と SQL 演算子の対応
+ */
+const COMPARISON_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<='
+};
+
+/**
+ * サポートするクエリ演算子
+ */
+const SUPPORTED_OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$like'
+]);
+
+/**
+ * LIKE パターン中の特殊文字をエスケープする
+ * @param {string} value - エスケープする文字列
+ * @returns {string} エスケープされた文字列（ESCAPE '\' と組み合わせて使用する）
+ */
+export function escapeLike(value) {
+  return value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+}
+
+/**
+ * 有効期限切れでない行の条件式を作成する
+ * @param {string} [alias] - テーブルの別名
+ * @returns {string} 条件式
+ */
+function notExpired(alias) {
+  const column = alias ? `${alias}.expires_at` : 'expires_at';
+  return `(${column} IS NULL OR ${column} > unixepoch())`;
+}
+
+/**
+ * find() のオプションを SQL に変換する
+ * @param {string} tableName - 検索対象のテーブル名（quoteTableName() でクォート済みのもの）
+ * @param {Object} [options] - 検索オプション
+ * @param {Object} [options.where] - パスごとの検索条件（例: { 'profile.age': { $gt: 20 } }）
+ * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+ * @param {string|Object|Array} [options.orderBy] - 並び替えに使うパス、または { path, direction } とその配列
+ * @param {number} [options.limit] - 取得する最大件数
+ * @param {number} [options.offset] - 読み飛ばす件数
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ
+ * @throws {InvalidQueryError} 検索条件が不正な場合
+ *
+ * 例:
+ *   compileFind('"maskql_store"', { where: { 'settings.theme': 'dark' }, prefix: 'user:' })
+ */
+export function compileFind(tableName, options = {}) {
+  const { where = {}, prefix, orderBy, limit, offset } = options;
+  const params = [];
+
+  // 候補となるオブジェクトID（有効期限切れの行は存在しないものとして扱う）
+  let source = `SELECT DISTINCT obj_id FROM ${tableName} WHERE ${notExpired()}`;
+  if (prefix !== undefined && prefix !== null && prefix !== '') {
+    if (typeof prefix !== 'string') {
+      throw new InvalidQueryError(`Invalid prefix: ${prefix}`);
+    }
+    source += ` AND obj_id LIKE ? ESCAPE '\\'`;
+    params.push(`${escapeLike(prefix)}%`);
+  }
+
+  // 並び替え用の結合
+  const joins = [];
+  const orderTerms = [];
+  normalizeOrderBy(orderBy).forEach(({ path, direction }, i) => {
+    const alias = `ord${i}`;
+    joins.push(`LEFT JOIN ${tableName} AS ${alias} ON ${alias}.obj_id = o.obj_id AND ${alias}.key_path = ? AND ${notExpired(alias)}`);
+    params.push(path);
+    orderTerms.push(
+      `CASE WHEN ${alias}.value_type = 'number' THEN CAST(${alias}.value AS REAL) ELSE ${alias}.value END ${direction}`
+    );
+  });
+  orderTerms.push('o.obj_id ASC');
+
+  // 検索条件
+  if (!isPlainObject(where)) {
+    throw new InvalidQueryError('Query "where" must be an object');
+  }
+
+  const clauses = [];
+  for (const [path, condition] of Object.entries(where)) {
+    clauses.push(...compileCondition(tableName, normalizeQueryPath(path), condition, params));
+  }
+
+  let sql = `SELECT o.obj_id AS obj_id FROM (${source}) AS o`;
+  if (joins.length > 0) {
+    sql += ` ${joins.join(' ')}`;
+  }
+  if (clauses.length > 0) {
+    sql += ` WHERE ${clauses.join(' AND ')}`;
+  }
+  sql += ` ORDER BY ${orderTerms.join(', ')}`;
+
+  if (limit !== undefined && limit !== null) {
+    if (!Number.isInteger(limit) || limit < 0) {
+      throw new InvalidQueryError(`Invalid limit: ${limit}`);
+    }
+    sql += ' LIMIT ?';
+    params.push(limit);
+  }
+
+  if (offset !== undefined && offset !== null) {
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new InvalidQueryError(`Invalid offset: ${offset}`);
+    }
+    // SQLite では OFFSET の前に LIMIT が必要
+    if (limit === undefined || limit === null) {
+      sql += ' LIMIT -1';
+    }
+    sql += ' OFFSET ?';
+    params.push(offset);
+  }
+
+  return { sql, params };
+}
+
+/**
+ * list() のオプションを SQL に変換する
+ * obj_id の順に走査し、前のページの最後の obj_id より後から読み込む（キーセットページネーション）
+ * @param {string} tableName - クォート済みのテーブル名
+ * @param {Object} [options] - 一覧のオプション
+ * @param {string} [options.prefix] - obj_id の前方一致条件（例: 'user:'）
+ * @param {number} [options.limit=100] - 取得する最大件数
+ * @param {string} [options.cursor] - 前のページの cursor（前のページの最後の obj_id）
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ（次のページの有無を判定するため limit + 1 件を取得する）
+ * @throws {InvalidQueryError} オプションが不正な場合
+ *
+ * 例:
+ *   compileList('"maskql_store"', { prefix: 'user:', limit: 50, cursor: 'user:120' })
+ */
+export function compileList(tableName, options = {}) {
+  const { prefix, limit = 100, cursor } = options;
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new InvalidQueryError(`Invalid limit: ${limit}`);
+  }
+
+  const { clauses, params } = objIdRange(prefix);
+
+  if (cursor !== undefined && cursor !== null) {
+    if (typeof cursor !== 'string' || cursor === '') {
+      throw new InvalidQueryError(`Invalid cursor: ${cursor}`);
+    }
+    clauses.push('obj_id > ?');
+    params.push(cursor);
+  }
+
+  params.push(limit + 1);
+
+  return {
+    sql: `SELECT obj_id, COUNT(*) AS key_count, MAX(updated_at) AS updated_at FROM ${tableName}
+      WHERE ${[notExpired(), ...clauses].join(' AND ')}
+      GROUP BY obj_id ORDER BY obj_id ASC LIMIT ?`,
+    params
+  };
+}
+
+/**
+ * count() のオプションを SQL に変換する
+ * @param {string} tableName - クォート済みのテーブル名
+ * @param {Object} [options] - オプション
+ * @param {string} [options.prefix] - obj_id の前方一致条件
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ
+ * @throws {InvalidQueryError} prefix が不正な場合
+ */
+export function compileCount(tableName, options = {}) {
+  const { clauses, params } = objIdRange(options.prefix);
+
+  return {
+    sql: `SELECT COUNT(DISTINCT obj_id) AS count FROM ${tableName} WHERE ${[notExpired(), ...clauses].join(' AND ')}`,
+    params
+  };
+}
+
+/**
+ * パスを持つオブジェクトを obj_id の昇順に取得する SQL を作成する（renamePath() などの対象の読み込みに使用する）
+ * @param {string} tableName - クォート済みのテーブル名
+ * @param {Object} options - オプション
+ * @param {string} options.path - 正規化されたパス
+ * @param {boolean} [options.children=false] - true の場合、パス自身の行を含めず配下の行のみを対象にする
+ * @param {string} [options.prefix] - obj_id の前方一致条件
+ * @param {number} options.limit - 取得する最大件数
+ * @param {string} [options.cursor] - 前回の呼び出しの cursor（前回処理した最後の obj_id）
+ * @returns {{sql: string, params: Array}} SQL 文とバインドするパラメータ（残りの有無を判定するため limit + 1 件を取得する）
+ * @throws {InvalidQueryError} オプションが不正な場合
+ */
+export function compilePathObjects(tableName, options) {
+  const { path, children = false, prefix, limit, cursor } = options;
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new InvalidQueryError(`Invalid limit: ${limit}`);
+  }
+
+  const source = pathCondition(path, children);
+  const { clauses, params } = objIdRange(prefix);
+
+  if (cursor !== undefined && cursor !== null) {
+    if (typeof cursor !== 'string' || cursor === '') {
+      throw new InvalidQueryError(`Invalid cursor: ${cursor}`);
+    }
+    clauses.push('obj_id > ?');
+    params.push(cursor);
+  }
+
+  return {
+    sql: `SELECT DISTINCT obj_id FROM ${tableName}
+      WHERE ${[notExpired(), source.clause, ...clauses].join(' AND ')}
+      ORDER BY obj_id ASC LIMIT ?`,
+    params: [...source.params, ...params, limit + 1]
+  };
+}
+
+/**
+ * obj_id の範囲内のオブジェクトについて、パスの行を別のパスに移動する SQL 文を作成する
+ * 移動元の行の key_path の先頭を書き換える1つの UPDATE で移動し、移動先と衝突する行は先に削除する。
+ * replace の場合は移動先のパスとその配下・祖先の行を、それ以外の場合は移動する各行の移動先とその配下・祖先の行を削除する
+ * （移動元と移動先は互いに含まない前提）
+ * @param {{store: string, revisions: string, history: string|null}} tables - クォート済みのテーブル名（履歴を記録しない場合 history は null）
+ * @param {Object} options - オプション
+ * @param {string} options.from - 移動元の正規化されたパス
+ * @param {string} options.to - 移動先の正規化されたパス
+ * @param {boolean} options.children - true の場合、パス自身の行を含めず配下の行のみを移動する
+ * @param {boolean} options.replace - true の場合、移動先の値を置き換える（false の場合は移動先の値にマージする）
+ * @param {string} options.first - 対象の範囲の最初の obj_id
+ * @param {string} options.last - 対象の範囲の最後の obj_id
+ * @returns {{check: {sql: string, params: Array}, statements: Array<{sql: string, params: Array}>, moveIndex: number}}
+ *   移動先の祖先にある旧形式の配列・オブジェクトの行を検索する SQL、順に実行する SQL 文、行を移動する文の位置
+ */
+export function compilePathMove(tables, options) {
+  const { from, to, children, replace, first, last } = options;
+  const source = pathCondition(from, children);
+  const range = ['obj_id BETWEEN ? AND ?', notExpired(), source.clause].join(' AND ');
+  const rangeParams = [first, last, ...source.params];
+  const newPath = '? || substr(key_path, length(?) + 1)';
+
+  // 移動後のパス（replace の場合は移動先のパス）の一覧
+  const moved = replace
+    ? { sql: `SELECT DISTINCT obj_id, ? AS new_path FROM ${tables.store} WHERE ${range}`, params: [to, ...rangeParams] }
+    : { sql: `SELECT obj_id, ${newPath} AS new_path FROM ${tables.store} WHERE ${range}`, params: [to, from, ...rangeParams] };
+
+  // 移動後のパスと衝突する行（同じパス、配下、祖先）
+  const conflicting = `d.obj_id BETWEEN ? AND ? AND EXISTS (
+         SELECT 1 FROM moved AS m WHERE m.obj_id = d.obj_id AND (d.key_path = m.new_path
+           OR ${isDescendantSql('d.key_path', 'm.new_path')} OR ${isDescendantSql('m.new_path', 'd.key_path')}))`;
+  const conflictingParams = [...moved.params, first, last];
+
+  const check = {
+    sql: `WITH moved AS (${moved.sql})
+      SELECT d.obj_id, d.key_path FROM ${tables.store} AS d
+      WHERE d.obj_id BETWEEN ? AND ? AND ${notExpired('d')}
+        AND d.value NOT IN ('{}', '[]') AND (d.value LIKE '[%]' OR d.value LIKE '{%}') AND json_valid(d.value)
+        AND EXISTS (SELECT 1 FROM moved AS m WHERE m.obj_id = d.obj_id AND ${isDescendantSql('m.new_path', 'd.key_path')})
+      LIMIT 1`,
+    params: conflictingParams
+  };
+
+  const statements = [{
+    sql: `INSERT INTO ${tables.revisions} (obj_id, revision, updated_at)
+      SELECT DISTINCT obj_id, 1, unixepoch() FROM ${tables.store} WHERE ${range}
+      ON CONFLICT(obj_id) DO UPDATE SET revision = revision + 1, updated_at = unixepoch()`,
+    params: rangeParams
+  }];
+
+  // 履歴は削除される行、移動元のパスの削除、移動先のパスの作成の順に記録する（逆順に適用すると元の状態に戻る）
+  if (tables.history) {
+    const columns = 'obj_id, revision, key_path, old_value, old_type, new_value, new_type, created_at';
+    const revision = (alias) => `(SELECT revision FROM ${tables.revisions} AS r WHERE r.obj_id = ${alias}.obj_id)`;
+
+    statements.push({
+      sql: `WITH moved AS (${moved.sql})
+        INSERT INTO ${tables.history} (${columns})
+        SELECT d.obj_id, ${revision('d')}, d.key_path, d.value, d.value_type, NULL, NULL, unixepoch()
+        FROM ${tables.store} AS d WHERE ${notExpired('d')} AND ${conflicting}`,
+      params: conflictingParams
+    }, {
+      sql: `INSERT INTO ${tables.history} (${columns})
+        SELECT s.obj_id, ${revision('s')}, key_path, value, value_type, NULL, NULL, unixepoch()
+        FROM ${tables.store} AS s WHERE ${range}`,
+      params: rangeParams
+    }, {
+      sql: `INSERT INTO ${tables.history} (${columns})
+        SELECT s.obj_id, ${revision('s')}, ${newPath}, NULL, NULL, value, value_type, unixepoch()
+        FROM ${tables.store} AS s WHERE ${range}`,
+      params: [to, from, ...rangeParams]
+    });
+  }
+
+  // 有効期限切れの行も移動先の主キーと衝突するため、有効期限に関係なく削除する
+  statements.push({
+    sql: `WITH moved AS (${moved.sql})
+      DELETE FROM ${tables.store} AS d WHERE ${conflicting}`,
+    params: conflictingParams
+  });
+
+  statements.push({
+    sql: `UPDATE ${tables.store} SET key_path = ${newPath}, updated_at = unixepoch() WHERE ${range}`,
+    params: [to, from, ...rangeParams]
+  });
+
+  return { check, statements, moveIndex: statements.length - 1 };
+}
+
+/**
+ * パスの行を選択する条件式を作成する
+ * @param {string} path - 正規化されたパス
+ * @param {boolean} children - true の場合、パス自身の行を含めず配下の行のみを選択する
+ * @returns {{clause: string, params: Array}} 条件式とバインドするパラメータ
+ */
+function pathCondition(path, children) {
+  const escaped = escapeLike(path);
+  const descendants = `key_path LIKE ? ESCAPE '\\' OR key_path LIKE ? ESCAPE '\\'`;
+
+  return children
+    ? { clause: `(${descendants})`, params: [`${escaped}.%`, `${escaped}[%`] }
+    : { clause: `(key_path = ? OR ${descendants})`, params: [path, `${escaped}.%`, `${escaped}[%`] };
+}
+
+/**
+ * 列の値のパスが別の列の値のパスの配下にあることを判定する条件式を作成する
+ * （LIKE はパスに含まれる "%" や "_" をエスケープできないため substr で比較する）
+ * @param {string} key - 判定するパスの式
+ * @param {string} ancestor - 基準となるパスの式
+ * @returns {string} 条件式
+ */
+function isDescendantSql(key, ancestor) {
+  return `(substr(${key}, 1, length(${ancestor})) = ${ancestor} AND substr(${key}, length(${ancestor}) + 1, 1) IN ('.', '['))`;
+}
+
+/**
+ * obj_id の前方一致条件を obj_id のインデックスを使える範囲条件に変換する
+ * 前方一致する文字列は、プレフィックス以上かつ最後の文字を1つ進めた文字列未満の範囲に含まれる
+ * @param {string|undefined|null} prefix - obj_id の前方一致条件
+ * @returns {{clauses: string[], params: Array}} 条件式とバインドするパラメータ
+ * @throws {InvalidQueryError} prefix が文字列でない場合
+ */
+export function objIdRange(prefix) {
+  if (prefix === undefined || prefix === null || prefix === '') {
+    return { clauses: [], params: [] };
+  }
+
+  if (typeof prefix !== 'string') {
+    throw new InvalidQueryError(`Invalid prefix: ${prefix}`);
+  }
+
+  const codePoints = [...prefix].map((ch) => ch.codePointAt(0));
+  const last = codePoints.pop();
+
+  // 最後の文字を進められない場合（U+10FFFF）は LIKE で上限を判定する
+  if (last === 0x10FFFF) {
+    return {
+      clauses: ['obj_id >= ?', `obj_id LIKE ? ESCAPE '\\'`],
+      params: [prefix, `${escapeLike(prefix)}%`]
+    };
+  }
+
+  // サロゲートの範囲は UTF-8 では表せないため飛ばす
+  const next = last === 0xD7FF ? 0xE000 : last + 1;
+  const upper = String.fromCodePoint(...codePoints, next);
+
+  return { clauses: ['obj_id >= ?', 'obj_id < ?'], params: [prefix, upper] };
+}
+
+/**
+ * クエリのパスを検証し、保存されている key_path の形式に正規化する
+ * @param {string} path - クエリのパス
+ * @returns {string} 正規化されたパス
+ * @throws {InvalidQueryError} パスが無効な場合
+ * @throws {Error} "items.3" のように配列要素かキーかを決められない場合
+ */
+function normalizeQueryPath(path) {
+  if (!isValidPath(path)) {
+    throw new InvalidQueryError(`Invalid path in query: ${path}`);
+  }
+  assertNoDottedIndex(path);
+  return formatPath(parsePath(path));
+}
+
+/**
+ * orderBy オプションを { path, direction } の配列に正規化する
+ * @param {string|Object|Array|undefined} orderBy - orderBy オプション
+ * @returns {Array<{path: string, direction: string}>} 正規化された並び替え条件
+ * @throws {InvalidQueryError} 並び替え条件が不正な場合
+ */
+function normalizeOrderBy(orderBy) {
+  if (orderBy === undefined || orderBy === null) {
+    return [];
+  }
+
+  const entries = Array.isArray(orderBy) ? orderBy : [orderBy];
+
+  return entries.map((entry) => {
+    const { path, direction = 'asc' } = typeof entry === 'string' ? { path: entry } : entry;
+    const normalizedDirection = String(direction).toUpperCase();
+
+    if (normalizedDirection !== 'ASC' && normalizedDirection !== 'DESC') {
+      throw new InvalidQueryError(`Invalid order direction: ${direction}`);
+    }
+
+    return { path: normalizeQueryPath(path), direction: normalizedDirection };
+  });
+}
+
+/**
+ * 1つのパスに対する検索条件を SQL の条件式に変換する
+ * @param {string} tableName - クォート済みのテーブル名
+ * @param {string} path - 正規化されたパス
+ * @param {any} condition - 値（等価条件）または演算子オブジェクト
+ * @param {Array} params - バインドするパラメータ（追記される）
+ * @returns {string[]} AND で結合する条件式
+ * @throws {InvalidQueryError} 検索条件が不正な場合
+ */
+function compileCondition(tableName, path, condition, params) {
+  const operators = isOperatorObject(condition) ? condition : { $eq: condition };
+  const clauses = [];
+  const positive = [];
+  const positiveParams = [];
+
+  const exists = (predicate, predicateParams, negate = false) => {
+    clauses.push(
+      `${negate ? 'NOT ' : ''}EXISTS (SELECT 1 FROM ${tableName} AS t WHERE t.obj_id = o.obj_id AND t.key_path = ? AND ${notExpired('t')}` +
+      `${predicate ? ` AND ${predicate}` : ''})`
+    );
+    params.push(path, ...predicateParams);
+  };
+
+  for (const [operator, operand] of Object.entries(operators)) {
+    if (!SUPPORTED_OPERATORS.has(operator)) {
+      throw new InvalidQueryError(`Unsupported query operator "${operator}" for path "${path}"`);
+    }
+
+    switch (operator) {
+      case '$eq':
+        positive.push(equalsPredicate(operand, positiveParams));
+        break;
+
+      case '$ne': {
+        const predicateParams = [];
+        exists(equalsPredicate(operand, predicateParams), predicateParams, true);
+        break;
+      }
+
+      case '$in':
+        positive.push(inPredicate(operand, positiveParams, path));
+        break;
+
+      case '$nin': {
+        const predicateParams = [];
+        exists(inPredicate(operand, predicateParams, path), predicateParams, true);
+        break;
+      }
+
+      case '$exists':
+        exists('', [], !operand);
+        break;
+
+      case '$like':
+        if (typeof operand !== 'string') {
+          throw new InvalidQueryError(`$like requires a string pattern for path "${path}"`);
+        }
+        positive.push(`(t.value_type = 'string' AND t.value LIKE ?)`);
+        positiveParams.push(operand);
+        break;
+
+      default:
+        positive.push(comparisonPredicate(COMPARISON_OPERATORS[operator], operand, positiveParams, path));
+    }
+  }
+
+  if (positive.length > 0) {
+    exists(positive.join(' AND '), positiveParams);
+  }
+
+  return clauses;
+}
+
+/**
+ * 値が演算子オブジェクト（全てのキーが "$" で始まるオブジェクト）かどうかを判定する
+ * @param {any} value - 判定する値
+ * @returns {boolean} 演算子オブジェクトの場合 true
+ */
+function isOperatorObject(value) {
+  if (!isPlainObject(value)) {
+    return false;
+  }
+
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every((key) => key.startsWith('$'));
+}
+
+/**
+ * 等価条件を型を考慮した条件式に変換する
+ * @param {any} value - 比較する値
+ * @param {Array} params - バインドするパラメータ（追記される）
+ * @returns {string} 条件式
+ * @throws {InvalidQueryError} 比較できない値の場合
+ */
+function equalsPredicate(value, params) {
+  if (value === null || value === undefined) {
+    return `t.value_type = 'null'`;
+  }
+
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    params.push(value);
+    return `(t.value_type = 'number' AND CAST(t.value AS REAL) = ?)`;
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date) && findCustomType(value) === null) {
+    throw new InvalidQueryError('Query values must be primitives, Dates or custom type values; use a leaf path instead of an object or array');
+  }
+
+  const { value: serialized, type } = toStorageFormat(value);
+  params.push(type, serialized);
+  return `(t.value_type = ? AND t.value = ?)`;
+}
+
+/**
+ * $in 条件を条件式に変換する
+ * @param {Array} values - 候補の値
+ * @param {Array} params - バインドするパラメータ（追記される）
+ * @param {string} path - エラーメッセージ用のパス
+ * @returns {string} 条件式
+ * @throws {InvalidQueryError} 値が配列でない場合
+ */
+function inPredicate(values, params, path) {
+  if (!Array.isArray(values)) {
+    throw new InvalidQueryError(`$in/$nin requires an array for path "${path}"`);
+  }
+
+  if (values.length === 0) {
+    return '0';
+  }
+
+  return `(${values.map((value) => equalsPredicate(value, params)).join(' OR ')})`;
+}
+
+/**
+ * 大小比較を型を考慮した条件式に変換する
+ * 数値は value_type が 'number' の行のみを数値として比較し、文字列と日付はそれぞれ同じ型の値とのみ比較する
+ * @param {string} sqlOperator - SQL の比較演算子
+ * @param {number|string|Date} value - 比較する値
+ * @param {Array} params - バインドするパラメータ（追記される）
+ * @param {string} path - エラーメッセージ用のパス
+ * @returns {string} 条件式
+ * @throws {InvalidQueryError} 比較できない値の場合
+ */
+function comparisonPredicate(sqlOperator, value, params, path) {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    params.push(value);
+    return `(t.value_type = 'number' AND CAST(t.value AS REAL) ${sqlOperator} ?)`;
+  }
+
+  if (typeof value === 'string') {
+    params.push(value);
+    return `(t.value_type = 'string' AND t.value ${sqlOperator} ?)`;
+  }
+
+  // 日付は ISO 文字列として保存されているため文字列の大小比較で時刻順になる
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    params.push(value.toISOString());
+    return `(t.value_type = 'date' AND t.value ${sqlOperator} ?)`;
+  }
+
+  throw new InvalidQueryError(`Comparison operators require a finite number, string or Date for path "${path}"`);
+}
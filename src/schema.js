@@ -0,0 +1,198 @@
+/**
+ * schema.js
+ * テーブル名の検証と、MaskQL が使用するテーブル・インデックスの定義
+ */
+
+import { InvalidTableNameError } from './errors.js';
+import { migrate } from './migrations.js';
+
+/**
+ * テーブル名（およびスキーマ名）として使用できる識別子
+ */
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * 識別子の最大長（"_revisions" などの接尾辞を付けても十分短く保つため）
+ */
+const MAX_IDENTIFIER_LENGTH = 64;
+
+/**
+ * SQLite と D1 が内部で使用する予約済みのプレフィックス
+ */
+const RESERVED_PREFIXES = ['sqlite_', '_cf_'];
+
+/**
+ * MaskQL が内部で使用するテーブル名（migrations.js を参照）
+ */
+const RESERVED_NAMES = ['maskql_meta'];
+
+/**
+ * テーブル名を検証し、スキーマ名とテーブル名に分解する
+ * @param {string} tableName - テーブル名（"schema.table" 形式のスキーマ修飾も可）
+ * @returns {{schema: string|null, table: string}} スキーマ名とテーブル名
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ *
+ * 例:
+ *   parseTableName("maskql_store") → { schema: null, table: "maskql_store" }
+ *   parseTableName("main.maskql_store") → { schema: "main", table: "maskql_store" }
+ */
+export function parseTableName(tableName) {
+  if (!tableName || typeof tableName !== 'string') {
+    throw new InvalidTableNameError(tableName, 'table name must be a non-empty string');
+  }
+
+  const parts = tableName.split('.');
+  if (parts.length > 2) {
+    throw new InvalidTableNameError(tableName, 'only one schema qualifier is allowed');
+  }
+
+  for (const part of parts) {
+    if (!IDENTIFIER_PATTERN.test(part)) {
+      throw new InvalidTableNameError(tableName, 'identifiers may only contain letters, digits and underscores, and must not start with a digit');
+    }
+
+    if (part.length > MAX_IDENTIFIER_LENGTH) {
+      throw new InvalidTableNameError(tableName, `identifiers must be at most ${MAX_IDENTIFIER_LENGTH} characters`);
+    }
+  }
+
+  const table = parts[parts.length - 1];
+  const lower = table.toLowerCase();
+  if (RESERVED_PREFIXES.some((prefix) => lower.startsWith(prefix))) {
+    throw new InvalidTableNameError(tableName, 'table name uses a reserved prefix');
+  }
+
+  if (RESERVED_NAMES.includes(lower)) {
+    throw new InvalidTableNameError(tableName, 'table name is reserved');
+  }
+
+  return {
+    schema: parts.length === 2 ? parts[0] : null,
+    table
+  };
+}
+
+/**
+ * 識別子をダブルクォートで囲む
+ * @param {string} identifier - 検証済みの識別子
+ * @returns {string} クォートされた識別子
+ */
+export function quoteIdentifier(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * テーブル名を検証し、SQL に埋め込める形にクォートする
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @param {string} [suffix] - テーブル名に付ける接尾辞（関連テーブル用、例: "_revisions"）
+ * @returns {string} クォートされたテーブル名（例: "main"."maskql_store"）
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ */
+export function quoteTableName(tableName, suffix = '') {
+  const { schema, table } = parseTableName(tableName);
+  const quotedTable = quoteIdentifier(`${table}${suffix}`);
+  return schema ? `${quoteIdentifier(schema)}.${quotedTable}` : quotedTable;
+}
+
+/**
+ * MaskQL が使用するテーブルとインデックスを作成する SQL 文を生成する（最新のスキーマ）
+ * schema/init.sql はテーブル名 "maskql_store" に対してこの関数が生成するものに、maskql_meta の作成とバージョンの記録を加えた内容
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @returns {string[]} CREATE 文の配列（いずれも IF NOT EXISTS 付き）
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ */
+export function getSchemaStatements(tableName) {
+  const { table } = parseTableName(tableName);
+  const store = quoteTableName(tableName);
+  const revisions = quoteTableName(tableName, '_revisions');
+  const history = quoteTableName(tableName, '_history');
+  const indexName = (name) => quoteIndexName(tableName, name);
+
+  return [
+    `CREATE TABLE IF NOT EXISTS ${store} (
+  obj_id TEXT NOT NULL,
+  key_path TEXT NOT NULL,
+  value TEXT,
+  value_type TEXT,
+  created_at INTEGER DEFAULT (unixepoch()),
+  updated_at INTEGER DEFAULT (unixepoch()),
+  expires_at INTEGER,
+  PRIMARY KEY (obj_id, key_path)
+)`,
+    `CREATE INDEX IF NOT EXISTS ${indexName('obj_id')} ON ${quoteIdentifier(table)}(obj_id)`,
+    `CREATE INDEX IF NOT EXISTS ${indexName('key_path')} ON ${quoteIdentifier(table)}(key_path)`,
+    `CREATE INDEX IF NOT EXISTS ${indexName('expires_at')} ON ${quoteIdentifier(table)}(expires_at)`,
+    `CREATE TABLE IF NOT EXISTS ${revisions} (
+  obj_id TEXT PRIMARY KEY,
+  revision INTEGER NOT NULL DEFAULT 0,
+  updated_at INTEGER DEFAULT (unixepoch())
+)`,
+    `CREATE TABLE IF NOT EXISTS ${history} (
+  id INTEGER PRIMARY KEY,
+  obj_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  key_path TEXT NOT NULL,
+  old_value TEXT,
+  old_type TEXT,
+  new_value TEXT,
+  new_type TEXT,
+  created_at INTEGER DEFAULT (unixepoch())
+)`,
+    `CREATE INDEX IF NOT EXISTS ${indexName('history_obj_id_revision')} ON ${quoteIdentifier(`${table}_history`)}(obj_id, revision)`,
+    ...getIndexTableStatements(tableName)
+  ];
+}
+
+/**
+ * defineIndex() のインデックスの値を保存するテーブル（"<ストアのテーブル名>_indexes"）を作成する SQL 文を生成する
+ * 一意性は is_unique = 1 の行のみを対象にした部分インデックスで保証する
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @returns {string[]} CREATE 文の配列（いずれも IF NOT EXISTS 付き）
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ */
+export function getIndexTableStatements(tableName) {
+  const { table } = parseTableName(tableName);
+  const indexes = quoteTableName(tableName, '_indexes');
+  const indexName = (name) => quoteIndexName(tableName, name);
+
+  return [
+    `CREATE TABLE IF NOT EXISTS ${indexes} (
+  index_name TEXT NOT NULL,
+  obj_id TEXT NOT NULL,
+  key_path TEXT NOT NULL,
+  value TEXT,
+  value_type TEXT NOT NULL,
+  is_unique INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (index_name, obj_id)
+)`,
+    `CREATE INDEX IF NOT EXISTS ${indexName('indexes_value')} ON ${quoteIdentifier(`${table}_indexes`)}(index_name, value_type, value)`,
+    `CREATE UNIQUE INDEX IF NOT EXISTS ${indexName('indexes_unique')} ON ${quoteIdentifier(`${table}_indexes`)}(index_name, value_type, value) WHERE is_unique = 1`
+  ];
+}
+
+/**
+ * テーブルの SQL インデックスの名前をクォートする
+ * インデックス名はスキーマ内で一意である必要があるため "idx_<テーブル名>_<名前>" とする
+ * @param {string} tableName - テーブル名（"schema.table" 形式も可）
+ * @param {string} name - インデックスの名前
+ * @returns {string} クォートされたインデックス名
+ */
+export function quoteIndexName(tableName, name) {
+  const { schema, table } = parseTableName(tableName);
+  const quoted = quoteIdentifier(`idx_${table}_${name}`);
+  return schema ? `${quoteIdentifier(schema)}.${quoted}` : quoted;
+}
+
+/**
+ * MaskQL が使用するテーブルとインデックスを作成する（既に存在する場合は何もしない）
+ * migrate() と同じく未適用のマイグレーションを適用し、スキーマのバージョンを maskql_meta に記録する
+ * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+ * @param {string} [tableName='maskql_store'] - テーブル名（"schema.table" 形式も可）
+ * @returns {Promise<void>}
+ * @throws {InvalidTableNameError} テーブル名が無効な場合
+ * @throws {SchemaVersionError} テーブルのバージョンが MaskQL の対応するバージョンより新しい場合
+ * @throws {Error} テーブルの作成に失敗した場合
+ */
+export async function ensureSchema(d1, tableName = 'maskql_store') {
+  await migrate(d1, tableName);
+}
@@ -0,0 +1,299 @@
+/**
+ * sqlite.js
+ * Node.js の SQLite（node:sqlite の DatabaseSync または better-sqlite3）を D1 と同じインターフェースで使用するためのアダプタ
+ * wrangler を使わない単体テストや、Node.js のスクリプト・CI から MaskQL を使用するために使う
+ *
+ * D1 との互換性:
+ *   - prepare() は SQL を検証せず、実行時にエラーになる
+ *   - bind() は undefined を拒否し、boolean は 1 / 0 に変換する
+ *   - batch() はすべての文を1つのトランザクション（SAVEPOINT）で実行し、いずれかが失敗した場合はすべて取り消す
+ *   - 結果は { results, success, meta: { changes, last_row_id, changed_db, duration } } の形式で返す
+ */
+
+import { ensureSchema } from './schema.js';
+
+/**
+ * D1 と同じインターフェースを持つ SQLite のアダプタ
+ */
+export class SqliteAdapter {
+  /**
+   * @param {Object} db - 同期 API の SQLite データベース（node:sqlite の DatabaseSync または better-sqlite3 の Database）
+   */
+  constructor(db) {
+    if (!db || typeof db.prepare !== 'function' || typeof db.exec !== 'function') {
+      throw new Error('SQLite database instance is required');
+    }
+
+    this.db = db;
+  }
+
+  /**
+   * SQL 文を準備する（SQL の構文は実行時に検証される）
+   * @param {string} sql - SQL 文
+   * @returns {SqliteStatement} 文
+   * @throws {Error} SQL が文字列でない場合
+   */
+  prepare(sql) {
+    if (typeof sql !== 'string' || sql.trim() === '') {
+      throw new Error('SQL statement must be a non-empty string');
+    }
+
+    return new SqliteStatement(this, sql, []);
+  }
+
+  /**
+   * 複数の文を1つのトランザクションで順に実行する
+   * @param {SqliteStatement[]} statements - prepare() で作成した文の配列
+   * @returns {Promise<Array<Object>>} 各文の結果（all() と同じ形式）
+   * @throws {Error} 文の配列が空の場合、またはいずれかの文が失敗した場合（すべての変更は取り消される）
+   */
+  async batch(statements) {
+    if (!Array.isArray(statements) || statements.length === 0) {
+      throw new Error('batch() requires at least one statement');
+    }
+
+    if (!statements.every((statement) => statement instanceof SqliteStatement && statement.adapter === this)) {
+      throw new Error('batch() only accepts statements prepared by this adapter');
+    }
+
+    // 実行中のトランザクションがある場合でも入れ子にできるように SAVEPOINT を使用する
+    this.db.exec('SAVEPOINT maskql_batch');
+    try {
+      const results = statements.map((statement) => statement._execute());
+      this.db.exec('RELEASE maskql_batch');
+      return results;
+    } catch (error) {
+      this.db.exec('ROLLBACK TO maskql_batch');
+      this.db.exec('RELEASE maskql_batch');
+      throw error;
+    }
+  }
+
+  /**
+   * 改行区切りの複数の SQL 文をそのまま実行する（schema/init.sql の適用など）
+   * @param {string} sql - SQL 文
+   * @returns {Promise<{count: number, duration: number}>} 実行した行数と所要時間（ミリ秒）
+   */
+  async exec(sql) {
+    const start = Date.now();
+    this.db.exec(sql);
+    return { count: sql.split('\n').filter((line) => line.trim() !== '').length, duration: Date.now() - start };
+  }
+}
+
+/**
+ * SqliteAdapter で準備した文
+ * bind() はパラメータをバインドした新しい文を返し、元の文は変更しない
+ */
+export class SqliteStatement {
+  /**
+   * @param {SqliteAdapter} adapter - 文を準備したアダプタ
+   * @param {string} sql - SQL 文
+   * @param {Array} params - バインドするパラメータ
+   */
+  constructor(adapter, sql, params) {
+    this.adapter = adapter;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  /**
+   * パラメータをバインドする
+   * @param {...any} values - パラメータ（null, number, bigint, string, boolean, ArrayBuffer / TypedArray）
+   * @returns {SqliteStatement} パラメータをバインドした新しい文
+   * @throws {TypeError} undefined など、D1 がサポートしない型の値を指定した場合
+   */
+  bind(...values) {
+    return new SqliteStatement(this.adapter, this.sql, values.map(toSqliteValue));
+  }
+
+  /**
+   * 実行して全行を返す
+   * @returns {Promise<Object>} { results, success, meta }
+   */
+  async all() {
+    return this._execute();
+  }
+
+  /**
+   * 実行して最初の行を返す
+   * @param {string} [column] - 値を取得する列名
+   * @returns {Promise<Object|any|null>} 最初の行（列名を指定した場合はその列の値）。行がない場合は null
+   * @throws {Error} 指定した列が結果に存在しない場合
+   */
+  async first(column) {
+    const [row] = this._execute().results;
+
+    if (row === undefined) {
+      return null;
+    }
+
+    if (column === undefined) {
+      return row;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(row, column)) {
+      throw new Error(`D1_COLUMN_NOTFOUND: Column not found (${column})`);
+    }
+
+    return row[column];
+  }
+
+  /**
+   * 実行して結果のメタ情報を返す
+   * @returns {Promise<Object>} { results, success, meta }
+   */
+  async run() {
+    return this._execute();
+  }
+
+  /**
+   * 実行して各行を列の値の配列として返す
+   * @param {Object} [options] - オプション
+   * @param {boolean} [options.columnNames=false] - true の場合、先頭に列名の配列を含める
+   * @returns {Promise<Array<Array>>} 行の配列
+   */
+  async raw(options = {}) {
+    const { results } = this._execute();
+    const rows = results.map((row) => Object.values(row));
+
+    if (options.columnNames) {
+      const statement = this.adapter.db.prepare(this.sql);
+      const names = typeof statement.columns === 'function'
+        ? statement.columns().map((column) => column.name)
+        : Object.keys(results[0] || {});
+      return [names, ...rows];
+    }
+
+    return rows;
+  }
+
+  /**
+   * 文を同期的に実行する（batch() から呼び出すため同期で実行する）
+   * @returns {{results: Object[], success: boolean, meta: Object}} 実行結果
+   */
+  _execute() {
+    const { db } = this.adapter;
+    const start = Date.now();
+    const statement = db.prepare(this.sql);
+
+    let results = [];
+    let changes;
+    let lastRowId;
+
+    if (returnsRows(statement)) {
+      // RETURNING 句のある書き込みも変更した行数を返せるように、前後の total_changes() の差を使う
+      const before = totalChanges(db);
+      results = statement.all(...this.params).map((row) => ({ ...row }));
+      changes = totalChanges(db) - before;
+      lastRowId = Number(db.prepare('SELECT last_insert_rowid() AS id').get().id);
+    } else {
+      const info = statement.run(...this.params);
+      changes = Number(info.changes);
+      lastRowId = Number(info.lastInsertRowid);
+    }
+
+    return {
+      results,
+      success: true,
+      meta: { changes, last_row_id: lastRowId, changed_db: changes > 0, duration: Date.now() - start }
+    };
+  }
+}
+
+/**
+ * SQLite のデータベースからアダプタを作成する
+ * @param {Object} db - node:sqlite の DatabaseSync または better-sqlite3 の Database
+ * @returns {SqliteAdapter} アダプタ
+ * @throws {Error} db が SQLite のデータベースでない場合
+ *
+ * 例:
+ *   import { DatabaseSync } from 'node:sqlite';
+ *   const adapter = createSqliteAdapter(new DatabaseSync('data.db'));
+ *   await MaskQL.ensureSchema(adapter);
+ *   const mask = new MaskQL(adapter);
+ */
+export function createSqliteAdapter(db) {
+  return new SqliteAdapter(db);
+}
+
+/**
+ * node:sqlite のインメモリデータベースでアダプタを作成する（テスト用）
+ * 既定では schema/init.sql と同じテーブルとインデックスを作成する
+ * @param {Object} [options] - オプション
+ * @param {string} [options.tableName='maskql_store'] - 作成するテーブル名
+ * @param {boolean} [options.schema=true] - false の場合、テーブルを作成しない
+ * @returns {Promise<SqliteAdapter>} アダプタ
+ * @throws {Error} node:sqlite を使用できない場合（Node.js 22.13 以降が必要）
+ *
+ * 例:
+ *   const mask = new MaskQL(await createMemoryAdapter());
+ */
+export async function createMemoryAdapter(options = {}) {
+  const { tableName = 'maskql_store', schema = true } = options;
+
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch (error) {
+    throw new Error(`node:sqlite is not available: ${error.message}`);
+  }
+
+  const adapter = new SqliteAdapter(new DatabaseSync(':memory:'));
+
+  if (schema) {
+    await ensureSchema(adapter, tableName);
+  }
+
+  return adapter;
+}
+
+/**
+ * bind() の値を SQLite にバインドできる値に変換する（D1 と同じ型のみを受け付ける）
+ * @param {any} value - バインドする値
+ * @returns {any} 変換した値
+ * @throws {TypeError} サポートしない型の場合
+ */
+function toSqliteValue(value) {
+  if (value === null || typeof value === 'number' || typeof value === 'bigint' || typeof value === 'string') {
+    return value;
+  }
+
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+
+  if (value instanceof ArrayBuffer) {
+    return new Uint8Array(value);
+  }
+
+  if (ArrayBuffer.isView(value)) {
+    return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  }
+
+  throw new TypeError(`D1_TYPE_ERROR: Type '${typeof value}' not supported for value '${value}'`);
+}
+
+/**
+ * 文が行を返すかどうかを判定する
+ * @param {Object} statement - SQLite の文
+ * @returns {boolean} 行を返す場合 true
+ */
+function returnsRows(statement) {
+  // better-sqlite3
+  if (typeof statement.reader === 'boolean') {
+    return statement.reader;
+  }
+
+  // node:sqlite（columns() がない古いバージョンでは、書き込みも all() で実行できるため常に all() を使う）
+  return typeof statement.columns === 'function' ? statement.columns().length > 0 : true;
+}
+
+/**
+ * 接続を開いてから変更した行数の合計を取得する
+ * @param {Object} db - SQLite のデータベース
+ * @returns {number} 変更した行数の合計
+ */
+function totalChanges(db) {
+  return Number(db.prepare('SELECT total_changes() AS changes').get().changes);
+}
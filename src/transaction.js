@@ -0,0 +1,147 @@
+/**
+ * transaction.js
+ * 複数のオブジェクトへの変更を1つの d1.batch にまとめて保存するトランザクション
+ */
+
+import { isValidObjId } from './types.js';
+import { ValidationError } from './errors.js';
+import { findPendingUniqueViolation, batchStatements } from './document.js';
+import { assertStorageAdapter } from './adapter.js';
+
+/**
+ * トランザクション
+ * MaskQL.transaction() の callback に渡され、use() で開いたオブジェクトの変更を commit 時にまとめて保存する
+ */
+export class Transaction {
+  /**
+   * @param {D1Database|StorageAdapter} d1 - Cloudflare D1 データベースインスタンス（またはストレージアダプタ）
+   * @param {function(string, Transaction): Document} createHandle - トランザクションに属するドキュメント（未読み込み）を作成する関数
+   */
+  constructor(d1, createHandle) {
+    assertStorageAdapter(d1);
+
+    this.d1 = d1;
+    this.createHandle = createHandle;
+    this.handles = new Map(); // オブジェクトID → ドキュメント
+    this.finished = false;
+  }
+
+  /**
+   * オブジェクトを読み込み、トランザクションに参加させる
+   * 同じオブジェクトIDを複数回指定した場合は同じドキュメントを返す
+   * @param {string} objId - オブジェクト識別子
+   * @returns {Promise<Document>} オブジェクトを読み込んだドキュメント（save() は呼び出せない）
+   * @throws {Error} objIdが無効な場合、またはトランザクションが既に終了している場合
+   */
+  async use(objId) {
+    if (this.finished) {
+      throw new Error('Transaction has already finished');
+    }
+
+    if (!isValidObjId(objId)) {
+      throw new Error(`Invalid object ID: ${objId}`);
+    }
+
+    if (this.handles.has(objId)) {
+      return this.handles.get(objId);
+    }
+
+    const handle = this.createHandle(objId, this);
+    await handle.reload();
+    this.handles.set(objId, handle);
+    return handle;
+  }
+
+  /**
+   * callback を実行し、成功した場合は変更をコミットする
+   * @param {function(Transaction): Promise<any>} callback - トランザクション内で実行する処理
+   * @returns {Promise<any>} callback の戻り値
+   * @throws {Error} callback またはコミットが失敗した場合（未保存の変更は破棄される）
+   */
+  async run(callback) {
+    try {
+      const result = await callback(this);
+      await this.commit();
+      return result;
+    } catch (error) {
+      this.rollback();
+      throw error;
+    } finally {
+      this.finished = true;
+    }
+  }
+
+  /**
+   * すべてのオブジェクトの変更を1つの d1.batch で保存する
+   * @returns {Promise<void>}
+   * @throws {ConflictError} いずれかのオブジェクトのリビジョンが競合した場合
+   * @throws {ValidationError} いずれかのオブジェクトがスキーマに一致しない場合
+   * @throws {UniqueViolationError} いずれかのオブジェクトの一意インデックスの値が別のオブジェクトと重複した場合
+   * @throws {SaveVetoedError} いずれかのオブジェクトの保存を beforeSave フックが中止した場合
+   * @throws {Error} D1 への書き込みに失敗した場合
+   */
+  async commit() {
+    const handles = [...this.handles.values()];
+    const prepared = [];
+
+    for (const handle of handles) {
+      await handle._beforeSave();
+    }
+    const originals = handles.map((handle) => handle.originalFlatData);
+
+    try {
+      for (const handle of handles) {
+        prepared.push(handle._prepareSave());
+      }
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new Error(`Failed to commit transaction: ${error.message}`);
+    }
+
+    const duplicate = findPendingUniqueViolation(handles);
+    if (duplicate) {
+      throw duplicate;
+    }
+
+    const statements = batchStatements(prepared);
+
+    let results = [];
+    try {
+      if (statements.length > 0) {
+        results = await this.d1.batch(statements);
+      }
+    } catch (error) {
+      // どのオブジェクトが競合したかを確認する
+      for (const handle of handles) {
+        const conflict = await handle._detectConflict().catch(() => null);
+        if (conflict) {
+          throw conflict;
+        }
+      }
+      throw new Error(`Failed to commit transaction: ${error.message}`);
+    }
+
+    // batch の結果をオブジェクトごとに分けて渡す
+    let offset = 0;
+    for (const { statements: handleStatements, commit } of prepared) {
+      commit(results.slice(offset, offset + handleStatements.length));
+      offset += handleStatements.length;
+    }
+
+    for (let i = 0; i < handles.length; i++) {
+      await handles[i]._afterSave(originals[i]);
+    }
+  }
+
+  /**
+   * すべてのオブジェクトの未保存の変更を破棄する
+   * @returns {void}
+   */
+  rollback() {
+    for (const handle of this.handles.values()) {
+      handle._discardChanges();
+    }
+  }
+}
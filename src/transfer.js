@@ -0,0 +1,195 @@
+/**
+ * transfer.js
+ * exportObjects() / importObjects() で使用する NDJSON のレコードの変換と読み書き
+ *
+ * レコードの形式（1行に1オブジェクト）:
+ *   { "id": "user:1", "data": { ... }, "types": { "createdAt": "date" }, "updated_at": "2024-01-01T00:00:00.000Z" }
+ *
+ * data は getAll() と同じネストされたオブジェクトで、JSON で表せない値（Date、BigInt、バイナリ、NaN、-0、カスタム型など）は
+ * 保存形式の文字列として格納し、そのパスと value_type を types に記録する
+ */
+
+import { deserializeValue, isPlainObject, isValidObjId } from './types.js';
+import { parsePath } from './path.js';
+import { createFlatObject, hasOwn, unflatten } from './flatten.js';
+
+/**
+ * JSON の値としてそのまま出力できる value_type
+ */
+const JSON_VALUE_TYPES = new Set(['string', 'number', 'boolean', 'null', 'array', 'object']);
+
+/**
+ * D1 から読み込んだ行をエクスポートのレコードに変換する
+ * @param {string} objId - オブジェクトID
+ * @param {Array<{key_path: string, value: string, value_type: string}>} rows - オブジェクトの行
+ * @param {Date|null} updatedAt - オブジェクトの最終更新日時
+ * @returns {{id: string, data: Object, types: Object<string, string>, updated_at: string|null}} レコード
+ */
+export function toExportRecord(objId, rows, updatedAt) {
+  const flat = createFlatObject();
+  const types = {};
+
+  for (const row of rows) {
+    // -0 は JSON では 0 になるため、保存形式のまま出力する
+    if (JSON_VALUE_TYPES.has(row.value_type) && row.value !== '-0') {
+      flat[row.key_path] = deserializeValue(row.value, row.value_type);
+    } else {
+      flat[row.key_path] = row.value === null ? '' : row.value;
+      types[row.key_path] = row.value_type;
+    }
+  }
+
+  return { id: objId, data: unflatten(flat), types, updated_at: updatedAt ? updatedAt.toISOString() : null };
+}
+
+/**
+ * エクスポートのレコードを検証し、保存するデータに変換する
+ * types に記録されたパスの値は value_type に従って復元する（未登録のカスタム型は文字列のままになる）
+ * @param {any} record - JSON.parse() したレコード
+ * @returns {{objId: string, data: Object}} オブジェクトIDとデータ（record は変更しない）
+ * @throws {Error} レコードの形式が不正な場合
+ */
+export function fromExportRecord(record) {
+  if (!isPlainObject(record)) {
+    throw new Error('Record must be an object');
+  }
+
+  const { id, data, types = {} } = record;
+
+  if (!isValidObjId(id)) {
+    throw new Error(`Invalid object ID: ${id}`);
+  }
+
+  if (!isPlainObject(data)) {
+    throw new Error(`"data" of object "${id}" must be an object`);
+  }
+
+  if (!isPlainObject(types) || !Object.values(types).every((type) => typeof type === 'string')) {
+    throw new Error(`"types" of object "${id}" must map paths to type names`);
+  }
+
+  const restored = JSON.parse(JSON.stringify(data));
+
+  for (const [path, type] of Object.entries(types)) {
+    const segments = parsePath(path);
+    if (!segments || segments.length === 0) {
+      throw new Error(`Invalid path in "types" of object "${id}": ${path}`);
+    }
+
+    let parent = restored;
+    for (const segment of segments.slice(0, -1)) {
+      parent = parent !== null && typeof parent === 'object' && hasOwn(parent, segment) ? parent[segment] : undefined;
+    }
+
+    const key = segments[segments.length - 1];
+    if (parent === null || typeof parent !== 'object' || !hasOwn(parent, key) || typeof parent[key] !== 'string') {
+      throw new Error(`"types" of object "${id}" refers to a missing value: ${path}`);
+    }
+
+    parent[key] = deserializeValue(parent[key], type);
+  }
+
+  return { objId: id, data: restored };
+}
+
+/**
+ * NDJSON を1行ずつ解析する（空行は無視する）
+ * @param {ReadableStream|AsyncIterable<string|Uint8Array>|Iterable<string|Uint8Array>|string} source - NDJSON の入力
+ * @returns {AsyncGenerator<{line: number, record: any}>} 行番号と JSON.parse() した値
+ * @throws {Error} JSON として解析できない行がある場合
+ */
+export async function* readNdjson(source) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let line = 0;
+
+  const parse = (text) => {
+    line++;
+    if (text.trim() === '') {
+      return undefined;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid NDJSON at line ${line}: ${error.message}`);
+    }
+  };
+
+  for await (const chunk of toChunks(source)) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const record = parse(buffer.slice(0, newline));
+      buffer = buffer.slice(newline + 1);
+      if (record !== undefined) {
+        yield { line, record };
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  const record = parse(buffer);
+  if (record !== undefined) {
+    yield { line, record };
+  }
+}
+
+/**
+ * 値を順に生成する非同期イテレータを NDJSON の ReadableStream に変換する
+ * 読み出されるたびに次の値を生成するため、全体をメモリに保持しない
+ * @param {AsyncIterator<any>} iterator - 出力する値を生成するイテレータ
+ * @returns {ReadableStream<Uint8Array>} UTF-8 の NDJSON
+ */
+export function toNdjsonStream(iterator) {
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(`${JSON.stringify(value)}\n`));
+      }
+    },
+    async cancel() {
+      await iterator.return();
+    }
+  });
+}
+
+/**
+ * NDJSON の入力をチャンクの非同期イテレータに変換する
+ * @param {ReadableStream|AsyncIterable|Iterable|string} source - 入力
+ * @returns {AsyncIterable<string|Uint8Array>} チャンク
+ * @throws {Error} サポートしない入力の場合
+ */
+async function* toChunks(source) {
+  if (typeof source === 'string') {
+    yield source;
+    return;
+  }
+
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    try {
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return;
+        }
+        yield value;
+      }
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  if (source && (typeof source[Symbol.asyncIterator] === 'function' || typeof source[Symbol.iterator] === 'function')) {
+    yield* source;
+    return;
+  }
+
+  throw new Error('NDJSON source must be a string, a ReadableStream or an iterable of chunks');
+}
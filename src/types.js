@@ -3,12 +3,102 @@
  * 型判定と型保持のためのユーティリティ関数群
  */
 
+import { parsePath } from './path.js';
+
+/**
+ * 組み込みの型名（カスタム型の名前としては使用できない）
+ */
+const BUILTIN_TYPES = new Set([
+  'string', 'number', 'nan', 'infinity', 'boolean', 'bigint', 'date', 'binary',
+  'null', 'undefined', 'object', 'array', 'function', 'symbol'
+]);
+
+/**
+ * カスタム型の名前として使用できる文字列
+ */
+const TYPE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_.:-]*$/;
+
+/**
+ * 登録されたカスタム型（型名 → { test, serialize, deserialize }）
+ */
+const customTypes = new Map();
+
+/**
+ * カスタム型を登録する
+ * 登録した型名は value_type として保存され、読み込み時に deserialize() で復元される
+ * @param {string} name - 型名（例: 'url', 'money'）
+ * @param {Object} codec - 型の変換方法
+ * @param {function(any): boolean} codec.test - 値がこの型かどうかを判定する関数
+ * @param {function(any): string} codec.serialize - 値を文字列に変換する関数
+ * @param {function(string): any} codec.deserialize - 文字列から値を復元する関数
+ * @returns {void}
+ * @throws {Error} 型名や codec が無効な場合、または組み込みの型名と重複する場合
+ *
+ * 例:
+ *   registerType('url', { test: (v) => v instanceof URL, serialize: (v) => v.href, deserialize: (s) => new URL(s) })
+ */
+export function registerType(name, codec) {
+  if (typeof name !== 'string' || !TYPE_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid custom type name: ${name}`);
+  }
+
+  if (BUILTIN_TYPES.has(name)) {
+    throw new Error(`Cannot register custom type "${name}": the name is reserved for a built-in type`);
+  }
+
+  if (!codec || typeof codec.test !== 'function' ||
+      typeof codec.serialize !== 'function' || typeof codec.deserialize !== 'function') {
+    throw new Error(`Custom type "${name}" requires test, serialize and deserialize functions`);
+  }
+
+  customTypes.set(name, {
+    test: codec.test,
+    serialize: codec.serialize,
+    deserialize: codec.deserialize
+  });
+}
+
+/**
+ * 登録したカスタム型を削除する
+ * @param {string} name - 型名
+ * @returns {boolean} 削除した場合 true
+ */
+export function unregisterType(name) {
+  return customTypes.delete(name);
+}
+
+/**
+ * 値に一致するカスタム型の名前を取得する（先に登録したものが優先される）
+ * @param {any} value - 判定する値
+ * @returns {string|null} 型名。一致するカスタム型がない場合は null
+ */
+export function findCustomType(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  for (const [name, codec] of customTypes) {
+    if (codec.test(value)) {
+      return name;
+    }
+  }
+
+  return null;
+}
+
 /**
  * 値の型を判定する
  * @param {any} value - 判定する値
- * @returns {string} 型名 ('string' | 'number' | 'boolean' | 'null' | 'undefined' | 'object' | 'array')
+ * @returns {string} 型名 ('string' | 'number' | 'nan' | 'infinity' | 'boolean' | 'bigint' | 'date' | 'binary' |
+ *   'null' | 'undefined' | 'object' | 'array'、またはカスタム型の名前)
  */
 export function getValueType(value) {
+  // カスタム型は組み込みの型より優先する
+  const customType = findCustomType(value);
+  if (customType) {
+    return customType;
+  }
+
   if (value === null) {
     return 'null';
   }
@@ -21,16 +111,76 @@ export function getValueType(value) {
     return 'array';
   }
 
+  if (value instanceof Date) {
+    return 'date';
+  }
+
+  if (value instanceof Uint8Array) {
+    return 'binary';
+  }
+
   const type = typeof value;
 
+  if (type === 'number') {
+    if (Number.isNaN(value)) {
+      return 'nan';
+    }
+    if (!Number.isFinite(value)) {
+      return 'infinity';
+    }
+    return 'number';
+  }
+
   if (type === 'object') {
     return 'object';
   }
 
-  // 'string' | 'number' | 'boolean' | 'function' | 'symbol' | 'bigint'
+  // 'string' | 'boolean' | 'bigint' | 'function' | 'symbol'
   return type;
 }
 
+/**
+ * 値がプレーンオブジェクト（{} リテラルや Object.create(null) で作られたもの）かどうかを判定する
+ * @param {any} value - 判定する値
+ * @returns {boolean} プレーンオブジェクトの場合 true
+ */
+export function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * バイト列を base64 文字列に変換する
+ * @param {Uint8Array} bytes - 変換するバイト列
+ * @returns {string} base64 文字列
+ */
+export function encodeBase64(bytes) {
+  let binary = '';
+  // 引数の数の上限を超えないように分割して変換する
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * base64 文字列をバイト列に変換する
+ * @param {string} base64 - 変換する base64 文字列
+ * @returns {Uint8Array} バイト列
+ */
+export function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * 値を文字列にシリアライズする
  * @param {any} value - シリアライズする値
@@ -38,9 +188,13 @@ export function getValueType(value) {
  *
  * 変換規則:
  *   - null/undefined → ''
- *   - string → そのまま
- *   - number/boolean → String(value)
+ *   - string → そのまま（空文字列も空文字列のまま）
+ *   - number/boolean/bigint → String(value)（-0 は '-0'）
+ *   - NaN → 'NaN'、±Infinity → 'Infinity' / '-Infinity'
+ *   - Date → ISO 文字列（無効な日付は 'Invalid Date'）
+ *   - Uint8Array → base64 文字列
  *   - array/object → JSON.stringify(value)
+ *   - カスタム型 → registerType() で登録した serialize()
  */
 export function serializeValue(value) {
   if (value === null || value === undefined) {
@@ -49,14 +203,33 @@ export function serializeValue(value) {
 
   const type = getValueType(value);
 
+  if (customTypes.has(type)) {
+    const serialized = customTypes.get(type).serialize(value);
+    if (typeof serialized !== 'string') {
+      throw new Error(`Custom type "${type}" serialize() must return a string`);
+    }
+    return serialized;
+  }
+
   switch (type) {
     case 'string':
       return value;
 
     case 'number':
+      return Object.is(value, -0) ? '-0' : String(value);
+
+    case 'nan':
+    case 'infinity':
     case 'boolean':
+    case 'bigint':
       return String(value);
 
+    case 'date':
+      return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+
+    case 'binary':
+      return encodeBase64(value);
+
     case 'array':
     case 'object':
       return JSON.stringify(value);
@@ -76,16 +249,25 @@ export function serializeValue(value) {
  *   - 'null' → null
  *   - 'undefined' → undefined
  *   - 'number' → Number(serialized)
+ *   - 'nan' → NaN、'infinity' → Infinity / -Infinity
  *   - 'boolean' → serialized === 'true'
+ *   - 'bigint' → BigInt(serialized)
+ *   - 'date' → new Date(serialized)
+ *   - 'binary' → Uint8Array
  *   - 'array'/'object' → JSON.parse(serialized)
- *   - 'string' → serialized
+ *   - 'string' → serialized（空文字列も空文字列のまま）
+ *   - カスタム型 → registerType() で登録した deserialize()（未登録の場合は serialized）
  */
 export function deserializeValue(serialized, valueType) {
   // null または undefined の場合
-  if (valueType === 'null' || serialized === '') {
+  if (valueType === 'null' || serialized === null || serialized === undefined) {
     return null;
   }
 
+  if (customTypes.has(valueType)) {
+    return customTypes.get(valueType).deserialize(serialized);
+  }
+
   if (valueType === 'undefined') {
     return undefined;
   }
@@ -97,8 +279,15 @@ export function deserializeValue(serialized, valueType) {
 
   // 数値の場合
   if (valueType === 'number') {
-    const num = Number(serialized);
-    return isNaN(num) ? 0 : num;
+    return Number(serialized);
+  }
+
+  if (valueType === 'nan') {
+    return NaN;
+  }
+
+  if (valueType === 'infinity') {
+    return serialized.startsWith('-') ? -Infinity : Infinity;
   }
 
   // 真偽値の場合
@@ -106,6 +295,28 @@ export function deserializeValue(serialized, valueType) {
     return serialized === 'true';
   }
 
+  if (valueType === 'bigint') {
+    try {
+      return BigInt(serialized);
+    } catch (e) {
+      // パースエラーの場合は文字列として返す
+      return serialized;
+    }
+  }
+
+  if (valueType === 'date') {
+    return new Date(serialized);
+  }
+
+  if (valueType === 'binary') {
+    try {
+      return decodeBase64(serialized);
+    } catch (e) {
+      // パースエラーの場合は空のバイト列を返す
+      return new Uint8Array(0);
+    }
+  }
+
   // 配列またはオブジェクトの場合
   if (valueType === 'array' || valueType === 'object') {
     try {
@@ -147,32 +358,29 @@ export function fromStorageFormat(value, type) {
 
 /**
  * パスが有効かどうかを検証する
- * @param {string} path - 検証するパス
+ * ドット区切りのキーと "[3]" 形式の配列インデックスを組み合わせたパスを受け付ける（例: "items[3].name"）。
+ * キーに含まれるドットは "\." でエスケープするか '["example.com"]' のようにクォートする。
+ * セグメントの配列（例: ["hosts", "example.com"]）も受け付ける
+ * @param {string|Array<string|number>} path - 検証するパス
  * @returns {boolean} パスが有効な場合 true
  */
 export function isValidPath(path) {
   // 空文字列はNG
-  if (!path || typeof path !== 'string') {
-    return false;
-  }
-
-  // 前後の空白はNG
-  if (path.trim() !== path) {
+  if (!path || (typeof path !== 'string' && !Array.isArray(path))) {
     return false;
   }
 
-  // 先頭または末尾のドットはNG
-  if (path.startsWith('.') || path.endsWith('.')) {
+  // 先頭・末尾のドット、連続したドット、ブラケットの書式が不正なものはNG
+  const segments = parsePath(path);
+  if (!segments) {
     return false;
   }
 
-  // 連続したドットはNG
-  if (path.includes('..')) {
+  // 配列インデックスで始まるものはNG（ルートは常にオブジェクト）
+  if (typeof segments[0] === 'number') {
     return false;
   }
 
-  // 空のセグメント（例: "a..b"）はNG - 上記の連続ドットチェックでカバー済み
-
   return true;
 }
 
@@ -230,10 +438,19 @@ export function hasValueChanged(oldValue, newValue) {
   }
 
   // プリミティブ型の場合は === で比較
-  if (oldType === 'string' || oldType === 'number' || oldType === 'boolean') {
+  if (oldType === 'string' || oldType === 'number' || oldType === 'boolean' || oldType === 'bigint') {
     return oldValue !== newValue;
   }
 
+  // カスタム型の場合はシリアライズした結果で比較
+  if (customTypes.has(oldType)) {
+    try {
+      return serializeValue(oldValue) !== serializeValue(newValue);
+    } catch (e) {
+      return true;
+    }
+  }
+
   // オブジェクトや配列の場合は JSON.stringify で比較
   try {
     return JSON.stringify(oldValue) !== JSON.stringify(newValue);
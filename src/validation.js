@@ -0,0 +1,283 @@
+/**
+ * validation.js
+ * JSON Schema のサブセットによるオブジェクトの検証を行う関数群
+ *
+ * サポートするキーワード:
+ *   type, enum, required, properties, additionalProperties, items,
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength, maxLength, pattern, minItems, maxItems
+ * $schema, $id, title, description, default, examples は注釈として無視する
+ */
+
+import { isPlainObject } from './types.js';
+import { appendPath } from './path.js';
+
+/**
+ * サポートする型名
+ */
+const SCHEMA_TYPES = new Set(['string', 'number', 'integer', 'boolean', 'object', 'array', 'null']);
+
+/**
+ * 検証に使用しない注釈用のキーワード
+ */
+const ANNOTATION_KEYWORDS = new Set(['$schema', '$id', 'title', 'description', 'default', 'examples']);
+
+/**
+ * 0以上の整数を値に取るキーワード
+ */
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems'];
+
+/**
+ * 数値を値に取るキーワード
+ */
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'];
+
+/**
+ * スキーマを検証し、検証に使用する内部形式に変換する
+ * @param {Object} schema - JSON Schema（サポートするキーワードのみ）
+ * @param {string} [location='#'] - エラーメッセージ用のスキーマ内の位置
+ * @returns {Object} 変換したスキーマ（pattern は RegExp に変換される。schema は変更しない）
+ * @throws {Error} スキーマが不正な場合、またはサポートしないキーワードを含む場合
+ */
+export function compileSchema(schema, location = '#') {
+  if (!isPlainObject(schema)) {
+    throw new Error(`Schema at "${location}" must be an object`);
+  }
+
+  const compiled = {};
+
+  for (const [keyword, value] of Object.entries(schema)) {
+    if (ANNOTATION_KEYWORDS.has(keyword)) {
+      continue;
+    }
+
+    switch (keyword) {
+      case 'type': {
+        const types = Array.isArray(value) ? value : [value];
+        if (types.length === 0 || !types.every((type) => SCHEMA_TYPES.has(type))) {
+          throw new Error(`Invalid type at "${location}": ${JSON.stringify(value)}`);
+        }
+        compiled.type = types;
+        break;
+      }
+
+      case 'enum':
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error(`"enum" at "${location}" must be a non-empty array`);
+        }
+        compiled.enum = value;
+        break;
+
+      case 'required':
+        if (!Array.isArray(value) || !value.every((key) => typeof key === 'string')) {
+          throw new Error(`"required" at "${location}" must be an array of strings`);
+        }
+        compiled.required = value;
+        break;
+
+      case 'properties':
+        if (!isPlainObject(value)) {
+          throw new Error(`"properties" at "${location}" must be an object`);
+        }
+        compiled.properties = {};
+        for (const [key, propertySchema] of Object.entries(value)) {
+          compiled.properties[key] = compileSchema(propertySchema, `${location}/properties/${key}`);
+        }
+        break;
+
+      case 'additionalProperties':
+        compiled.additionalProperties = typeof value === 'boolean'
+          ? value
+          : compileSchema(value, `${location}/additionalProperties`);
+        break;
+
+      case 'items':
+        compiled.items = compileSchema(value, `${location}/items`);
+        break;
+
+      case 'pattern':
+        if (typeof value !== 'string') {
+          throw new Error(`"pattern" at "${location}" must be a string`);
+        }
+        try {
+          compiled.pattern = new RegExp(value, 'u');
+        } catch (error) {
+          throw new Error(`Invalid pattern at "${location}": ${error.message}`);
+        }
+        break;
+
+      default:
+        if (COUNT_KEYWORDS.includes(keyword)) {
+          if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`"${keyword}" at "${location}" must be a non-negative integer`);
+          }
+          compiled[keyword] = value;
+        } else if (NUMBER_KEYWORDS.includes(keyword)) {
+          if (typeof value !== 'number' || !Number.isFinite(value)) {
+            throw new Error(`"${keyword}" at "${location}" must be a finite number`);
+          }
+          compiled[keyword] = value;
+        } else {
+          throw new Error(`Unsupported schema keyword "${keyword}" at "${location}"`);
+        }
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * 値をスキーマで検証する
+ * Date は ISO 文字列として保存されるため "string"、BigInt は "integer" として扱う。
+ * バイナリやカスタム型の値は type を指定しないスキーマでのみ有効になる
+ * @param {Object} schema - compileSchema() で変換したスキーマ
+ * @param {any} value - 検証する値
+ * @param {string} [path=''] - 値のパス（ルートの場合は空文字列）
+ * @returns {Array<{path: string, message: string}>} 検証エラー（問題がない場合は空の配列）
+ *
+ * 例:
+ *   validateValue(compileSchema({ properties: { age: { type: 'integer' } } }), { age: 'thirty' })
+ *   → [{ path: 'age', message: 'must be of type integer' }]
+ */
+export function validateValue(schema, value, path = '') {
+  const errors = [];
+  const fail = (message, errorPath = path) => errors.push({ path: errorPath, message });
+
+  if (schema.type && !schema.type.some((type) => matchesType(value, type))) {
+    fail(`must be of type ${schema.type.join(' or ')}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.some((candidate) => isEqualValue(candidate, value))) {
+    fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      fail(`must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    // 長さはサロゲートペアを1文字として数える（JSON Schema と同じ）
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      fail(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      fail(`must match pattern "${schema.pattern.source}"`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateValue(schema.items, item, appendPath(path, i)));
+      });
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        fail('is required', appendPath(path, key));
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertyPath = appendPath(path, key);
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validateValue(properties[key], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', propertyPath);
+      } else if (isPlainObject(schema.additionalProperties)) {
+        errors.push(...validateValue(schema.additionalProperties, propertyValue, propertyPath));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * オブジェクトIDがパターンに一致するかどうかを判定する
+ * パターン中の "*" は任意の文字列（空文字列を含む）に一致し、それ以外の文字はそのまま比較する
+ * @param {string} pattern - パターン（例: "user:*"）
+ * @param {string} objId - オブジェクトID
+ * @returns {boolean} 一致する場合 true
+ *
+ * 例:
+ *   matchesObjIdPattern("user:*", "user:123") → true
+ *   matchesObjIdPattern("user:*", "team:9") → false
+ */
+export function matchesObjIdPattern(pattern, objId) {
+  const source = pattern.split('*').map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`, 's').test(objId);
+}
+
+/**
+ * 値がスキーマの型に一致するかどうかを判定する
+ * @param {any} value - 判定する値
+ * @param {string} type - スキーマの型名
+ * @returns {boolean} 一致する場合 true
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' || value instanceof Date;
+    case 'number':
+      return (typeof value === 'number' && Number.isFinite(value)) || typeof value === 'bigint';
+    case 'integer':
+      return Number.isInteger(value) || typeof value === 'bigint';
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return false;
+  }
+}
+
+/**
+ * enum の候補と値が等しいかどうかを判定する
+ * @param {any} candidate - enum の候補
+ * @param {any} value - 検証する値
+ * @returns {boolean} 等しい場合 true
+ */
+function isEqualValue(candidate, value) {
+  if (candidate === value) {
+    return true;
+  }
+
+  if (candidate !== null && value !== null && typeof candidate === 'object' && typeof value === 'object') {
+    try {
+      return JSON.stringify(candidate) === JSON.stringify(value);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  return false;
+}
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaskQL, ConflictError } from '../src/index.js';
+import { createMask, putObject, reopen } from './helpers.js';
+
+test('サブツリーを get() / set() で読み書きできる', async () => {
+  const { mask } = await createMask();
+  const doc = await mask.open('user:1');
+
+  doc.set('profile', { name: 'Alice', address: { city: 'Tokyo' } });
+  doc.set('profile.address.zip', '100-0001');
+  assert.deepEqual(doc.get('profile.address'), { city: 'Tokyo', zip: '100-0001' });
+
+  doc.set('profile.address', { city: 'Osaka' });
+  await doc.save();
+
+  assert.deepEqual(await reopen(mask, 'user:1'), { profile: { name: 'Alice', address: { city: 'Osaka' } } });
+});
+
+test('配列の要素と配列操作を保存して読み込み直せる', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { tags: ['a', 'b', 'c'] });
+
+  doc.removeAt('tags', 0);
+  doc.push('tags', 'd');
+  doc.set('tags[0]', 'B');
+  await doc.save();
+
+  const reopened = await mask.open('user:1');
+  assert.deepEqual(reopened.get('tags'), ['B', 'c', 'd']);
+  assert.equal(reopened.get('tags[2]'), 'd');
+});
+
+test('型が保存後も保持される', async () => {
+  const { mask } = await createMask();
+  const data = {
+    num: 42, negZero: -0, nan: NaN, inf: -Infinity, bool: false, nil: null, empty: '',
+    big: 12345678901234567890n, date: new Date('2024-01-02T03:04:05.000Z'), bytes: new Uint8Array([1, 2, 3]),
+    emptyArray: [], emptyObject: {}, 'example.com': { port: 443 }
+  };
+  await putObject(mask, 'user:1', data);
+
+  assert.deepEqual(await reopen(mask, 'user:1'), data);
+});
+
+test('読み込み後に別のドキュメントが保存した場合は ConflictError になる', async () => {
+  const { mask } = await createMask();
+  await putObject(mask, 'user:1', { count: 1 });
+
+  const first = await mask.open('user:1');
+  const second = await mask.open('user:1');
+  first.set('count', 2);
+  second.set('count', 3);
+  await first.save();
+
+  await assert.rejects(second.save(), ConflictError);
+  assert.deepEqual(await reopen(mask, 'user:1'), { count: 2 });
+
+  await second.save({ retry: (doc) => doc.set('count', doc.get('count') + 10) });
+  assert.deepEqual(await reopen(mask, 'user:1'), { count: 12 });
+});
+
+test('increment() は同時に読み込んだドキュメントの更新を失わない', async () => {
+  const { mask } = await createMask();
+  await putObject(mask, 'counter:1', { views: 1 });
+
+  const first = await mask.open('counter:1');
+  const second = await mask.open('counter:1');
+  first.increment('views', 2);
+  second.increment('views', 3);
+  await first.save();
+  await second.save();
+
+  assert.equal(second.get('views'), 6);
+  assert.deepEqual(await reopen(mask, 'counter:1'), { views: 6 });
+});
+
+test('部分的に読み込んだドキュメントは読み込んでいないパスを変更しない', async () => {
+  const { mask } = await createMask();
+  await putObject(mask, 'user:1', { profile: { name: 'Alice' }, settings: { theme: 'dark' } });
+
+  const doc = await mask.open('user:1', { paths: ['profile'] });
+  assert.throws(() => doc.get('settings'), /not loaded/);
+  doc.set('profile.name', 'Bob');
+  await doc.save();
+
+  assert.deepEqual(await reopen(mask, 'user:1'), { profile: { name: 'Bob' }, settings: { theme: 'dark' } });
+  await assert.rejects(mask.open('user:1', { paths: ['profile.0'] }), /Ambiguous path/);
+});
+
+test('MaskQL.transaction() は競合した場合にすべての変更を取り消す', async () => {
+  const { mask, adapter } = await createMask();
+  await putObject(mask, 'account:1', { balance: 100 });
+  await putObject(mask, 'account:2', { balance: 0 });
+
+  await assert.rejects(MaskQL.transaction(adapter, async (tx) => {
+    const from = await tx.use('account:1');
+    const to = await tx.use('account:2');
+    from.set('balance', 50);
+    to.set('balance', 50);
+    await putObject(mask, 'account:2', { balance: 5 });
+  }), ConflictError);
+
+  assert.deepEqual(await reopen(mask, 'account:1'), { balance: 100 });
+  assert.deepEqual(await reopen(mask, 'account:2'), { balance: 5 });
+});
@@ -0,0 +1,193 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaskQL, createHandler, InvalidQueryError } from '../src/index.js';
+import { createMask, putObject, reopen } from './helpers.js';
+
+/**
+ * ハンドラと、同じデータベースを使用する MaskQL を作成する
+ * @param {Object} [options] - createHandler() のオプション
+ * @returns {Promise<{mask: MaskQL, request: function(string, string, Object=): Promise<Response>}>}
+ */
+async function createApi(options = {}) {
+  const { mask, adapter } = await createMask();
+  const handler = createHandler(adapter, options);
+  const request = (method, path, { body, headers = {} } = {}) => handler(new Request(`https://example.com${path}`, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }));
+  return { mask, request };
+}
+
+test('GET はオブジェクトとパスの値を ETag とともに返す', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { profile: { name: 'Alice' } });
+
+  const whole = await request('GET', '/objects/user:1');
+  assert.equal(whole.status, 200);
+  assert.equal(whole.headers.get('ETag'), '"1"');
+  assert.deepEqual(await whole.json(), { profile: { name: 'Alice' } });
+
+  const value = await request('GET', '/objects/user:1/profile/name');
+  assert.deepEqual(await value.json(), 'Alice');
+
+  assert.equal((await request('GET', '/objects/user:1/missing')).status, 404);
+  assert.equal((await request('GET', '/objects/user:2')).status, 404);
+});
+
+test('If-None-Match が一致する GET は 304 を返す', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { name: 'Alice' });
+
+  const response = await request('GET', '/objects/user:1', { headers: { 'If-None-Match': '"1"' } });
+  assert.equal(response.status, 304);
+  assert.equal(response.headers.get('ETag'), '"1"');
+});
+
+test('If-Match が一致しない書き込みは 412 を返し、変更しない', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { name: 'Alice' });
+
+  const stale = await request('PUT', '/objects/user:1/name', { body: 'Bob', headers: { 'If-Match': '"0"' } });
+  assert.equal(stale.status, 412);
+  assert.equal(stale.headers.get('ETag'), '"1"');
+
+  const fresh = await request('PUT', '/objects/user:1/name', { body: 'Bob', headers: { 'If-Match': '"1"' } });
+  assert.equal(fresh.status, 200);
+  assert.equal(fresh.headers.get('ETag'), '"2"');
+  assert.deepEqual(await reopen(mask, 'user:1'), { name: 'Bob' });
+});
+
+test('If-Match: * は存在しないオブジェクトに一致せず、存在するオブジェクトの新しいパスには一致する', async () => {
+  const { mask, request } = await createApi();
+
+  const missing = await request('PUT', '/objects/user:1', { body: { name: 'Alice' }, headers: { 'If-Match': '*' } });
+  assert.equal(missing.status, 412);
+  assert.deepEqual(await reopen(mask, 'user:1'), {});
+
+  await putObject(mask, 'user:1', { name: 'Alice' });
+  const created = await request('PUT', '/objects/user:1/age', { body: 30, headers: { 'If-Match': '*' } });
+  assert.equal(created.status, 201);
+  assert.deepEqual(await reopen(mask, 'user:1'), { name: 'Alice', age: 30 });
+});
+
+test('If-None-Match: * は対象が存在する場合に 412 を返す', async () => {
+  const { mask, request } = await createApi();
+
+  const created = await request('PUT', '/objects/user:1', { body: { name: 'Alice' }, headers: { 'If-None-Match': '*' } });
+  assert.equal(created.status, 201);
+
+  const again = await request('PUT', '/objects/user:1', { body: { name: 'Bob' }, headers: { 'If-None-Match': '*' } });
+  assert.equal(again.status, 412);
+  assert.deepEqual(await reopen(mask, 'user:1'), { name: 'Alice' });
+});
+
+test('オブジェクト全体の PUT は JSON オブジェクト以外の本文を 400 で拒否する', async () => {
+  const { request } = await createApi();
+
+  for (const body of [[1, 2], 'text', 42, null]) {
+    const response = await request('PUT', '/objects/user:1', { body });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Request body must be a JSON object' });
+  }
+});
+
+test('PATCH は JSON Patch と JSON Merge Patch を適用する', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { profile: { name: 'Alice' }, tags: ['a'] });
+
+  const patched = await request('PATCH', '/objects/user:1', {
+    body: [{ op: 'add', path: '/tags/-', value: 'b' }],
+    headers: { 'Content-Type': 'application/json-patch+json' }
+  });
+  assert.equal(patched.status, 200);
+
+  const merged = await request('PATCH', '/objects/user:1/profile', {
+    body: { age: 30 },
+    headers: { 'Content-Type': 'application/merge-patch+json' }
+  });
+  assert.deepEqual(await merged.json(), { name: 'Alice', age: 30 });
+
+  const failed = await request('PATCH', '/objects/user:1', {
+    body: [{ op: 'test', path: '/profile/name', value: 'Bob' }],
+    headers: { 'Content-Type': 'application/json-patch+json' }
+  });
+  assert.equal(failed.status, 409);
+
+  assert.deepEqual(await reopen(mask, 'user:1'), { profile: { name: 'Alice', age: 30 }, tags: ['a', 'b'] });
+});
+
+test('DELETE はパスの値とオブジェクト全体を削除する', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { name: 'Alice', age: 30 });
+
+  assert.equal((await request('DELETE', '/objects/user:1/age')).status, 204);
+  assert.deepEqual(await reopen(mask, 'user:1'), { name: 'Alice' });
+
+  assert.equal((await request('DELETE', '/objects/user:1')).status, 204);
+  assert.equal(await mask.exists('user:1'), false);
+  assert.equal((await request('DELETE', '/objects/user:1')).status, 404);
+});
+
+test('DELETE で配列の要素を削除すると後続の要素を詰める', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { tags: ['a', 'b', 'c'], hosts: { 0: 'zero', 1: 'one' } });
+
+  assert.equal((await request('DELETE', '/objects/user:1/tags/0')).status, 204);
+  assert.equal((await request('DELETE', '/objects/user:1/hosts/0')).status, 204);
+  assert.deepEqual(await reopen(mask, 'user:1'), { tags: ['b', 'c'], hosts: { 1: 'one' } });
+
+  await request('DELETE', '/objects/user:1/tags/1');
+  await request('DELETE', '/objects/user:1/tags/0');
+  assert.deepEqual(await reopen(mask, 'user:1'), { tags: [], hosts: { 1: 'one' } });
+});
+
+test('保存時の競合は If-Match を指定した場合のみ 412 になる', async () => {
+  const { mask, adapter } = await createMask();
+  await putObject(mask, 'user:1', { name: 'Alice' });
+
+  // 読み込みと保存の間に別のインスタンスから保存する
+  const other = new MaskQL(adapter);
+  mask.on('beforeSave', () => putObject(other, 'user:1', { name: 'Carol' }));
+  const handler = createHandler(adapter, { hooks: mask.hooks });
+  const put = (headers) => handler(new Request('https://example.com/objects/user:1/name', {
+    method: 'PUT', headers: { 'Content-Type': 'application/json', ...headers }, body: '"Bob"'
+  }));
+
+  const conditional = await put({ 'If-Match': '*' });
+  assert.equal(conditional.status, 412);
+
+  const unconditional = await put({});
+  assert.equal(unconditional.status, 409);
+});
+
+test('GET /objects はオブジェクトの一覧を返す', async () => {
+  const { mask, request } = await createApi();
+  await putObject(mask, 'user:1', { name: 'Alice' });
+  await putObject(mask, 'user:2', { name: 'Bob' });
+  await putObject(mask, 'team:1', { name: 'Core' });
+
+  const response = await request('GET', '/objects?prefix=user:&limit=1');
+  const page = await response.json();
+  assert.equal(response.status, 200);
+  assert.deepEqual(page.items.map((item) => item.objId), ['user:1']);
+
+  const next = await (await request('GET', `/objects?prefix=user:&cursor=${encodeURIComponent(page.cursor)}`)).json();
+  assert.deepEqual(next.items.map((item) => item.objId), ['user:2']);
+  assert.equal(next.cursor, null);
+
+  assert.equal((await request('GET', '/objects?limit=0')).status, 400);
+});
+
+test('一覧のオプションが不正な場合は InvalidQueryError になり、ハンドラは 400 を返す', async () => {
+  const { mask, adapter } = await createMask();
+
+  await assert.rejects(mask.list({ cursor: 5 }), InvalidQueryError);
+  await assert.rejects(mask.count({ prefix: 1 }), InvalidQueryError);
+
+  // authorize の中で投げられた場合も同じ対応でステータスを決める
+  const handler = createHandler(adapter, { authorize: () => mask.list({ cursor: '' }) });
+  const response = await handler(new Request('https://example.com/objects'));
+  assert.equal(response.status, 400);
+  assert.deepEqual(await response.json(), { error: 'Invalid cursor: ' });
+});
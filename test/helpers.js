@@ -0,0 +1,53 @@
+/**
+ * helpers.js
+ * テストで共通して使用する関数
+ */
+
+import { DatabaseSync } from 'node:sqlite';
+import { readFileSync } from 'node:fs';
+import { MaskQL } from '../src/index.js';
+import { createMemoryAdapter, createSqliteAdapter } from '../src/sqlite.js';
+
+/**
+ * スキーマを作成したインメモリデータベースの MaskQL を作成する
+ * @param {Object} [options] - MaskQL のオプション
+ * @returns {Promise<{mask: MaskQL, adapter: SqliteAdapter}>} MaskQL とアダプタ
+ */
+export async function createMask(options = {}) {
+  const adapter = await createMemoryAdapter();
+  return { mask: new MaskQL(adapter, 'maskql_store', options), adapter };
+}
+
+/**
+ * オブジェクトを作成して保存する
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {string} objId - オブジェクトID
+ * @param {Object} data - 保存するデータ
+ * @returns {Promise<Document>} 保存したドキュメント
+ */
+export async function putObject(mask, objId, data) {
+  const doc = await mask.open(objId);
+  doc.setAll(data);
+  await doc.save();
+  return doc;
+}
+
+/**
+ * オブジェクトを読み込み直して全体を返す
+ * @param {MaskQL} mask - MaskQL インスタンス
+ * @param {string} objId - オブジェクトID
+ * @returns {Promise<Object>} オブジェクト全体
+ */
+export async function reopen(mask, objId) {
+  return (await mask.open(objId)).getAll();
+}
+
+/**
+ * 初期バージョンの schema/init.sql で作成したインメモリデータベースを作成する
+ * @returns {{db: DatabaseSync, adapter: SqliteAdapter}} データベースとアダプタ
+ */
+export function createBaselineDatabase() {
+  const db = new DatabaseSync(':memory:');
+  db.exec(readFileSync(new URL('./fixtures/baseline-init.sql', import.meta.url), 'utf8'));
+  return { db, adapter: createSqliteAdapter(db) };
+}
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MaskQL, UniqueViolationError } from '../src/index.js';
+import { createMask, putObject, reopen } from './helpers.js';
+
+const EMAIL_INDEX = { user_email: { prefix: 'user:', path: 'profile.email', unique: true } };
+
+test('findByIndex() は型も含めて一致するオブジェクトを返す', async () => {
+  const { mask } = await createMask({ indexes: { user_age: { prefix: 'user:', path: 'age' } } });
+  await putObject(mask, 'user:1', { age: 30 });
+  await putObject(mask, 'user:2', { age: '30' });
+  await putObject(mask, 'user:3', { age: 29 });
+
+  const doc = await mask.open('user:3');
+  doc.increment('age');
+  await doc.save();
+
+  assert.deepEqual(await mask.findByIndex('user_age', 30), ['user:1', 'user:3']);
+  assert.deepEqual(await mask.findByIndex('user_age', '30'), ['user:2']);
+});
+
+test('一意インデックスの値が別のオブジェクトと重複すると UniqueViolationError になる', async () => {
+  const { mask } = await createMask({ indexes: EMAIL_INDEX });
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com' } });
+
+  await assert.rejects(
+    putObject(mask, 'user:2', { profile: { email: 'a@example.com' } }),
+    (error) => error instanceof UniqueViolationError && error.existingObjId === 'user:1' && error.objId === 'user:2'
+  );
+  assert.deepEqual(await reopen(mask, 'user:2'), {});
+
+  // 同じオブジェクトが同じ値を保存し直すことはできる
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com', name: 'Alice' } });
+  assert.deepEqual(await mask.findByIndex('user_email', 'a@example.com'), ['user:1']);
+});
+
+test('値を手放したオブジェクトの値は別のオブジェクトが使用できる', async () => {
+  const { mask } = await createMask({ indexes: EMAIL_INDEX });
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com' } });
+  await putObject(mask, 'user:1', { profile: { email: 'b@example.com' } });
+  await putObject(mask, 'user:2', { profile: { email: 'a@example.com' } });
+
+  await mask.deleteObject('user:1');
+  await putObject(mask, 'user:3', { profile: { email: 'b@example.com' } });
+
+  assert.deepEqual(await mask.findByIndex('user_email', 'a@example.com'), ['user:2']);
+  assert.deepEqual(await mask.findByIndex('user_email', 'b@example.com'), ['user:3']);
+});
+
+test('トランザクション内で同じ一意の値を2つのオブジェクトに保存すると、いずれも保存しない', async () => {
+  const { mask, adapter } = await createMask({ indexes: EMAIL_INDEX });
+
+  await assert.rejects(MaskQL.transaction(adapter, async (tx) => {
+    (await tx.use('user:1')).set('profile.email', 'a@example.com');
+    (await tx.use('user:2')).set('profile.email', 'a@example.com');
+  }, { indexes: EMAIL_INDEX }), UniqueViolationError);
+
+  assert.equal(await mask.exists('user:1'), false);
+  assert.equal(await mask.exists('user:2'), false);
+  assert.deepEqual(await mask.findByIndex('user_email', 'a@example.com'), []);
+});
+
+test('トランザクションは既存のオブジェクトとの重複も検出する', async () => {
+  const { mask, adapter } = await createMask({ indexes: EMAIL_INDEX });
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com' } });
+
+  await assert.rejects(MaskQL.transaction(adapter, async (tx) => {
+    (await tx.use('user:2')).set('profile.email', 'a@example.com');
+    (await tx.use('user:3')).set('profile.email', 'c@example.com');
+  }, { indexes: EMAIL_INDEX }), UniqueViolationError);
+
+  assert.equal(await mask.exists('user:3'), false);
+});
+
+test('saveMany() は同じ一意の値を持つドキュメントを保存しない', async () => {
+  const { mask } = await createMask({ indexes: EMAIL_INDEX });
+  const first = await mask.open('user:1');
+  const second = await mask.open('user:2');
+  first.set('profile.email', 'a@example.com');
+  second.set('profile.email', 'a@example.com');
+
+  await assert.rejects(mask.saveMany([first, second]), UniqueViolationError);
+  assert.equal(await mask.exists('user:1'), false);
+  assert.equal(await mask.exists('user:2'), false);
+});
+
+test('トランザクション内で2つのオブジェクトの一意の値を入れ替えられる', async () => {
+  const { mask, adapter } = await createMask({ indexes: EMAIL_INDEX });
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com' } });
+  await putObject(mask, 'user:2', { profile: { email: 'b@example.com' } });
+
+  await MaskQL.transaction(adapter, async (tx) => {
+    (await tx.use('user:1')).set('profile.email', 'b@example.com');
+    (await tx.use('user:2')).set('profile.email', 'a@example.com');
+  }, { indexes: EMAIL_INDEX });
+
+  assert.deepEqual(await mask.findByIndex('user_email', 'a@example.com'), ['user:2']);
+  assert.deepEqual(await mask.findByIndex('user_email', 'b@example.com'), ['user:1']);
+});
+
+test('saveMany() で2つのオブジェクトの一意の値を入れ替えられる', async () => {
+  const { mask } = await createMask({ indexes: EMAIL_INDEX });
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com' } });
+  await putObject(mask, 'user:2', { profile: { email: 'b@example.com' } });
+
+  const first = await mask.open('user:1');
+  const second = await mask.open('user:2');
+  first.set('profile.email', 'b@example.com');
+  second.set('profile.email', 'a@example.com');
+  await mask.saveMany([first, second]);
+
+  assert.deepEqual(await mask.findByIndex('user_email', 'a@example.com'), ['user:2']);
+  assert.deepEqual(await mask.findByIndex('user_email', 'b@example.com'), ['user:1']);
+  assert.deepEqual(await reopen(mask, 'user:1'), { profile: { email: 'b@example.com' } });
+});
+
+test('rebuildIndex() は保存済みのオブジェクトからインデックスを作り直す', async () => {
+  const { mask } = await createMask();
+  await putObject(mask, 'user:1', { profile: { email: 'a@example.com' } });
+  await putObject(mask, 'user:2', { profile: { email: 'a@example.com' } });
+  await putObject(mask, 'user:3', { profile: { email: 'c@example.com' } });
+
+  mask.defineIndex('user_email', EMAIL_INDEX.user_email);
+  await assert.rejects(mask.rebuildIndex('user_email'), UniqueViolationError);
+
+  mask.defineIndex('user_email', { ...EMAIL_INDEX.user_email, unique: false });
+  assert.equal(await mask.rebuildIndex('user_email'), 3);
+  assert.deepEqual(await mask.findByIndex('user_email', 'a@example.com'), ['user:1', 'user:2']);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import { readFileSync } from 'node:fs';
+import { MaskQL, SchemaVersionError, SCHEMA_VERSION } from '../src/index.js';
+import { createSqliteAdapter } from '../src/sqlite.js';
+import { createBaselineDatabase } from './helpers.js';
+
+/**
+ * 初期バージョンが保存した形式で行を追加する（null は ''、配列は JSON 文字列として value_type = 'string' で保存していた）
+ * @param {DatabaseSync} db - データベース
+ * @returns {void}
+ */
+function insertBaselineRows(db) {
+  const insert = db.prepare('INSERT INTO maskql_store (obj_id, key_path, value, value_type) VALUES (?, ?, ?, ?)');
+  insert.run('user:1', 'profile.name', 'Alice', 'string');
+  insert.run('user:1', 'profile.nickname', '', 'string');
+  insert.run('user:1', 'age', '30', 'number');
+  insert.run('user:1', 'active', 'true', 'boolean');
+  insert.run('user:1', 'tags', '["a","b"]', 'string');
+  insert.run('user:1', 'note', '[draft]', 'string');
+}
+
+test('初期バージョンで作成したデータベースはマイグレーションするまで使用できない', async () => {
+  const { adapter } = createBaselineDatabase();
+  const mask = new MaskQL(adapter);
+
+  await assert.rejects(mask.open('user:1'), (error) => error instanceof SchemaVersionError && error.version === 0);
+  assert.equal(await MaskQL.getSchemaVersion(adapter), 0);
+});
+
+test('初期バージョンで作成したデータベースをマイグレーションすると保存済みの値を読み込める', async () => {
+  const { db, adapter } = createBaselineDatabase();
+  insertBaselineRows(db);
+
+  const result = await MaskQL.migrate(adapter);
+  assert.deepEqual(result, { from: 0, to: SCHEMA_VERSION, applied: [1, 2] });
+
+  const mask = new MaskQL(adapter);
+  const doc = await mask.open('user:1');
+  assert.deepEqual(doc.getAll(), {
+    profile: { name: 'Alice', nickname: null },
+    age: 30,
+    active: true,
+    tags: ['a', 'b'],
+    note: '[draft]'
+  });
+
+  doc.push('tags', 'c');
+  doc.setTtl(60);
+  await doc.save();
+  assert.deepEqual((await mask.open('user:1')).get('tags'), ['a', 'b', 'c']);
+});
+
+test('マイグレーションしたデータベースのテーブルとインデックスは schema/init.sql と一致する', async () => {
+  const { db, adapter } = createBaselineDatabase();
+  await MaskQL.migrate(adapter);
+
+  const fresh = new DatabaseSync(':memory:');
+  fresh.exec(readFileSync(new URL('../schema/init.sql', import.meta.url), 'utf8'));
+
+  const objects = (database) => database.prepare(
+    "SELECT type, name, tbl_name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' ORDER BY type, name"
+  ).all().map((row) => ({ ...row }));
+  assert.deepEqual(objects(db), objects(fresh));
+});
+
+test('migrate() は適用済みのマイグレーションを実行しない', async () => {
+  const { adapter } = createBaselineDatabase();
+
+  await MaskQL.migrate(adapter);
+  assert.deepEqual(await MaskQL.migrate(adapter), { from: SCHEMA_VERSION, to: SCHEMA_VERSION, applied: [] });
+  assert.equal(await MaskQL.getSchemaVersion(adapter), SCHEMA_VERSION);
+});
+
+test('テーブルのバージョンが新しい場合は SchemaVersionError になる', async () => {
+  const { db, adapter } = createBaselineDatabase();
+  await MaskQL.migrate(adapter);
+  db.prepare('UPDATE maskql_meta SET version = ?').run(SCHEMA_VERSION + 1);
+
+  await assert.rejects(MaskQL.migrate(adapter), SchemaVersionError);
+  await assert.rejects(new MaskQL(createSqliteAdapter(db)).open('user:1'), SchemaVersionError);
+});
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PatchError, PatchTestFailedError } from '../src/index.js';
+import { createMask, putObject, reopen } from './helpers.js';
+
+test('applyPatch() の各操作を保存して読み込み直せる', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { profile: { name: 'Alice', nickname: 'al' }, tags: ['a', 'c'] });
+
+  doc.applyPatch([
+    { op: 'test', path: '/profile/name', value: 'Alice' },
+    { op: 'replace', path: '/profile/name', value: 'Bob' },
+    { op: 'remove', path: '/profile/nickname' },
+    { op: 'add', path: '/tags/1', value: 'b' },
+    { op: 'add', path: '/tags/-', value: 'd' },
+    { op: 'copy', from: '/tags/0', path: '/first' },
+    { op: 'move', from: '/first', path: '/profile/first' }
+  ]);
+  await doc.save();
+
+  assert.deepEqual(await reopen(mask, 'user:1'), { profile: { name: 'Bob', first: 'a' }, tags: ['a', 'b', 'c', 'd'] });
+});
+
+test('配列の最後の要素を remove すると空の配列が残る', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { tags: ['a'] });
+
+  doc.applyPatch([{ op: 'remove', path: '/tags/0' }]);
+  await doc.save();
+
+  assert.deepEqual(await reopen(mask, 'user:1'), { tags: [] });
+});
+
+test('ルートに対する add / replace / remove を適用できる', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { a: 1, nested: { b: 2 } });
+
+  doc.applyPatch([{ op: 'replace', path: '', value: { c: 3 } }]);
+  await doc.save();
+  assert.deepEqual(await reopen(mask, 'user:1'), { c: 3 });
+
+  doc.applyPatch([{ op: 'add', path: '', value: { d: [4] } }]);
+  await doc.save();
+  assert.deepEqual(await reopen(mask, 'user:1'), { d: [4] });
+
+  doc.applyPatch([{ op: 'remove', path: '' }]);
+  await doc.save();
+  assert.deepEqual(await reopen(mask, 'user:1'), {});
+
+  assert.throws(() => doc.applyPatch([{ op: 'replace', path: '', value: [1] }]), PatchError);
+});
+
+test('他の変更の後にルートを置き換えても以前の変更は保存されない', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { tags: ['a', 'b', 'c', 'd'], name: 'Alice' });
+
+  doc.applyPatch([{ op: 'remove', path: '/tags/0' }]);
+  doc.applyPatch([{ op: 'add', path: '', value: { whole: 1 } }]);
+  await doc.save();
+  assert.deepEqual(await reopen(mask, 'user:1'), { whole: 1 });
+
+  doc.set('extra', { nested: true });
+  doc.increment('whole');
+  doc.applyPatch([{ op: 'remove', path: '' }]);
+  await doc.save();
+  assert.deepEqual(await reopen(mask, 'user:1'), {});
+});
+
+test('test 操作が失敗した場合はパッチ全体を取り消す', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { version: 1, name: 'Alice' });
+
+  assert.throws(() => doc.applyPatch([
+    { op: 'replace', path: '/name', value: 'Bob' },
+    { op: 'test', path: '/version', value: 2 }
+  ]), PatchTestFailedError);
+
+  assert.equal(doc.hasUnsavedChanges(), false);
+  assert.deepEqual(doc.getAll(), { version: 1, name: 'Alice' });
+});
+
+test('存在しないパスへの操作は PatchError になる', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { tags: ['a'] });
+
+  assert.throws(() => doc.applyPatch([{ op: 'remove', path: '/missing' }]), PatchError);
+  assert.throws(() => doc.applyPatch([{ op: 'add', path: '/tags/5', value: 'x' }]), PatchError);
+  assert.throws(() => doc.applyPatch([{ op: 'add', path: '/missing/child', value: 1 }]), PatchError);
+  assert.deepEqual(doc.getAll(), { tags: ['a'] });
+});
+
+test('applyMergePatch() は null のメンバーを削除し、オブジェクトを再帰的にマージする', async () => {
+  const { mask } = await createMask();
+  const doc = await putObject(mask, 'user:1', { profile: { name: 'Alice', nickname: 'al' }, tags: ['a', 'b'] });
+
+  doc.applyMergePatch({ profile: { nickname: null, age: 30 }, tags: ['c'] });
+  doc.applyMergePatch({ theme: 'dark' }, 'settings');
+  await doc.save();
+
+  assert.deepEqual(await reopen(mask, 'user:1'), {
+    profile: { name: 'Alice', age: 30 },
+    tags: ['c'],
+    settings: { theme: 'dark' }
+  });
+});
+
+test('diffPatch() を読み込み時点のオブジェクトに適用すると現在の状態になる', async () => {
+  const { mask } = await createMask();
+  const original = { profile: { name: 'Alice' }, tags: ['a', 'b', 'c'] };
+  const doc = await putObject(mask, 'user:1', original);
+
+  doc.set('profile.name', 'Bob');
+  doc.removeAt('tags', 0);
+  doc.push('tags', 'd');
+  doc.set('settings', { theme: 'dark' });
+  const patch = doc.diffPatch();
+
+  const other = await putObject(mask, 'user:2', original);
+  other.applyPatch(patch);
+  assert.deepEqual(other.getAll(), doc.getAll());
+});